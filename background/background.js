@@ -3,10 +3,24 @@
  * Handles Google Sheets API integration and extension lifecycle
  */
 
+import './auth.js';
+import './sheets-api.js';
+import './export-queue.js';
+import './scan-scheduler.js';
+import './selector-pack-manager.js';
+import { PostLibrary } from '../utils/post-library.js';
+import { Storage } from '../utils/storage.js';
+import { SelectorPack } from '../utils/selector-pack.js';
+import { DataFormatter } from '../utils/data-formatter.js';
+
 class BackgroundService {
   constructor() {
     this.authManager = null;
     this.sheetsAPI = null;
+    this.exportQueue = null;
+    this.postLibrary = null;
+    this.scanScheduler = null;
+    this.selectorPacks = null;
     this.initialized = false;
     
     this.init();
@@ -25,9 +39,19 @@ class BackgroundService {
       
       // Initialize components
       this.authManager = new GoogleAuthManager();
-      this.sheetsAPI = new SheetsAPI();
+      this.sheetsAPI = new SheetsAPI(new DataFormatter());
+      this.sheetsAPI.setAuthManager(this.authManager);
+      this.postLibrary = new PostLibrary();
+      this.exportQueue = new ExportQueue(this.sheetsAPI, this.postLibrary);
+      this.scanScheduler = new ScanScheduler((posts) => this.exportToSheets(posts));
+      this.selectorPacks = new SelectorPackManager(new SelectorPack(), chrome.runtime.getManifest().version);
       
       this.initialized = true;
+
+      // Pick up exports interrupted by a service worker restart
+      await this.exportQueue.resume();
+      await this.scanScheduler.init();
+      await this.selectorPacks.init();
       console.log('LinkedIn Consolidator background service initialized');
       
     } catch (error) {
@@ -67,6 +91,23 @@ class BackgroundService {
     chrome.runtime.onStartup.addListener(() => {
       this.handleStartup();
     });
+
+    // Run scheduled scans
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (this.scanScheduler) {
+        this.scanScheduler.handleAlarm(alarm);
+      }
+    });
+
+    // Reschedule scans and refresh the selector pack when the options page changes them
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (this.scanScheduler) {
+        this.scanScheduler.handleStorageChange(changes, areaName);
+      }
+      if (this.selectorPacks) {
+        this.selectorPacks.handleStorageChange(changes, areaName);
+      }
+    });
   }
 
   /**
@@ -86,6 +127,9 @@ class BackgroundService {
     } else if (details.reason === 'update') {
       // Extension updated
       console.log('Extension updated from version:', details.previousVersion);
+
+      // Move posts from the old chrome.storage.local keys into the post library
+      await new Storage(this.postLibrary).migrateOldData();
     }
   }
 
@@ -133,6 +177,44 @@ class BackgroundService {
           sendResponse(await this.getExtensionInfo());
           break;
 
+        case 'RUN_SCHEDULED_SCAN':
+          sendResponse(await this.scanScheduler.runScheduledScan());
+          break;
+
+        case 'SCAN_COMPLETED':
+          await this.scanScheduler.handleScanCompleted(message.runId, message.result);
+          sendResponse({ success: true });
+          break;
+
+        case 'GET_SCAN_HISTORY':
+          sendResponse({ success: true, history: await this.scanScheduler.getScanHistory() });
+          break;
+
+        case 'GET_SELECTOR_PACK':
+          sendResponse({ success: true, ...(await this.selectorPacks.getActivePack()) });
+          break;
+
+        case 'IMPORT_SELECTOR_PACK':
+          sendResponse({ success: true, selectorPack: await this.selectorPacks.importPack(message.pack, 'file') });
+          break;
+
+        case 'REFRESH_SELECTOR_PACK':
+          sendResponse({ success: true, selectorPack: await this.selectorPacks.refreshFromUrl(message.url) });
+          break;
+
+        case 'SELECTOR_PACK_REJECTED':
+          await this.selectorPacks.recordRejection(message.importedAt, message.errors);
+          sendResponse({ success: true });
+          break;
+
+        case 'RESET_SELECTOR_PACK':
+          sendResponse({ success: true, selectorPack: await this.selectorPacks.resetPack() });
+          break;
+
+        case 'POST_LIBRARY':
+          sendResponse(await this.handlePostLibraryRequest(message.method, message.args));
+          break;
+
         default:
           console.warn('Unknown message type:', message.type);
           sendResponse({ error: 'Unknown message type' });
@@ -143,6 +225,18 @@ class BackgroundService {
     }
   }
 
+  /**
+   * Run a post library method on behalf of a content script
+   */
+  async handlePostLibraryRequest(method, args = []) {
+    if (!PostLibrary.remoteMethods.includes(method)) {
+      return { error: `Unknown post library method: ${method}` };
+    }
+
+    const data = await this.postLibrary[method](...args);
+    return { success: true, data: data };
+  }
+
   /**
    * Handle tab updates
    */
@@ -200,6 +294,7 @@ class BackgroundService {
 
       // Get settings
       const { settings } = await chrome.storage.sync.get('settings');
+      const { sheetName, batchSize } = await this.getExportSettings();
       
       let sheetId = settings.googleSheetsId;
       
@@ -207,7 +302,7 @@ class BackgroundService {
       if (!sheetId) {
         const timestamp = new Date().toISOString().split('T')[0];
         const sheetTitle = `LinkedIn Posts Export - ${timestamp}`;
-        const createResult = await this.createSheet(sheetTitle);
+        const createResult = await this.createSheet(sheetTitle, sheetName);
         sheetId = createResult.sheetId;
         
         // Save sheet ID to settings
@@ -215,14 +310,23 @@ class BackgroundService {
         await chrome.storage.sync.set({ settings });
       }
 
-      // Export posts
-      const result = await this.sheetsAPI.exportPosts(posts, sheetId);
+      // Export posts in chunks, updating rows for posts that were exported before
+      const result = await this.exportQueue.enqueue({
+        posts: posts,
+        sheetId: sheetId,
+        sheetName: sheetName,
+        batchSize: batchSize
+      });
       
       return {
         success: true,
         sheetId: sheetId,
+        sheetName: result.sheetName,
         sheetUrl: result.sheetUrl,
-        exportedCount: posts.length
+        exportedCount: result.exportedCount,
+        created: result.created,
+        updated: result.updated,
+        unchanged: result.unchanged
       };
 
     } catch (error) {
@@ -234,6 +338,19 @@ class BackgroundService {
     }
   }
 
+  /**
+   * Get export settings saved by the options page
+   */
+  async getExportSettings() {
+    const stored = await chrome.storage.sync.get(['settings', 'sheetName', 'batchSize']);
+    const settings = stored.settings || {};
+
+    return {
+      sheetName: stored.sheetName || settings.sheetName || 'LinkedIn Posts',
+      batchSize: stored.batchSize || settings.batchSize || 50
+    };
+  }
+
   /**
    * Authenticate with Google
    */
@@ -294,9 +411,13 @@ class BackgroundService {
   /**
    * Create new Google Sheet
    */
-  async createSheet(title) {
+  async createSheet(title, sheetName = null) {
     try {
-      const result = await this.sheetsAPI.createSheet(title);
+      if (!sheetName) {
+        ({ sheetName } = await this.getExportSettings());
+      }
+
+      const result = await this.sheetsAPI.createSheet(title, sheetName);
       return {
         success: true,
         sheetId: result.sheetId,
@@ -360,7 +481,8 @@ class BackgroundService {
       version: manifest.version,
       name: manifest.name,
       authenticated: authStatus.authenticated,
-      user: authStatus.user
+      user: authStatus.user,
+      selectorPack: await this.selectorPacks.getPackInfo()
     };
   }
 
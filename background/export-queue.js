@@ -0,0 +1,390 @@
+/**
+ * Export Queue
+ * Splits Google Sheets exports into chunks, retries rate-limited requests
+ * and persists progress so exports resume after the service worker restarts.
+ * Jobs only persist post IDs, the posts themselves are read from the post library
+ * when their chunk runs, so large exports stay well inside the storage.local quota.
+ */
+
+class ExportQueue {
+  /**
+   * @param {object} sheetsAPI - SheetsAPI instance
+   * @param {object} postLibrary - PostLibrary the exported posts are read from
+   */
+  constructor(sheetsAPI, postLibrary) {
+    this.sheetsAPI = sheetsAPI;
+    this.postLibrary = postLibrary;
+    this.storageKey = 'exportQueue';
+    this.defaultBatchSize = 50;
+    this.maxAttempts = 5;
+    this.baseRetryDelay = 2000;
+    this.maxRetryDelay = 60000;
+
+    this.isProcessing = false;
+    this.waiters = new Map();
+  }
+
+  /**
+   * Add an export job to the queue
+   * @param {object} exportInfo - Export details ({ posts, sheetId, sheetName, batchSize })
+   * @returns {Promise<object>} Resolves with the export result once the job finishes
+   */
+  async enqueue(exportInfo) {
+    const batchSize = this.normalizeBatchSize(exportInfo.batchSize);
+    const postIds = await this.storePosts(exportInfo.posts);
+
+    const job = {
+      id: `export_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      sheetId: exportInfo.sheetId,
+      sheetName: exportInfo.sheetName || null,
+      chunks: this.chunkPosts(postIds, batchSize),
+      nextChunk: 0,
+      totalPosts: postIds.length,
+      totals: { created: 0, updated: 0, unchanged: 0 },
+      attempts: 0,
+      nextAttemptAt: null,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    };
+
+    const completion = new Promise((resolve, reject) => {
+      this.waiters.set(job.id, { resolve, reject });
+    });
+
+    const jobs = await this.getJobs();
+    jobs.push(job);
+    await this.saveJobs(jobs);
+
+    console.log(`Queued export ${job.id}: ${job.totalPosts} posts in ${job.chunks.length} chunks`);
+
+    this.startProcessing();
+
+    return completion;
+  }
+
+  /**
+   * Save the exported posts to the post library, so jobs can refer to posts by ID
+   * and export what the caller passed in, not an older stored copy.
+   * The library only adds a metric snapshot when a post's metrics changed.
+   * @param {Array} posts - Posts to export
+   * @returns {Promise<Array>} IDs of the posts, in export order
+   */
+  async storePosts(posts) {
+    const validPosts = (posts || []).filter(post => post && post.id);
+
+    if (validPosts.length > 0) {
+      await this.postLibrary.upsertPosts(validPosts);
+    }
+
+    return validPosts.map(post => post.id);
+  }
+
+  /**
+   * Resume jobs left over from a previous service worker instance
+   * Nobody waits on a resumed job any more, the caller's promise went away with the old
+   * worker. Its outcome is only broadcast as exportComplete or exportError.
+   */
+  async resume() {
+    const jobs = await this.getJobs();
+
+    if (jobs.length > 0) {
+      console.log(`Resuming ${jobs.length} queued export(s)`);
+      this.startProcessing();
+    }
+  }
+
+  /**
+   * Process queued jobs one at a time
+   */
+  async processQueue() {
+    if (this.isProcessing) return;
+
+    this.isProcessing = true;
+
+    try {
+      let jobs = await this.getJobs();
+
+      while (jobs.length > 0) {
+        await this.runJob(jobs[0]);
+        jobs = await this.getJobs();
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+
+    // A job enqueued after the last check saw isProcessing still set and did not start the loop
+    if ((await this.getJobs()).length > 0) {
+      this.startProcessing();
+    }
+  }
+
+  /**
+   * Start processing the queue without waiting for it.
+   * Errors outside a job's own retry handling, such as a storage quota error while
+   * saving progress, fail every waiting caller instead of going unhandled.
+   */
+  startProcessing() {
+    this.processQueue().catch(error => this.failWaiters(error));
+  }
+
+  /**
+   * Reject every caller waiting on a job and report the error
+   * The jobs stay queued and are picked up by the next resume().
+   * @param {Error} error - Error that stopped the queue
+   */
+  failWaiters(error) {
+    console.error('Export queue stopped:', error);
+
+    this.broadcast({
+      action: 'exportError',
+      error: error.message
+    });
+
+    Array.from(this.waiters.keys()).forEach(jobId => this.settle(jobId, 'reject', error));
+  }
+
+  /**
+   * Run a single job until it completes or fails
+   * @param {object} job - Queued job
+   */
+  async runJob(job) {
+    job.status = 'running';
+
+    while (job.nextChunk < job.chunks.length) {
+      await this.waitUntil(job.nextAttemptAt);
+
+      const chunk = job.chunks[job.nextChunk];
+
+      try {
+        // Posts deleted from the library since the export was queued are skipped
+        const posts = await this.postLibrary.getPosts(chunk);
+
+        const result = posts.length > 0
+          ? await this.sheetsAPI.exportPosts(posts, job.sheetId, {
+            mode: 'upsert',
+            sheetName: job.sheetName
+          })
+          : { created: 0, updated: 0, unchanged: 0, sheetUrl: job.sheetUrl };
+
+        job.totals.created += result.created;
+        job.totals.updated += result.updated;
+        job.totals.unchanged += result.unchanged;
+        job.sheetUrl = result.sheetUrl;
+        job.processedPosts = (job.processedPosts || 0) + chunk.length;
+        job.nextChunk++;
+        job.attempts = 0;
+        job.nextAttemptAt = null;
+        job.status = 'running';
+
+        await this.updateJob(job);
+
+        this.broadcast({
+          action: 'exportProgress',
+          progress: job.nextChunk / job.chunks.length,
+          text: `Exported ${job.processedPosts} of ${job.totalPosts} posts...`
+        });
+
+      } catch (error) {
+        job.attempts++;
+
+        if (!this.isRetryableError(error) || job.attempts >= this.maxAttempts) {
+          await this.failJob(job, error);
+          return;
+        }
+
+        const delay = this.getRetryDelay(job.attempts);
+        job.status = 'retrying';
+        job.nextAttemptAt = Date.now() + delay;
+        await this.updateJob(job);
+
+        console.warn(`Export chunk ${job.nextChunk + 1}/${job.chunks.length} failed, retrying in ${delay}ms:`, error.message);
+
+        this.broadcast({
+          action: 'exportProgress',
+          progress: job.nextChunk / job.chunks.length,
+          text: `Google Sheets is busy, retrying in ${Math.ceil(delay / 1000)}s...`
+        });
+      }
+    }
+
+    await this.completeJob(job);
+  }
+
+  /**
+   * Finish a job successfully
+   * @param {object} job - Queued job
+   */
+  async completeJob(job) {
+    await this.removeJob(job.id);
+
+    const result = {
+      success: true,
+      sheetId: job.sheetId,
+      sheetName: job.sheetName,
+      sheetUrl: job.sheetUrl || `https://docs.google.com/spreadsheets/d/${job.sheetId}`,
+      exportedCount: job.totals.created + job.totals.updated,
+      created: job.totals.created,
+      updated: job.totals.updated,
+      unchanged: job.totals.unchanged
+    };
+
+    console.log(`Export ${job.id} completed:`, result);
+
+    this.broadcast({
+      action: 'exportComplete',
+      data: { ...result, postsExported: result.exportedCount }
+    });
+
+    this.settle(job.id, 'resolve', result);
+  }
+
+  /**
+   * Finish a job with an error
+   * @param {object} job - Queued job
+   * @param {Error} error - Last error
+   */
+  async failJob(job, error) {
+    await this.removeJob(job.id);
+
+    console.error(`Export ${job.id} failed after ${job.attempts} attempt(s):`, error);
+
+    this.broadcast({
+      action: 'exportError',
+      error: error.message
+    });
+
+    this.settle(job.id, 'reject', error);
+  }
+
+  /**
+   * Resolve or reject the caller waiting on a job, if it is still around
+   * Jobs resumed after a service worker restart have no waiter, see resume().
+   * @param {string} jobId - Job ID
+   * @param {string} outcome - 'resolve' or 'reject'
+   * @param {any} value - Result or error
+   */
+  settle(jobId, outcome, value) {
+    const waiter = this.waiters.get(jobId);
+    if (waiter) {
+      this.waiters.delete(jobId);
+      waiter[outcome](value);
+    }
+  }
+
+  /**
+   * Split post IDs into chunks
+   * @param {Array} postIds - IDs of the posts to export
+   * @param {number} batchSize - Posts per chunk
+   * @returns {Array} Array of post ID chunks
+   */
+  chunkPosts(postIds, batchSize) {
+    const chunks = [];
+    for (let i = 0; i < postIds.length; i += batchSize) {
+      chunks.push(postIds.slice(i, i + batchSize));
+    }
+    return chunks;
+  }
+
+  /**
+   * Clamp the configured batch size to a usable value
+   * @param {number|string} batchSize - Configured batch size
+   * @returns {number} Batch size between 1 and 1000
+   */
+  normalizeBatchSize(batchSize) {
+    const size = parseInt(batchSize, 10);
+    if (isNaN(size) || size < 1) return this.defaultBatchSize;
+    return Math.min(size, 1000);
+  }
+
+  /**
+   * Check whether an error is worth retrying
+   * @param {Error} error - Error thrown by SheetsAPI
+   * @returns {boolean} True for rate limits, server errors and network failures
+   */
+  isRetryableError(error) {
+    if (error.status) {
+      return error.status === 429 || error.status >= 500;
+    }
+
+    // fetch rejects with a TypeError when the network request itself fails
+    return error instanceof TypeError;
+  }
+
+  /**
+   * Exponential backoff delay with jitter
+   * @param {number} attempt - Attempt number (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt) {
+    const delay = Math.min(this.baseRetryDelay * Math.pow(2, attempt - 1), this.maxRetryDelay);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  /**
+   * Wait until the given time
+   * @param {number|null} timestamp - Epoch milliseconds
+   */
+  async waitUntil(timestamp) {
+    const remaining = timestamp ? timestamp - Date.now() : 0;
+    if (remaining > 0) {
+      await new Promise(resolve => setTimeout(resolve, remaining));
+    }
+  }
+
+  /**
+   * Send a progress message to the popup and other extension pages
+   * @param {object} message - Message to send
+   */
+  broadcast(message) {
+    try {
+      chrome.runtime.sendMessage(message).catch(() => {
+        // No listeners when the popup is closed
+      });
+    } catch (error) {
+      // Ignore errors when chrome.runtime is not available
+    }
+  }
+
+  /**
+   * Get persisted jobs
+   * @returns {Promise<Array>} Queued jobs
+   */
+  async getJobs() {
+    const result = await chrome.storage.local.get(this.storageKey);
+    return result[this.storageKey] || [];
+  }
+
+  /**
+   * Persist jobs
+   * @param {Array} jobs - Queued jobs
+   */
+  async saveJobs(jobs) {
+    await chrome.storage.local.set({ [this.storageKey]: jobs });
+  }
+
+  /**
+   * Persist the current state of a job
+   * @param {object} job - Queued job
+   */
+  async updateJob(job) {
+    const jobs = await this.getJobs();
+    const index = jobs.findIndex(queued => queued.id === job.id);
+
+    if (index >= 0) {
+      jobs[index] = { ...job, updatedAt: new Date().toISOString() };
+      await this.saveJobs(jobs);
+    }
+  }
+
+  /**
+   * Remove a job from the queue
+   * @param {string} jobId - Job ID
+   */
+  async removeJob(jobId) {
+    const jobs = await this.getJobs();
+    await this.saveJobs(jobs.filter(job => job.id !== jobId));
+  }
+}
+
+// Make available globally
+self.ExportQueue = ExportQueue;
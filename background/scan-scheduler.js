@@ -0,0 +1,395 @@
+/**
+ * Scan Scheduler
+ * Runs incremental scans on a chrome.alarms schedule in a background LinkedIn tab,
+ * optionally exports the results and keeps a history of every run
+ */
+
+class ScanScheduler {
+  /**
+   * @param {Function} exportPosts - Exports scanned posts, resolves with the export result
+   */
+  constructor(exportPosts) {
+    this.exportPosts = exportPosts;
+    this.alarmName = 'scheduledScan';
+    this.historyKey = 'scanHistory';
+    this.runKey = 'scheduledScanRun';
+    this.maxHistoryEntries = 50;
+    this.defaultSourceUrl = 'https://www.linkedin.com/my-items/saved-posts/';
+    this.defaultInterval = 5;
+    this.minInterval = 5;
+    this.maxInterval = 1440;
+    this.settingKeys = ['autoScan', 'scanInterval', 'scanSourceUrl'];
+    this.tabLoadTimeout = 60000;
+    this.contentScriptAttempts = 20;
+    this.contentScriptRetryDelay = 1000;
+    // A run that has not reported back by then is recorded as failed
+    this.runTimeout = 30 * 60 * 1000;
+
+    this.isStarting = false;
+  }
+
+  /**
+   * Register or clear the alarm to match the saved schedule
+   */
+  async init() {
+    await this.updateSchedule();
+  }
+
+  /**
+   * Get the schedule saved by the options page
+   * @returns {Promise<object>} Schedule ({ autoScan, interval, sourceUrl, autoExport })
+   */
+  async getSchedule() {
+    const stored = await chrome.storage.sync.get([...this.settingKeys, 'autoExport']);
+
+    return {
+      autoScan: stored.autoScan || false,
+      interval: this.normalizeInterval(stored.scanInterval),
+      sourceUrl: this.normalizeSourceUrl(stored.scanSourceUrl),
+      autoExport: stored.autoExport || false
+    };
+  }
+
+  /**
+   * Create, replace or clear the scan alarm
+   */
+  async updateSchedule() {
+    const schedule = await this.getSchedule();
+
+    if (!schedule.autoScan) {
+      await chrome.alarms.clear(this.alarmName);
+      return;
+    }
+
+    // Keep an existing alarm so service worker restarts do not push the next run back
+    const existing = await chrome.alarms.get(this.alarmName);
+    if (existing && existing.periodInMinutes === schedule.interval) {
+      return;
+    }
+
+    await chrome.alarms.create(this.alarmName, {
+      delayInMinutes: schedule.interval,
+      periodInMinutes: schedule.interval
+    });
+    console.log(`Scheduled scans every ${schedule.interval} minutes`);
+  }
+
+  /**
+   * Handle a fired alarm
+   * @param {object} alarm - Chrome alarm
+   */
+  async handleAlarm(alarm) {
+    if (alarm.name !== this.alarmName) return;
+
+    await this.runScheduledScan();
+  }
+
+  /**
+   * Reschedule when the scan settings change
+   * @param {object} changes - Changed storage keys
+   * @param {string} areaName - Storage area
+   */
+  async handleStorageChange(changes, areaName) {
+    if (areaName !== 'sync') return;
+
+    if (this.settingKeys.some(key => key in changes)) {
+      await this.updateSchedule();
+    }
+  }
+
+  /**
+   * Start a scan of the configured source and record the run
+   * The content script reports the result with a SCAN_COMPLETED message, so the
+   * service worker does not have to stay alive while the tab scrolls.
+   * @returns {Promise<object|null>} History entry, or null if a scan is already running
+   */
+  async runScheduledScan() {
+    const active = await this.getActiveRun();
+
+    if (this.isStarting || (active && Date.now() - Date.parse(active.entry.startedAt) < this.runTimeout)) {
+      console.warn('Scheduled scan skipped, previous scan still running');
+      return null;
+    }
+
+    if (active) {
+      await this.finishRun(active, { error: 'Scan did not report back from the LinkedIn tab' });
+    }
+
+    this.isStarting = true;
+    const schedule = await this.getSchedule();
+    const run = {
+      entry: {
+        id: `scan_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        source: schedule.sourceUrl,
+        status: 'running',
+        count: 0,
+        newPostsCount: 0,
+        exported: false,
+        exportedCount: 0,
+        error: null,
+        reason: null
+      },
+      autoExport: schedule.autoExport,
+      tabId: null,
+      createdTab: false
+    };
+
+    try {
+      await this.saveActiveRun(run);
+      await this.recordRun(run.entry);
+
+      const { tab, created } = await this.getScanTab(schedule.sourceUrl);
+      run.tabId = tab.id;
+      run.createdTab = created;
+      await this.saveActiveRun(run);
+
+      await this.waitForContentScript(tab.id);
+
+      const response = await chrome.tabs.sendMessage(tab.id, {
+        type: 'START_SCAN',
+        options: { incremental: true, runId: run.entry.id }
+      });
+
+      if (!response || response.error) {
+        return await this.finishRun(run, response);
+      }
+    } catch (error) {
+      return await this.finishRun(run, { error: error.message });
+    } finally {
+      this.isStarting = false;
+    }
+
+    return run.entry;
+  }
+
+  /**
+   * Record the result a content script reported for a scheduled scan
+   * @param {string} runId - History entry ID sent with START_SCAN
+   * @param {object} result - Scan result, or { error, reason } if the scan failed
+   * @returns {Promise<object|null>} History entry, or null for an unknown run
+   */
+  async handleScanCompleted(runId, result) {
+    const run = await this.getActiveRun();
+
+    if (!run || run.entry.id !== runId) {
+      console.warn(`Ignoring result of scheduled scan ${runId}, it is no longer running`);
+      return null;
+    }
+
+    return await this.finishRun(run, result);
+  }
+
+  /**
+   * Export the scanned posts if needed, record the run and close the tab it opened
+   * @param {object} run - Active run
+   * @param {object} result - Scan result, or { error, reason } if the scan failed
+   * @returns {Promise<object>} History entry
+   */
+  async finishRun(run, result) {
+    const entry = { ...run.entry };
+
+    try {
+      if (!result || result.error) {
+        // LinkedIn throttling and the hourly budget abort scans with a reason
+        entry.reason = result ? result.reason || null : null;
+        throw new Error(result ? result.error : 'No response from content script');
+      }
+
+      entry.count = result.count || 0;
+      entry.newPostsCount = result.newPostsCount || 0;
+
+      if (run.autoExport && entry.count > 0) {
+        const exportResult = await this.exportPosts(result.posts);
+
+        if (!exportResult.success) {
+          throw new Error(`Export failed: ${exportResult.error}`);
+        }
+
+        entry.exported = true;
+        entry.exportedCount = exportResult.exportedCount || 0;
+      }
+
+      entry.status = 'completed';
+    } catch (error) {
+      console.error('Scheduled scan failed:', error);
+      entry.status = 'failed';
+      entry.error = error.message;
+    } finally {
+      entry.finishedAt = new Date().toISOString();
+      await this.recordRun(entry);
+      await chrome.storage.local.remove(this.runKey);
+      await this.closeScanTab(run);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Find a LinkedIn tab showing the source, or open a pinned one in the background
+   * @param {string} sourceUrl - Page to scan
+   * @returns {Promise<object>} Loaded tab and whether it was opened for the scan ({ tab, created })
+   */
+  async getScanTab(sourceUrl) {
+    const tabs = await chrome.tabs.query({ url: 'https://www.linkedin.com/*' });
+    const existing = tabs.find(tab => tab.url && this.isSameSource(tab.url, sourceUrl));
+
+    if (existing) {
+      return { tab: existing, created: false };
+    }
+
+    const tab = await chrome.tabs.create({ url: sourceUrl, active: false, pinned: true });
+    return { tab: await this.waitForTabLoad(tab.id), created: true };
+  }
+
+  /**
+   * Close the tab a run opened, leaving the user's own tabs alone
+   * @param {object} run - Finished run
+   */
+  async closeScanTab(run) {
+    if (!run.createdTab || run.tabId === null) return;
+
+    try {
+      await chrome.tabs.remove(run.tabId);
+    } catch (error) {
+      // Already closed by the user
+    }
+  }
+
+  /**
+   * Check if a tab URL shows the source page
+   * @param {string} tabUrl - Tab URL
+   * @param {string} sourceUrl - Source URL
+   * @returns {boolean} True if both point at the same page
+   */
+  isSameSource(tabUrl, sourceUrl) {
+    try {
+      const tab = new URL(tabUrl);
+      const source = new URL(sourceUrl);
+      const trimSlash = path => path.replace(/\/+$/, '');
+
+      return tab.hostname === source.hostname &&
+        trimSlash(tab.pathname) === trimSlash(source.pathname) &&
+        tab.search === source.search;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Wait for a tab to finish loading
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<object>} Loaded tab
+   */
+  async waitForTabLoad(tabId) {
+    const deadline = Date.now() + this.tabLoadTimeout;
+
+    while (Date.now() < deadline) {
+      const tab = await chrome.tabs.get(tabId);
+      if (tab.status === 'complete') {
+        return tab;
+      }
+      await this.delay(this.contentScriptRetryDelay);
+    }
+
+    throw new Error('LinkedIn tab did not finish loading');
+  }
+
+  /**
+   * Wait until the content script in a tab has initialized
+   * @param {number} tabId - Tab ID
+   */
+  async waitForContentScript(tabId) {
+    for (let attempt = 0; attempt < this.contentScriptAttempts; attempt++) {
+      try {
+        const response = await chrome.tabs.sendMessage(tabId, { type: 'PING' });
+        if (response && response.initialized) {
+          return;
+        }
+      } catch (error) {
+        // Content script not injected yet
+      }
+      await this.delay(this.contentScriptRetryDelay);
+    }
+
+    throw new Error('Content script did not respond in the LinkedIn tab');
+  }
+
+  /**
+   * Get the scheduled scan that is still running
+   * It is kept in storage, the service worker can be restarted before the scan reports back.
+   * @returns {Promise<object|null>} Active run ({ entry, autoExport, tabId, createdTab })
+   */
+  async getActiveRun() {
+    const result = await chrome.storage.local.get(this.runKey);
+    return result[this.runKey] || null;
+  }
+
+  /**
+   * Save the scheduled scan that is running
+   * @param {object} run - Active run
+   */
+  async saveActiveRun(run) {
+    await chrome.storage.local.set({ [this.runKey]: run });
+  }
+
+  /**
+   * Add a run to the scan history, or replace it once it finished, keeping the most recent entries
+   * @param {object} entry - History entry
+   */
+  async recordRun(entry) {
+    const history = (await this.getScanHistory()).filter(item => item.id !== entry.id);
+    history.unshift(entry);
+
+    await chrome.storage.local.set({ [this.historyKey]: history.slice(0, this.maxHistoryEntries) });
+  }
+
+  /**
+   * Get recorded scheduled scans, newest first
+   * @returns {Promise<Array>} History entries
+   */
+  async getScanHistory() {
+    const result = await chrome.storage.local.get(this.historyKey);
+    return result[this.historyKey] || [];
+  }
+
+  /**
+   * Keep the interval within the supported range
+   * @param {number|string} value - Interval in minutes
+   * @returns {number} Interval in minutes
+   */
+  normalizeInterval(value) {
+    const interval = parseInt(value, 10);
+    if (isNaN(interval)) return this.defaultInterval;
+    return Math.min(Math.max(interval, this.minInterval), this.maxInterval);
+  }
+
+  /**
+   * Only scan LinkedIn pages, falling back to saved posts
+   * @param {string} url - Configured source URL
+   * @returns {string} Source URL
+   */
+  normalizeSourceUrl(url) {
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol === 'https:' && parsed.hostname === 'www.linkedin.com') {
+        return parsed.href;
+      }
+    } catch (error) {
+      // Fall through to the default source
+    }
+    return this.defaultSourceUrl;
+  }
+
+  /**
+   * Wait for the given time
+   * @param {number} ms - Milliseconds
+   */
+  async delay(ms) {
+    await new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Make available globally
+self.ScanScheduler = ScanScheduler;
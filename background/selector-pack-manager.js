@@ -0,0 +1,210 @@
+/**
+ * Selector Pack Manager
+ * Keeps the active selector pack: the bundled default, or one imported from a file
+ * or URL, optionally pinned to a single pack version
+ */
+
+class SelectorPackManager {
+  /**
+   * @param {object} validator - SelectorPack instance used to validate packs
+   * @param {string} extensionVersion - Running extension version
+   */
+  constructor(validator, extensionVersion) {
+    this.validator = validator;
+    this.extensionVersion = extensionVersion;
+    this.bundledPackPath = 'assets/selector-packs/default.json';
+    this.storageKey = 'selectorPack';
+    this.settingKeys = ['selectorPackUrl', 'selectorPackPinnedVersion'];
+
+    this.bundledPack = null;
+  }
+
+  /**
+   * Refresh the pack from the configured URL, keeping the stored one on failure
+   */
+  async init() {
+    const { url } = await this.getSettings();
+    if (!url) return;
+
+    try {
+      await this.refreshFromUrl(url);
+    } catch (error) {
+      console.warn('Selector pack refresh failed, keeping the current pack:', error.message);
+    }
+  }
+
+  /**
+   * Get the pack settings saved by the options page
+   * @returns {Promise<object>} Settings ({ url, pinnedVersion })
+   */
+  async getSettings() {
+    const stored = await chrome.storage.sync.get(this.settingKeys);
+
+    return {
+      url: stored.selectorPackUrl || '',
+      pinnedVersion: stored.selectorPackPinnedVersion || ''
+    };
+  }
+
+  /**
+   * Refresh the pack when its URL changes
+   * @param {object} changes - Changed storage keys
+   * @param {string} areaName - Storage area
+   */
+  async handleStorageChange(changes, areaName) {
+    if (areaName !== 'sync' || !changes.selectorPackUrl) return;
+
+    const url = changes.selectorPackUrl.newValue;
+    if (!url) return;
+
+    try {
+      await this.refreshFromUrl(url);
+    } catch (error) {
+      console.warn('Selector pack refresh failed, keeping the current pack:', error.message);
+    }
+  }
+
+  /**
+   * Get the pack content scripts should merge over their built-in selectors
+   * @returns {Promise<object>} Active pack ({ pack, source, url, importedAt })
+   */
+  async getActivePack() {
+    const { pinnedVersion } = await this.getSettings();
+    const result = await chrome.storage.local.get(this.storageKey);
+    const stored = result[this.storageKey];
+
+    if (stored && !stored.rejected && this.isUsable(stored.pack, pinnedVersion)) {
+      return stored;
+    }
+
+    return { pack: await this.getBundledPack(), source: 'bundled', url: null, importedAt: null };
+  }
+
+  /**
+   * Load the pack shipped with the extension
+   * @returns {Promise<object>} Bundled pack
+   */
+  async getBundledPack() {
+    if (!this.bundledPack) {
+      const response = await fetch(chrome.runtime.getURL(this.bundledPackPath));
+      this.bundledPack = await response.json();
+    }
+
+    return this.bundledPack;
+  }
+
+  /**
+   * Stop serving the stored pack after a content script rejected it.
+   * Selectors are only parsed where there is a DOM, so this is the first place
+   * a pack with malformed CSS is caught.
+   * @param {string} importedAt - Import time of the pack the content script was given
+   * @param {Array<string>} errors - Validation errors found by the content script
+   * @returns {Promise<boolean>} True if the stored pack was marked as rejected
+   */
+  async recordRejection(importedAt, errors = []) {
+    const result = await chrome.storage.local.get(this.storageKey);
+    const stored = result[this.storageKey];
+
+    // A newer pack may have been imported since the content script asked
+    if (!stored || stored.importedAt !== importedAt || stored.rejected) return false;
+
+    await chrome.storage.local.set({
+      [this.storageKey]: { ...stored, rejected: { errors: errors, rejectedAt: new Date().toISOString() } }
+    });
+    console.warn(`Selector pack ${stored.pack.name} ${stored.pack.version} was rejected by the page:`, errors);
+
+    return true;
+  }
+
+  /**
+   * Check that a stored pack is still valid and matches the pinned version
+   * @param {object} pack - Selector pack
+   * @param {string} pinnedVersion - Pinned pack version, empty when not pinned
+   * @returns {boolean} True if the pack can be used
+   */
+  isUsable(pack, pinnedVersion) {
+    if (!this.validator.validate(pack, this.extensionVersion).valid) return false;
+    return !pinnedVersion || pack.version === pinnedVersion;
+  }
+
+  /**
+   * Validate and store a pack as the active one
+   * @param {object} pack - Selector pack
+   * @param {string} source - 'file' or 'url'
+   * @param {string} url - URL the pack was fetched from
+   * @returns {Promise<object>} Pack info
+   */
+  async importPack(pack, source = 'file', url = null) {
+    const { valid, errors } = this.validator.validate(pack, this.extensionVersion);
+    if (!valid) {
+      const error = new Error(`Invalid selector pack: ${errors.join('; ')}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    const { pinnedVersion } = await this.getSettings();
+    if (pinnedVersion && pack.version !== pinnedVersion) {
+      throw new Error(`Selector pack version ${pack.version} does not match the pinned version ${pinnedVersion}`);
+    }
+
+    await chrome.storage.local.set({
+      [this.storageKey]: { pack: pack, source: source, url: url, importedAt: new Date().toISOString() }
+    });
+    console.log(`Selector pack ${pack.name} ${pack.version} imported from ${source}`);
+
+    return await this.getPackInfo();
+  }
+
+  /**
+   * Fetch a pack from a URL and make it the active one
+   * @param {string} url - HTTPS URL of a selector pack
+   * @returns {Promise<object>} Pack info
+   */
+  async refreshFromUrl(url) {
+    if (!/^https:\/\//i.test(url || '')) {
+      throw new Error('Selector pack URL must use https');
+    }
+
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`Selector pack download failed with status ${response.status}`);
+    }
+
+    return await this.importPack(await response.json(), 'url', url);
+  }
+
+  /**
+   * Go back to the bundled pack
+   * @returns {Promise<object>} Pack info
+   */
+  async resetPack() {
+    await chrome.storage.local.remove(this.storageKey);
+    return await this.getPackInfo();
+  }
+
+  /**
+   * Describe the active pack, and the imported pack content scripts rejected, if any
+   * @returns {Promise<object>} Pack info ({ name, version, source, url, importedAt, pinnedVersion, rejected })
+   */
+  async getPackInfo() {
+    const active = await this.getActivePack();
+    const { pinnedVersion } = await this.getSettings();
+    const stored = (await chrome.storage.local.get(this.storageKey))[this.storageKey];
+    const rejected = stored && stored.rejected
+      ? { name: stored.pack.name, version: stored.pack.version, errors: stored.rejected.errors }
+      : null;
+
+    return {
+      name: active.pack.name,
+      version: active.pack.version,
+      source: active.source,
+      url: active.url,
+      importedAt: active.importedAt,
+      pinnedVersion: pinnedVersion || null,
+      rejected: rejected
+    };
+  }
+}
+
+// Make available globally
+self.SelectorPackManager = SelectorPackManager;
@@ -4,10 +4,26 @@
  */
 
 class SheetsAPI {
-  constructor() {
+  /**
+   * @param {DataFormatter} formatter - Formatter whose cell helpers the CSV export uses too
+   */
+  constructor(formatter) {
+    this.formatter = formatter;
     this.baseUrl = 'https://sheets.googleapis.com/v4/spreadsheets';
     this.driveUrl = 'https://www.googleapis.com/drive/v3';
     this.authManager = null;
+
+    // Columns rewritten when an already-exported post is exported again
+    this.refreshColumns = [
+      'Likes', 'Comments', 'Shares', 'Views', 'Engagement Rate (%)', 'Extracted Date',
+      'Like Reactions', 'Celebrate Reactions', 'Support Reactions', 'Love Reactions',
+      'Insightful Reactions', 'Funny Reactions', 'Top Reactions',
+      'Poll Option 1', 'Poll Option 2', 'Poll Option 3', 'Poll Option 4',
+      'Poll Total Votes', 'Poll Closed'
+    ];
+
+    // LinkedIn polls allow at most four options
+    this.maxPollOptions = 4;
   }
 
   /**
@@ -21,9 +37,10 @@ class SheetsAPI {
   /**
    * Create a new Google Sheet
    * @param {string} title - Sheet title
+   * @param {string} sheetName - Title of the tab posts are written to
    * @returns {Promise<object>} Created sheet information
    */
-  async createSheet(title) {
+  async createSheet(title, sheetName = 'LinkedIn Posts') {
     try {
       if (!this.authManager) {
         this.authManager = new GoogleAuthManager();
@@ -40,10 +57,10 @@ class SheetsAPI {
         },
         sheets: [{
           properties: {
-            title: 'LinkedIn Posts',
+            title: sheetName,
             gridProperties: {
               rowCount: 1000,
-              columnCount: 26
+              columnCount: this.getHeaders().length
             }
           }
         }]
@@ -56,14 +73,14 @@ class SheetsAPI {
       });
 
       if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Failed to create sheet: ${error.error?.message || response.statusText}`);
+        throw await this.createResponseError(response, 'create sheet');
       }
 
       const sheet = await response.json();
       
       // Set up the sheet with headers
-      await this.setupSheetHeaders(sheet.spreadsheetId);
+      const gridId = sheet.sheets?.[0]?.properties?.sheetId || 0;
+      await this.setupSheetHeaders(sheet.spreadsheetId, sheetName, gridId);
       
       // Make sheet publicly viewable (optional)
       await this.makeSheetViewable(sheet.spreadsheetId);
@@ -85,21 +102,18 @@ class SheetsAPI {
   /**
    * Setup sheet headers
    * @param {string} sheetId - Sheet ID
+   * @param {string|null} sheetName - Tab title (first tab when omitted)
+   * @param {number} gridId - Numeric ID of the tab
    */
-  async setupSheetHeaders(sheetId) {
+  async setupSheetHeaders(sheetId, sheetName = null, gridId = 0) {
     try {
-      const headers = [
-        'Post ID', 'Post URL', 'Author Name', 'Author Profile', 'Author Title', 'Author Company',
-        'Content Text', 'Word Count', 'Character Count', 'Hashtags', 'Mentions', 'Post Type',
-        'Likes', 'Comments', 'Shares', 'Views', 'Engagement Rate (%)', 'Sentiment',
-        'Has Media', 'Images Count', 'Videos Count', 'Documents Count',
-        'Posted Date', 'Relative Time', 'Day of Week', 'Time of Day', 'Extracted Date'
-      ];
-
-      await this.updateRange(sheetId, 'A1:AA1', [headers]);
+      const headers = this.getHeaders();
+      const endColumn = this.numberToColumn(headers.length);
+
+      await this.updateRange(sheetId, this.qualifyRange(sheetName, `A1:${endColumn}1`), [headers]);
       
       // Format headers
-      await this.formatHeaders(sheetId);
+      await this.formatHeaders(sheetId, gridId);
 
     } catch (error) {
       console.error('Failed to setup sheet headers:', error);
@@ -107,11 +121,35 @@ class SheetsAPI {
     }
   }
 
+  /**
+   * Get sheet header row, in the same column order as formatPostsForSheets
+   * @returns {Array} Header names
+   */
+  getHeaders() {
+    return [
+      'Post ID', 'Post URL', 'Author Name', 'Author Profile', 'Author Title', 'Author Company',
+      'Content Text', 'Word Count', 'Character Count', 'Hashtags', 'Mentions', 'Post Type',
+      'Likes', 'Comments', 'Shares', 'Views', 'Engagement Rate (%)', 'Sentiment',
+      'Has Media', 'Images Count', 'Videos Count', 'Documents Count',
+      'Posted Date', 'Relative Time', 'Day of Week', 'Time of Day', 'Extracted Date',
+      'Like Reactions', 'Celebrate Reactions', 'Support Reactions', 'Love Reactions',
+      'Insightful Reactions', 'Funny Reactions', 'Top Reactions',
+      'Reposted By', 'Original Author', 'Original Author Profile', 'Original Post URL',
+      'Timestamp Source',
+      'Poll Question', 'Poll Option 1', 'Poll Option 2', 'Poll Option 3', 'Poll Option 4',
+      'Poll Total Votes', 'Poll Closed',
+      'Document Title', 'Document Pages', 'Image Alt Text',
+      'Article URL', 'Article Title', 'Article Source', 'Links',
+      'Content Truncated', 'Source'
+    ];
+  }
+
   /**
    * Format sheet headers
    * @param {string} sheetId - Sheet ID
+   * @param {number} gridId - Numeric ID of the tab
    */
-  async formatHeaders(sheetId) {
+  async formatHeaders(sheetId, gridId = 0) {
     try {
       const authHeaders = await this.authManager.getAuthHeaders();
       
@@ -119,11 +157,11 @@ class SheetsAPI {
         requests: [{
           repeatCell: {
             range: {
-              sheetId: 0,
+              sheetId: gridId,
               startRowIndex: 0,
               endRowIndex: 1,
               startColumnIndex: 0,
-              endColumnIndex: 27
+              endColumnIndex: this.getHeaders().length
             },
             cell: {
               userEnteredFormat: {
@@ -141,7 +179,7 @@ class SheetsAPI {
         }, {
           updateSheetProperties: {
             properties: {
-              sheetId: 0,
+              sheetId: gridId,
               gridProperties: {
                 frozenRowCount: 1
               }
@@ -198,44 +236,55 @@ class SheetsAPI {
 
   /**
    * Export posts to Google Sheet
+   * In 'upsert' mode (default) rows are keyed by Post ID: known posts get their
+   * metrics and extracted date refreshed, new posts are appended. 'append' mode
+   * writes every post as a new row.
    * @param {Array} posts - Array of post objects
    * @param {string} sheetId - Target sheet ID
+   * @param {object} options - Export options ({ mode: 'upsert' | 'append', sheetName })
    * @returns {Promise<object>} Export result
    */
-  async exportPosts(posts, sheetId) {
+  async exportPosts(posts, sheetId, options = {}) {
     try {
       if (!posts || posts.length === 0) {
         throw new Error('No posts to export');
       }
 
-      console.log(`Exporting ${posts.length} posts to sheet ${sheetId}`);
+      const mode = options.mode || 'upsert';
+      const sheetName = options.sheetName || null;
+
+      console.log(`Exporting ${posts.length} posts to sheet ${sheetId}${sheetName ? ` (${sheetName})` : ''} (${mode})`);
+
+      // Resolve the target tab, creating it when it does not exist yet
+      const tab = sheetName
+        ? await this.resolveSheetTab(sheetId, sheetName)
+        : { id: 0, title: null };
 
       // Format posts data for sheets
       const formattedData = this.formatPostsForSheets(posts);
-      
-      // Find next empty row
-      const nextRow = await this.findNextEmptyRow(sheetId);
-      
-      // Calculate range
-      const endColumn = this.numberToColumn(formattedData[0].length);
-      const range = `A${nextRow}:${endColumn}${nextRow + formattedData.length - 1}`;
-      
-      // Update sheet with data
-      await this.updateRange(sheetId, range, formattedData);
-      
+
+      const result = mode === 'append'
+        ? await this.appendRows(sheetId, formattedData, tab.title)
+        : await this.upsertRows(sheetId, formattedData, tab.title);
+
       // Auto-resize columns
-      await this.autoResizeColumns(sheetId);
+      await this.autoResizeColumns(sheetId, tab.id);
 
       const sheetUrl = `https://docs.google.com/spreadsheets/d/${sheetId}`;
 
-      console.log('Posts exported successfully to Google Sheets');
+      console.log(`Posts exported to Google Sheets: ${result.created} created, ${result.updated} updated, ${result.unchanged} unchanged`);
 
       return {
         success: true,
         sheetId: sheetId,
         sheetUrl: sheetUrl,
-        exportedCount: posts.length,
-        range: range
+        sheetName: tab.title,
+        mode: mode,
+        exportedCount: result.created + result.updated,
+        created: result.created,
+        updated: result.updated,
+        unchanged: result.unchanged,
+        range: result.range
       };
 
     } catch (error) {
@@ -244,6 +293,164 @@ class SheetsAPI {
     }
   }
 
+  /**
+   * Append rows after the last used row
+   * @param {string} sheetId - Sheet ID
+   * @param {Array} rows - Formatted rows
+   * @param {string|null} sheetName - Tab title (first tab when omitted)
+   * @returns {Promise<object>} Row counts and written range
+   */
+  async appendRows(sheetId, rows, sheetName = null) {
+    // Find next empty row
+    const nextRow = await this.findNextEmptyRow(sheetId, sheetName);
+    const range = await this.writeRows(sheetId, nextRow, rows, sheetName);
+
+    return { created: rows.length, updated: 0, unchanged: 0, range: range };
+  }
+
+  /**
+   * Update rows whose Post ID already exists and append the rest
+   * @param {string} sheetId - Sheet ID
+   * @param {Array} rows - Formatted rows
+   * @param {string|null} sheetName - Tab title (first tab when omitted)
+   * @returns {Promise<object>} Row counts and appended range
+   */
+  async upsertRows(sheetId, rows, sheetName = null) {
+    const { rowsById, nextRow } = await this.getExistingRows(sheetId, sheetName);
+
+    const newRows = [];
+    const updates = [];
+    const seenIds = new Set();
+    let updated = 0;
+    let unchanged = 0;
+
+    rows.forEach(row => {
+      const postId = String(row[0] || '');
+
+      // Posts repeated within the same export are only written once
+      if (postId && seenIds.has(postId)) return;
+      if (postId) seenIds.add(postId);
+
+      const existing = postId ? rowsById.get(postId) : null;
+
+      if (!existing) {
+        newRows.push(row);
+      } else if (this.hasRefreshChanges(existing.values, row)) {
+        updates.push(...this.buildRefreshRanges(existing.rowNumber, row, sheetName));
+        updated++;
+      } else {
+        // Metrics are the same, but the post was still checked again
+        const dateRange = this.buildExtractedDateRange(existing, row, sheetName);
+        if (dateRange) updates.push(dateRange);
+        unchanged++;
+      }
+    });
+
+    if (updates.length > 0) {
+      await this.batchUpdateValues(sheetId, updates);
+    }
+
+    let range = null;
+    if (newRows.length > 0) {
+      range = await this.writeRows(sheetId, nextRow, newRows, sheetName);
+    }
+
+    return { created: newRows.length, updated: updated, unchanged: unchanged, range: range };
+  }
+
+  /**
+   * Write rows starting at the given row number
+   * @param {string} sheetId - Sheet ID
+   * @param {number} startRow - First row number to write
+   * @param {Array} rows - Formatted rows
+   * @param {string|null} sheetName - Tab title (first tab when omitted)
+   * @returns {Promise<string>} Written range
+   */
+  async writeRows(sheetId, startRow, rows, sheetName = null) {
+    const endColumn = this.numberToColumn(rows[0].length);
+    const range = this.qualifyRange(sheetName, `A${startRow}:${endColumn}${startRow + rows.length - 1}`);
+
+    await this.updateRange(sheetId, range, rows);
+
+    return range;
+  }
+
+  /**
+   * Check whether any refreshable metric differs from the existing row
+   * @param {Array} existingValues - Row values currently in the sheet
+   * @param {Array} row - Newly formatted row
+   * @returns {boolean} True if the row needs updating
+   */
+  hasRefreshChanges(existingValues, row) {
+    const headers = this.getHeaders();
+
+    return this.refreshColumns
+      .filter(name => name !== 'Extracted Date')
+      .some(name => {
+        const index = headers.indexOf(name);
+        const existing = existingValues[index] !== undefined ? existingValues[index] : '';
+        return String(existing) !== String(row[index]);
+      });
+  }
+
+  /**
+   * Build a value range refreshing only the Extracted Date cell of an unchanged row
+   * @param {object} existing - Existing row ({ rowNumber, values })
+   * @param {Array} row - Newly formatted row
+   * @param {string|null} sheetName - Tab title (first tab when omitted)
+   * @returns {object|null} Value range, or null if the date is already current
+   */
+  buildExtractedDateRange(existing, row, sheetName = null) {
+    const index = this.getHeaders().indexOf('Extracted Date');
+    const current = existing.values[index] !== undefined ? existing.values[index] : '';
+
+    if (String(current) === String(row[index])) return null;
+
+    const cell = `${this.numberToColumn(index + 1)}${existing.rowNumber}`;
+    return {
+      range: this.qualifyRange(sheetName, `${cell}:${cell}`),
+      majorDimension: 'ROWS',
+      values: [[row[index]]]
+    };
+  }
+
+  /**
+   * Build value ranges refreshing metrics columns for one row
+   * Adjacent refresh columns are grouped into a single range.
+   * @param {number} rowNumber - Sheet row number
+   * @param {Array} row - Newly formatted row
+   * @param {string|null} sheetName - Tab title (first tab when omitted)
+   * @returns {Array} Value ranges for values:batchUpdate
+   */
+  buildRefreshRanges(rowNumber, row, sheetName = null) {
+    const headers = this.getHeaders();
+    const indexes = this.refreshColumns
+      .map(name => headers.indexOf(name))
+      .filter(index => index >= 0)
+      .sort((a, b) => a - b);
+
+    const ranges = [];
+    let group = [];
+
+    indexes.forEach((index, i) => {
+      group.push(index);
+
+      if (indexes[i + 1] !== index + 1) {
+        const startColumn = this.numberToColumn(group[0] + 1);
+        const endColumn = this.numberToColumn(group[group.length - 1] + 1);
+
+        ranges.push({
+          range: this.qualifyRange(sheetName, `${startColumn}${rowNumber}:${endColumn}${rowNumber}`),
+          majorDimension: 'ROWS',
+          values: [group.map(columnIndex => row[columnIndex])]
+        });
+        group = [];
+      }
+    });
+
+    return ranges;
+  }
+
   /**
    * Format posts data for Google Sheets
    * @param {Array} posts - Array of post objects
@@ -277,7 +484,30 @@ class SheetsAPI {
       post.timestamp?.relative || '',
       post.timestamp?.dayOfWeek || '',
       post.timestamp?.timeOfDay || '',
-      post.extractedAt || new Date().toISOString()
+      post.extractedAt || new Date().toISOString(),
+      post.metrics?.reactions?.like || 0,
+      post.metrics?.reactions?.celebrate || 0,
+      post.metrics?.reactions?.support || 0,
+      post.metrics?.reactions?.love || 0,
+      post.metrics?.reactions?.insightful || 0,
+      post.metrics?.reactions?.funny || 0,
+      post.metrics?.topReactions?.join(', ') || '',
+      post.repost?.resharer?.name || '',
+      post.repost?.original?.author?.name || '',
+      post.repost?.original?.author?.profile || '',
+      post.repost?.original?.url || '',
+      post.timestamp?.source || '',
+      post.poll?.question || '',
+      ...Array.from({ length: this.maxPollOptions }, (_, index) => this.formatter.formatPollOption(post.poll, index)),
+      post.poll?.totalVotes ?? '',
+      post.poll ? (post.poll.isClosed ? 'Yes' : 'No') : '',
+      post.media?.documents?.[0]?.title || '',
+      post.media?.documents?.[0]?.pageCount || '',
+      (post.media?.images || []).map(image => image.alt).filter(Boolean).join(' | '),
+      ...this.formatter.formatArticleColumns(post.links),
+      (post.links || []).map(link => link.url).join('\n'),
+      post.contentTruncated ? 'Yes' : 'No',
+      this.formatter.formatSource(post.source)
     ]);
   }
 
@@ -307,8 +537,7 @@ class SheetsAPI {
       );
 
       if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Failed to update range: ${error.error?.message || response.statusText}`);
+        throw await this.createResponseError(response, 'update range');
       }
 
       return await response.json();
@@ -319,18 +548,97 @@ class SheetsAPI {
     }
   }
 
+  /**
+   * Update several ranges in a single request
+   * @param {string} sheetId - Sheet ID
+   * @param {Array} data - Value ranges ({ range, majorDimension, values })
+   */
+  async batchUpdateValues(sheetId, data) {
+    try {
+      const authHeaders = await this.authManager.getAuthHeaders();
+
+      const response = await fetch(`${this.baseUrl}/${sheetId}/values:batchUpdate`, {
+        method: 'POST',
+        headers: authHeaders,
+        body: JSON.stringify({
+          valueInputOption: 'USER_ENTERED',
+          data: data
+        })
+      });
+
+      if (!response.ok) {
+        throw await this.createResponseError(response, 'update ranges');
+      }
+
+      return await response.json();
+
+    } catch (error) {
+      console.error('Failed to batch update sheet ranges:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read existing data rows keyed by Post ID
+   * @param {string} sheetId - Sheet ID
+   * @param {string|null} sheetName - Tab title (first tab when omitted)
+   * @returns {Promise<object>} Map of post ID to row info, and the next empty row
+   */
+  async getExistingRows(sheetId, sheetName = null) {
+    try {
+      const authHeaders = await this.authManager.getAuthHeaders();
+      const endColumn = this.numberToColumn(this.getHeaders().length);
+      const range = this.qualifyRange(sheetName, `A2:${endColumn}`);
+
+      const response = await fetch(
+        `${this.baseUrl}/${sheetId}/values/${encodeURIComponent(range)}?valueRenderOption=UNFORMATTED_VALUE`,
+        {
+          headers: authHeaders
+        }
+      );
+
+      if (!response.ok) {
+        throw await this.createResponseError(response, 'read existing rows');
+      }
+
+      const data = await response.json();
+      const values = data.values || [];
+      const rowsById = new Map();
+
+      values.forEach((rowValues, index) => {
+        const postId = rowValues[0] ? String(rowValues[0]) : '';
+        if (postId && !rowsById.has(postId)) {
+          rowsById.set(postId, {
+            rowNumber: index + 2, // Data starts after the header row
+            values: rowValues
+          });
+        }
+      });
+
+      return {
+        rowsById: rowsById,
+        nextRow: values.length + 2
+      };
+
+    } catch (error) {
+      console.error('Failed to read existing sheet rows:', error);
+      throw error;
+    }
+  }
+
   /**
    * Find the next empty row in the sheet
    * @param {string} sheetId - Sheet ID
+   * @param {string|null} sheetName - Tab title (first tab when omitted)
    * @returns {Promise<number>} Next empty row number
    */
-  async findNextEmptyRow(sheetId) {
+  async findNextEmptyRow(sheetId, sheetName = null) {
     try {
       const authHeaders = await this.authManager.getAuthHeaders();
       
       // Get data from column A to find last used row
       const response = await fetch(
-        `${this.baseUrl}/${sheetId}/values/A:A`,
+        `${this.baseUrl}/${sheetId}/values/${encodeURIComponent(this.qualifyRange(sheetName, 'A:A'))}`,
         {
           headers: authHeaders
         }
@@ -355,8 +663,9 @@ class SheetsAPI {
   /**
    * Auto-resize columns in the sheet
    * @param {string} sheetId - Sheet ID
+   * @param {number} gridId - Numeric ID of the tab
    */
-  async autoResizeColumns(sheetId) {
+  async autoResizeColumns(sheetId, gridId = 0) {
     try {
       const authHeaders = await this.authManager.getAuthHeaders();
       
@@ -364,10 +673,10 @@ class SheetsAPI {
         requests: [{
           autoResizeDimensions: {
             dimensions: {
-              sheetId: 0,
+              sheetId: gridId,
               dimension: 'COLUMNS',
               startIndex: 0,
-              endIndex: 27
+              endIndex: this.getHeaders().length
             }
           }
         }]
@@ -406,8 +715,7 @@ class SheetsAPI {
       );
 
       if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Failed to list sheets: ${error.error?.message || response.statusText}`);
+        throw await this.createResponseError(response, 'list sheets');
       }
 
       const data = await response.json();
@@ -439,8 +747,7 @@ class SheetsAPI {
       });
 
       if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Failed to get sheet info: ${error.error?.message || response.statusText}`);
+        throw await this.createResponseError(response, 'get sheet info');
       }
 
       const sheet = await response.json();
@@ -463,6 +770,151 @@ class SheetsAPI {
     }
   }
 
+  /**
+   * Find a tab by title, creating and formatting it when missing
+   * @param {string} sheetId - Sheet ID
+   * @param {string} sheetName - Tab title
+   * @returns {Promise<object>} Tab information ({ id, title, created })
+   */
+  async resolveSheetTab(sheetId, sheetName) {
+    const info = await this.getSheetInfo(sheetId);
+    const existing = info.sheets.find(tab => tab.title === sheetName);
+
+    if (existing) {
+      await this.ensureTabColumns(sheetId, existing);
+      return { id: existing.id, title: existing.title, created: false };
+    }
+
+    const gridId = await this.addSheetTab(sheetId, sheetName);
+    await this.setupSheetHeaders(sheetId, sheetName, gridId);
+
+    console.log(`Created sheet tab "${sheetName}" in ${sheetId}`);
+
+    return { id: gridId, title: sheetName, created: true };
+  }
+
+  /**
+   * Widen a tab created with fewer columns than the current headers and rewrite its header row
+   * Writing rows past the tab's last column fails with a grid limits error.
+   * @param {string} sheetId - Sheet ID
+   * @param {object} tab - Tab information from getSheetInfo ({ id, title, columnCount })
+   * @returns {Promise<boolean>} True when columns were added
+   */
+  async ensureTabColumns(sheetId, tab) {
+    const missing = this.getHeaders().length - (tab.columnCount || 0);
+    if (missing <= 0) return false;
+
+    try {
+      const authHeaders = await this.authManager.getAuthHeaders();
+
+      const appendRequest = {
+        requests: [{
+          appendDimension: {
+            sheetId: tab.id,
+            dimension: 'COLUMNS',
+            length: missing
+          }
+        }]
+      };
+
+      const response = await fetch(`${this.baseUrl}/${sheetId}:batchUpdate`, {
+        method: 'POST',
+        headers: authHeaders,
+        body: JSON.stringify(appendRequest)
+      });
+
+      if (!response.ok) {
+        throw await this.createResponseError(response, 'add sheet columns');
+      }
+
+      await this.setupSheetHeaders(sheetId, tab.title, tab.id);
+
+      console.log(`Added ${missing} columns to sheet tab "${tab.title}" in ${sheetId}`);
+      return true;
+
+    } catch (error) {
+      console.error('Failed to add sheet columns:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a new tab to the spreadsheet
+   * @param {string} sheetId - Sheet ID
+   * @param {string} sheetName - Tab title
+   * @returns {Promise<number>} Numeric ID of the created tab
+   */
+  async addSheetTab(sheetId, sheetName) {
+    try {
+      const authHeaders = await this.authManager.getAuthHeaders();
+
+      const addRequest = {
+        requests: [{
+          addSheet: {
+            properties: {
+              title: sheetName,
+              gridProperties: {
+                rowCount: 1000,
+                columnCount: this.getHeaders().length
+              }
+            }
+          }
+        }]
+      };
+
+      const response = await fetch(`${this.baseUrl}/${sheetId}:batchUpdate`, {
+        method: 'POST',
+        headers: authHeaders,
+        body: JSON.stringify(addRequest)
+      });
+
+      if (!response.ok) {
+        throw await this.createResponseError(response, 'add sheet tab');
+      }
+
+      const result = await response.json();
+      return result.replies[0].addSheet.properties.sheetId;
+
+    } catch (error) {
+      console.error('Failed to add sheet tab:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Prefix an A1 range with a tab title
+   * @param {string|null} sheetName - Tab title (range is returned as-is when omitted)
+   * @param {string} range - A1 range (e.g., 'A2:C3')
+   * @returns {string} Qualified range (e.g., "'LinkedIn Posts'!A2:C3")
+   */
+  qualifyRange(sheetName, range) {
+    if (!sheetName) return range;
+    return `'${sheetName.replace(/'/g, "''")}'!${range}`;
+  }
+
+  /**
+   * Build an error for a failed API response
+   * The HTTP status is kept on the error so callers can decide whether to retry.
+   * @param {Response} response - Fetch response
+   * @param {string} action - What was being attempted (e.g., 'update range')
+   * @returns {Promise<Error>} Error with status information
+   */
+  async createResponseError(response, action) {
+    let message = response.statusText;
+
+    try {
+      const body = await response.json();
+      message = body.error?.message || message;
+    } catch (parseError) {
+      // Rate limit and gateway errors may not have a JSON body
+    }
+
+    const error = new Error(`Failed to ${action}: ${message}`);
+    error.status = response.status;
+    error.statusText = response.statusText;
+    return error;
+  }
+
   /**
    * Convert number to column letter (1 = A, 26 = Z, 27 = AA)
    * @param {number} num - Column number
@@ -496,9 +948,10 @@ class SheetsAPI {
   /**
    * Clear sheet data (keeping headers)
    * @param {string} sheetId - Sheet ID
+   * @param {number} gridId - Numeric ID of the tab
    * @returns {Promise<boolean>} Success status
    */
-  async clearSheetData(sheetId) {
+  async clearSheetData(sheetId, gridId = 0) {
     try {
       const authHeaders = await this.authManager.getAuthHeaders();
       
@@ -506,7 +959,7 @@ class SheetsAPI {
         requests: [{
           updateCells: {
             range: {
-              sheetId: 0,
+              sheetId: gridId,
               startRowIndex: 1, // Keep headers (row 0)
               startColumnIndex: 0
             },
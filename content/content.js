@@ -45,8 +45,12 @@ class LinkedInConsolidator {
       // Load all modules using dynamic imports
       await this.loadModules();
 
+      // Merge the active selector pack over the built-in selectors
+      await this.loadSelectorPack();
+
       // Load settings
       this.settings = await this.components.storage.getSettings();
+      this.components.extractor.updateSettings(await this.components.storage.getExtractionSettings());
 
       // Set up message listeners
       this.setupMessageListeners();
@@ -80,7 +84,8 @@ class LinkedInConsolidator {
         { ErrorHandler, handleError, handleWarning, handleInfo },
         { PostExtractor },
         { DOMScanner },
-        { UIOverlay }
+        { UIOverlay },
+        { SelectorDiagnostics }
       ] = await Promise.all([
         import(chrome.runtime.getURL('utils/storage.js')),
         import(chrome.runtime.getURL('utils/linkedin-selectors.js')),
@@ -88,7 +93,8 @@ class LinkedInConsolidator {
         import(chrome.runtime.getURL('utils/error-handler.js')),
         import(chrome.runtime.getURL('content/post-extractor.js')),
         import(chrome.runtime.getURL('content/dom-scanner.js')),
-        import(chrome.runtime.getURL('content/ui-overlay.js'))
+        import(chrome.runtime.getURL('content/ui-overlay.js')),
+        import(chrome.runtime.getURL('content/selector-diagnostics.js'))
       ]);
 
       // Initialize base components first
@@ -98,9 +104,10 @@ class LinkedInConsolidator {
       const errorHandler = new ErrorHandler();
 
       // Initialize components that depend on base components
-      const extractor = new PostExtractor(selectors, formatter, errorHandler);
+      const extractor = new PostExtractor({}, selectors);
       const scanner = new DOMScanner(selectors, extractor, storage, errorHandler);
       const overlay = new UIOverlay(scanner, storage, errorHandler);
+      const diagnostics = new SelectorDiagnostics(selectors, extractor);
 
       // Store all components
       this.components = {
@@ -110,7 +117,8 @@ class LinkedInConsolidator {
         errorHandler,
         extractor,
         scanner,
-        overlay
+        overlay,
+        diagnostics
       };
 
       // Set up global error handlers for backward compatibility
@@ -126,6 +134,34 @@ class LinkedInConsolidator {
     }
   }
 
+  /**
+   * Ask the background service for the active selector pack and apply it,
+   * keeping the built-in selectors when none is available. Imported packs the
+   * page rejects are reported back, so the background service stops serving them.
+   */
+  async loadSelectorPack() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SELECTOR_PACK' });
+
+      if (response && response.success && response.pack) {
+        const selectors = this.components.selectors;
+
+        if (selectors.applySelectorPack(response.pack, response.source)) {
+          console.info(`[LinkedIn Consolidator] Using selector pack ${response.pack.name} ${response.pack.version}`);
+        } else if (response.source !== 'bundled') {
+          // The background service cannot parse CSS, so it learns about bad selectors from here
+          await chrome.runtime.sendMessage({
+            type: 'SELECTOR_PACK_REJECTED',
+            importedAt: response.importedAt,
+            errors: selectors.rejectedPack.errors
+          });
+        }
+      }
+    } catch (error) {
+      console.warn('[LinkedIn Consolidator] Could not load selector pack, using built-in selectors:', error.message);
+    }
+  }
+
   /**
    * Check if current page is LinkedIn
    */
@@ -156,13 +192,27 @@ class LinkedInConsolidator {
           break;
 
         case 'START_SCAN':
-          sendResponse(await this.startScan(message.options));
+          if (message.options && message.options.runId) {
+            // Scheduled scans report back with SCAN_COMPLETED instead of holding the channel open
+            sendResponse({ success: true, started: true });
+            this.runScheduledScan(message.options);
+          } else {
+            sendResponse(await this.startScan(message.options));
+          }
           break;
 
         case 'STOP_SCAN':
           sendResponse(await this.stopScan());
           break;
 
+        case 'PAUSE_SCAN':
+          sendResponse(await this.pauseScan());
+          break;
+
+        case 'RESUME_SCAN':
+          sendResponse(await this.resumeScan());
+          break;
+
         case 'GET_EXTRACTED_POSTS':
           sendResponse(await this.getExtractedPosts());
           break;
@@ -187,6 +237,10 @@ class LinkedInConsolidator {
           sendResponse(await this.getErrorLog());
           break;
 
+        case 'RUN_SELECTOR_DIAGNOSTICS':
+          sendResponse(await this.runSelectorDiagnostics(message.options));
+          break;
+
         case 'PING':
           sendResponse({ status: 'ready', initialized: this.initialized });
           break;
@@ -197,7 +251,7 @@ class LinkedInConsolidator {
       }
     } catch (error) {
       console.error('[LinkedIn Consolidator] Message handling error:', error);
-      sendResponse({ error: error.message });
+      sendResponse({ error: error.message, reason: error.reason || null });
     }
   }
 
@@ -264,12 +318,86 @@ class LinkedInConsolidator {
 
     try {
       const posts = await this.components.scanner.startScan(options);
-      return { success: true, posts: posts, count: posts.length };
+      return this.buildScanResult(posts);
+    } catch (error) {
+      throw this.wrapScanError('Scan failed', error);
+    }
+  }
+
+  /**
+   * Run a scan started by the scan scheduler and send its result to the background service
+   */
+  async runScheduledScan(options) {
+    let result;
+
+    try {
+      result = await this.startScan(options);
+    } catch (error) {
+      result = { error: error.message, reason: error.reason || null };
+    }
+
+    try {
+      await chrome.runtime.sendMessage({ type: 'SCAN_COMPLETED', runId: options.runId, result: result });
+    } catch (error) {
+      console.warn('[LinkedIn Consolidator] Could not report scheduled scan result:', error.message);
+    }
+  }
+
+  /**
+   * Pause current scan, keeping a checkpoint to resume from
+   */
+  async pauseScan() {
+    if (!this.components.scanner) {
+      throw new Error('Scanner not initialized');
+    }
+
+    this.components.scanner.pauseScan();
+    return { success: true };
+  }
+
+  /**
+   * Resume a paused or interrupted scan of the current page
+   */
+  async resumeScan() {
+    if (!this.components.scanner) {
+      throw new Error('Scanner not initialized');
+    }
+
+    try {
+      const posts = await this.components.scanner.resumeScan();
+      return this.buildScanResult(posts);
     } catch (error) {
-      throw new Error(`Scan failed: ${error.message}`);
+      throw this.wrapScanError('Resume failed', error);
     }
   }
 
+  /**
+   * Prefix a scan error, keeping the reason a scan was aborted with
+   */
+  wrapScanError(prefix, error) {
+    const wrapped = new Error(`${prefix}: ${error.message}`);
+    wrapped.reason = error.reason;
+    return wrapped;
+  }
+
+  /**
+   * Build the response for a finished or paused scan
+   */
+  buildScanResult(posts) {
+    const scanner = this.components.scanner;
+
+    return {
+      success: true,
+      posts: posts,
+      count: posts.length,
+      mode: scanner.scanMode,
+      paused: scanner.isPaused,
+      endOfListReached: scanner.endOfListReached,
+      newPostsCount: scanner.newPostsCount,
+      stoppedAtKnownPosts: scanner.stoppedAtKnownPosts
+    };
+  }
+
   /**
    * Stop current scan
    */
@@ -295,7 +423,7 @@ class LinkedInConsolidator {
   }
 
   /**
-   * Clear extracted posts
+   * Clear the posts extracted on this page, keeping the post library
    */
   async clearPosts() {
     if (!this.components.scanner) {
@@ -303,7 +431,6 @@ class LinkedInConsolidator {
     }
 
     this.components.scanner.clearExtractedPosts();
-    await this.components.storage.savePosts([]);
     return { success: true };
   }
 
@@ -361,6 +488,17 @@ class LinkedInConsolidator {
     };
   }
 
+  /**
+   * Check which selectors still match the current page
+   */
+  async runSelectorDiagnostics(options = {}) {
+    if (!this.components.diagnostics) {
+      throw new Error('Selector diagnostics not initialized');
+    }
+
+    return { success: true, report: this.components.diagnostics.run(options) };
+  }
+
   /**
    * Notify background script
    */
@@ -3,6 +3,8 @@
  * Scans LinkedIn pages for posts and manages extraction process
  */
 
+import { ScanPacer } from './scan-pacer.js';
+
 export class DOMScanner {
   constructor(selectors, extractor, storage, errorHandler) {
     this.selectors = selectors;
@@ -11,6 +13,23 @@ export class DOMScanner {
     this.errorHandler = errorHandler;
     
     this.isScanning = false;
+    this.scanMode = 'feed';
+    this.scanSource = null;
+    this.endOfListReached = false;
+    this.knownPostIds = null;
+    this.knownPostsRun = 0;
+    this.newPostsCount = 0;
+    this.stoppedAtKnownPosts = false;
+    this.isPaused = false;
+    this.processedIds = new Set();
+    this.pendingPosts = new Map();
+    this.seenElements = new WeakSet();
+    this.visibilityObserver = null;
+    this.resumedCount = 0;
+    this.savedPostCount = 0;
+    this.scanOptions = null;
+    this.abortReason = null;
+    this.pacer = new ScanPacer(selectors, storage, ms => this.delay(ms));
     this.scanProgress = { current: 0, total: 0 };
     this.extractedPosts = [];
     this.observers = [];
@@ -23,6 +42,7 @@ export class DOMScanner {
    */
   init() {
     this.setupMutationObserver();
+    this.setupIntersectionObserver();
     this.bindEvents();
   }
 
@@ -31,8 +51,6 @@ export class DOMScanner {
    */
   setupMutationObserver() {
     const observer = new MutationObserver((mutations) => {
-      if (this.isScanning) return; // Don't interfere with active scanning
-      
       mutations.forEach((mutation) => {
         if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
           this.handleNewNodes(mutation.addedNodes);
@@ -53,6 +71,26 @@ export class DOMScanner {
     }
   }
 
+  /**
+   * Setup intersection observer that queues posts for extraction as they scroll into view
+   */
+  setupIntersectionObserver() {
+    if (typeof IntersectionObserver === 'undefined') return;
+
+    this.visibilityObserver = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (!entry.isIntersecting) return;
+
+        this.visibilityObserver.unobserve(entry.target);
+        if (this.isScanning) {
+          this.queuePost(entry.target);
+        }
+      });
+    }, { threshold: 0.1 });
+
+    this.observers.push(this.visibilityObserver);
+  }
+
   /**
    * Handle new nodes added to DOM
    * @param {NodeList} addedNodes - Newly added nodes
@@ -60,14 +98,16 @@ export class DOMScanner {
   handleNewNodes(addedNodes) {
     addedNodes.forEach(node => {
       if (node.nodeType === Node.ELEMENT_NODE) {
-        // Check if the node itself is a post
-        if (this.isPostElement(node)) {
-          this.notifyNewPost(node);
+        // Check if the node itself is a post, then for posts within the node
+        const posts = this.isPostElement(node) ? [node] : [];
+        posts.push(...this.findPostsInElement(node));
+
+        if (this.isScanning) {
+          // Track posts rendered during a scan until they scroll into view
+          this.collectPosts(posts);
+        } else {
+          posts.forEach(post => this.notifyNewPost(post));
         }
-        
-        // Check for posts within the node
-        const posts = this.findPostsInElement(node);
-        posts.forEach(post => this.notifyNewPost(post));
       }
     });
   }
@@ -78,7 +118,7 @@ export class DOMScanner {
    * @returns {boolean} True if element is a post
    */
   isPostElement(element) {
-    const postSelectors = this.selectors.getAllSelectors('post');
+    const postSelectors = this.selectors.getPostSelectors(this.selectors.getPageType());
     return postSelectors.some(selector => element.matches(selector));
   }
 
@@ -89,7 +129,7 @@ export class DOMScanner {
    */
   findPostsInElement(element) {
     const posts = [];
-    const postSelectors = this.selectors.getAllSelectors('post');
+    const postSelectors = this.selectors.getPostSelectors(this.selectors.getPageType());
     
     postSelectors.forEach(selector => {
       const foundPosts = element.querySelectorAll(selector);
@@ -151,7 +191,8 @@ export class DOMScanner {
       detail: { 
         url: window.location.href,
         isSavedPostsPage: this.selectors.isSavedPostsPage(),
-        isFeedPage: this.selectors.isFeedPage()
+        isFeedPage: this.selectors.isFeedPage(),
+        pageType: this.selectors.getPageType()
       }
     });
     document.dispatchEvent(event);
@@ -168,67 +209,122 @@ export class DOMScanner {
     }
 
     try {
+      // A resumed scan skips the posts its checkpoint already processed
+      const resume = options.resume || null;
+
       this.isScanning = true;
+      this.isPaused = false;
       this.extractedPosts = [];
+      this.endOfListReached = false;
+      this.knownPostIds = null;
+      this.knownPostsRun = 0;
+      this.newPostsCount = resume ? resume.newPostsCount || 0 : 0;
+      this.stoppedAtKnownPosts = false;
+      this.processedIds = new Set(resume ? resume.processedIds : []);
+      this.pendingPosts = new Map();
+      this.seenElements = new WeakSet();
+      this.resumedCount = resume ? resume.extractedCount : 0;
+      this.savedPostCount = 0;
+      this.abortReason = null;
+      this.scanMode = options.mode || (this.selectors.isSavedPostsPage() ? 'saved' : 'feed');
+      this.scanSource = this.selectors.getSourceInfo();
       
       const settings = await this.storage.getSettings();
+      const preferences = settings.scanningPreferences || {};
+      // Options passed as undefined must not override the defaults below
+      const givenOptions = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+      // The saved list is walked to the end unless the caller asks for a limit
+      const defaultMaxPosts = this.scanMode === 'saved' ? Infinity : preferences.maxPostsPerScan || 100;
       const scanOptions = {
-        maxPosts: options.maxPosts || settings.scanningPreferences.maxPostsPerScan || 100,
-        includeImages: options.includeImages !== undefined ? options.includeImages : settings.scanningPreferences.includeImages,
-        includeVideos: options.includeVideos !== undefined ? options.includeVideos : settings.scanningPreferences.includeVideos,
-        scrollToLoad: options.scrollToLoad !== undefined ? options.scrollToLoad : true,
-        ...options
+        maxPosts: givenOptions.maxPosts || defaultMaxPosts,
+        includeImages: givenOptions.includeImages !== undefined ? givenOptions.includeImages : preferences.includeImages !== false,
+        includeVideos: givenOptions.includeVideos !== undefined ? givenOptions.includeVideos : preferences.includeVideos !== false,
+        scrollToLoad: givenOptions.scrollToLoad !== undefined ? givenOptions.scrollToLoad : true,
+        expandSeeMore: givenOptions.expandSeeMore !== undefined ? givenOptions.expandSeeMore : preferences.expandSeeMore !== false,
+        ...givenOptions
       };
+      delete scanOptions.resume;
+      this.scanOptions = scanOptions;
+
+      if (resume) {
+        scanOptions.maxPosts = Math.max(scanOptions.maxPosts - this.resumedCount, 0);
+      }
+
+      const scanSettings = await this.storage.getScanSettings();
+      scanOptions.incremental = scanOptions.incremental ?? scanSettings.incrementalScan;
+      scanOptions.knownPostsStopCount = scanOptions.knownPostsStopCount ?? scanSettings.knownPostsStopCount;
+
+      this.pacer.updateSettings(scanSettings);
+      await this.pacer.loadBudget();
+      this.checkForBlock();
+      this.checkBudget();
+
+      if (scanOptions.incremental) {
+        this.knownPostIds = new Set(await this.storage.getKnownPostIds(this.scanSource));
+        this.errorHandler.handleInfo('DOM Scanner', `Incremental scan: ${this.knownPostIds.size} posts already stored for this source`);
+      }
 
       this.errorHandler.handleInfo('DOM Scanner', `Starting scan with options:`, scanOptions);
 
       // Dispatch scan start event
       this.dispatchScanEvent('scanStarted', { options: scanOptions });
 
-      // Find initial posts
+      // Find initial posts, the ones below the fold are extracted once they scroll into view
       const initialPosts = this.findAllPosts();
-      this.scanProgress.total = Math.min(initialPosts.length, scanOptions.maxPosts);
+      this.collectPosts(initialPosts);
+      this.scanProgress.total = Math.min(this.pendingPosts.size, scanOptions.maxPosts);
       
       this.errorHandler.handleInfo('DOM Scanner', `Found ${initialPosts.length} initial posts`);
 
-      // Extract posts in batches
-      const batchSize = 5;
-      for (let i = 0; i < initialPosts.length && this.extractedPosts.length < scanOptions.maxPosts; i += batchSize) {
-        const batch = initialPosts.slice(i, i + batchSize);
-        await this.processBatch(batch, scanOptions);
-        
-        // Update progress
-        this.scanProgress.current = Math.min(this.extractedPosts.length, this.scanProgress.total);
-        this.dispatchScanEvent('scanProgress', { 
-          progress: this.scanProgress,
-          extractedCount: this.extractedPosts.length
-        });
+      await this.processPendingPosts(scanOptions);
 
-        // Small delay to prevent overwhelming the browser
-        await this.delay(100);
+      // Try to load more posts if needed
+      if (scanOptions.scrollToLoad && this.extractedPosts.length < scanOptions.maxPosts && !this.stoppedAtKnownPosts) {
+        if (this.scanMode === 'saved') {
+          await this.loadAllSavedPosts(scanOptions);
+        } else {
+          await this.loadMorePosts(scanOptions);
+        }
       }
 
-      // Try to load more posts if needed
-      if (scanOptions.scrollToLoad && this.extractedPosts.length < scanOptions.maxPosts) {
-        await this.loadMorePosts(scanOptions);
+      if (this.isPaused) {
+        await this.saveCheckpoint('paused');
+        this.errorHandler.handleInfo('DOM Scanner', `Scan paused after ${this.resumedCount + this.extractedPosts.length} posts`);
+        this.dispatchScanEvent('scanPaused', {
+          extractedCount: this.resumedCount + this.extractedPosts.length
+        });
+        return this.extractedPosts;
       }
 
-      // Save extracted posts
-      await this.storage.savePosts(this.extractedPosts);
+      // Save extracted posts not yet saved with a checkpoint
+      await this.storage.savePosts(this.extractedPosts.slice(this.savedPostCount));
+      await this.storage.clearScanCheckpoint();
 
       this.errorHandler.handleInfo('DOM Scanner', `Scan completed. Extracted ${this.extractedPosts.length} posts`);
       
       // Dispatch scan complete event
       this.dispatchScanEvent('scanCompleted', { 
         posts: this.extractedPosts,
-        totalExtracted: this.extractedPosts.length
+        totalExtracted: this.extractedPosts.length,
+        mode: this.scanMode,
+        endOfListReached: this.endOfListReached,
+        incremental: Boolean(this.knownPostIds),
+        newPostsCount: this.newPostsCount,
+        stoppedAtKnownPosts: this.stoppedAtKnownPosts
       });
 
       return this.extractedPosts;
 
     } catch (error) {
+      if (error.reason) {
+        // Keep what was scanned so far, the scan can be resumed once LinkedIn lets it
+        this.abortReason = error.reason;
+        await this.pacer.saveBudget();
+        await this.saveCheckpoint('running');
+      }
+
       this.errorHandler.handleError('DOM Scanner', error);
-      this.dispatchScanEvent('scanError', { error: error.message });
+      this.dispatchScanEvent('scanError', { error: error.message, reason: error.reason || null });
       throw error;
     } finally {
       this.isScanning = false;
@@ -249,13 +345,107 @@ export class DOMScanner {
     }
   }
 
+  /**
+   * Pause the current scan, keeping a checkpoint to resume from
+   */
+  pauseScan() {
+    if (this.isScanning) {
+      this.isPaused = true;
+      this.isScanning = false;
+      this.errorHandler.handleInfo('DOM Scanner', 'Scan paused by user');
+    }
+  }
+
+  /**
+   * Resume a paused or interrupted scan of the current page from its checkpoint
+   * @returns {Promise<Array>} Posts extracted since resuming
+   */
+  async resumeScan() {
+    const checkpoint = await this.getResumableCheckpoint();
+    if (!checkpoint) {
+      throw new Error('No interrupted scan to resume on this page');
+    }
+
+    this.errorHandler.handleInfo('DOM Scanner', `Resuming scan after ${checkpoint.extractedCount} posts`);
+    await this.restoreScrollDepth(checkpoint.scrollY);
+
+    return await this.startScan({ ...checkpoint.options, mode: checkpoint.mode, resume: checkpoint });
+  }
+
+  /**
+   * Get the checkpoint of a paused or interrupted scan of the current page
+   * @returns {Promise<object|null>} Checkpoint, or null if there is none for this page
+   */
+  async getResumableCheckpoint() {
+    const checkpoint = await this.storage.getScanCheckpoint();
+    if (!checkpoint || this.isScanning) return null;
+
+    const current = this.selectors.getSourceInfo();
+    const source = checkpoint.source || {};
+    const sameSource = ['type', 'profile', 'company', 'hashtag', 'query']
+      .every(key => (source[key] || '') === (current[key] || ''));
+
+    return sameSource ? checkpoint : null;
+  }
+
+  /**
+   * Save posts extracted since the last checkpoint and record scan progress
+   * @param {string} status - 'running' or 'paused'
+   */
+  async saveCheckpoint(status = 'running') {
+    try {
+      const unsavedPosts = this.extractedPosts.slice(this.savedPostCount);
+      if (unsavedPosts.length > 0) {
+        await this.storage.savePosts(unsavedPosts);
+        this.savedPostCount = this.extractedPosts.length;
+      }
+
+      // Infinity does not survive JSON serialisation
+      const options = { ...this.scanOptions };
+      if (!Number.isFinite(options.maxPosts)) delete options.maxPosts;
+      else options.maxPosts += this.resumedCount;
+
+      await this.storage.saveScanCheckpoint({
+        status: status,
+        url: window.location.href,
+        source: this.scanSource,
+        mode: this.scanMode,
+        options: options,
+        processedIds: Array.from(this.processedIds),
+        extractedCount: this.resumedCount + this.extractedPosts.length,
+        newPostsCount: this.newPostsCount,
+        scrollY: window.scrollY || 0,
+        updatedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      this.errorHandler.handleWarning('DOM Scanner', 'Failed to save scan checkpoint', { error: error.message });
+    }
+  }
+
+  /**
+   * Scroll back down to where a scan stopped, letting lazy loaded posts render on the way
+   * @param {number} scrollY - Scroll depth recorded in the checkpoint
+   */
+  async restoreScrollDepth(scrollY) {
+    const maxSteps = 20;
+
+    for (let step = 0; step < maxSteps && (window.scrollY || 0) < scrollY; step++) {
+      window.scrollTo(0, Math.min(scrollY, document.body.scrollHeight));
+      await this.delay(1000);
+    }
+  }
+
   /**
    * Find all posts on current page
    * @returns {Array} Array of post elements
    */
   findAllPosts() {
+    if (this.scanMode === 'saved') {
+      return this.findSavedPosts();
+    }
+
     const posts = [];
-    const postSelectors = this.selectors.getAllSelectors('post');
+    const postSelectors = this.selectors.getPostSelectors(this.selectors.getPageType());
     
     postSelectors.forEach(selector => {
       const foundPosts = document.querySelectorAll(selector);
@@ -269,6 +459,29 @@ export class DOMScanner {
     return posts;
   }
 
+  /**
+   * Find all items of the saved posts list, in list order
+   * @returns {Array} Array of saved item elements
+   */
+  findSavedPosts() {
+    const selector = this.selectors.getSavedPostsSelectors('posts').join(', ');
+    const items = Array.from(document.querySelectorAll(selector));
+
+    // Keep the outermost match so a list item and its inner result count once
+    return items.filter(item => !items.some(other => other !== item && other.contains(item)))
+      .filter(item => this.extractor.generatePostId(item).startsWith('urn:li:'));
+  }
+
+  /**
+   * Find the saved list's "Show more results" button
+   * @returns {Element|null} Enabled button, or null when there is nothing more to load
+   */
+  findSavedPostsShowMoreButton() {
+    const selector = this.selectors.getSavedPostsSelectors('showMore').join(', ');
+    const button = document.querySelector(selector);
+    return button && !button.disabled ? button : null;
+  }
+
   /**
    * Check if post element is valid for extraction
    * @param {Element} postElement - Post element to validate
@@ -290,10 +503,31 @@ export class DOMScanner {
    */
   async processBatch(postElements, options) {
     for (const postElement of postElements) {
-      if (!this.isScanning) break; // Check if scan was stopped
+      if (!this.isScanning || this.stoppedAtKnownPosts) break; // Check if scan was stopped
+
+      const postId = this.extractor.generatePostId(postElement);
+      if (this.processedIds.has(postId)) continue;
+
+      this.checkBudget();
       
       try {
+        const isKnown = this.isKnownPost(postElement);
+
+        // Known posts only need their metrics refreshed, so skip the slow expansion steps
+        if (!isKnown && options.expandSeeMore !== false) {
+          await this.expandSeeMore(postElement);
+        }
+
+        if (!isKnown && this.extractor.settings.extractComments) {
+          await this.expandComments(postElement);
+        }
+
         const postData = this.extractor.extractPostData(postElement);
+        if (postData) {
+          postData.source = { ...(this.scanSource || this.selectors.getSourceInfo()) };
+        }
+        this.processedIds.add(postId);
+        this.pacer.consumeBudget();
         
         if (postData && this.shouldIncludePost(postData, options)) {
           this.extractedPosts.push(postData);
@@ -305,10 +539,118 @@ export class DOMScanner {
             break;
           }
         }
+
+        if (this.knownPostIds && this.trackKnownPost(isKnown, options.knownPostsStopCount)) {
+          break;
+        }
       } catch (error) {
         this.errorHandler.handleWarning('DOM Scanner', `Failed to extract post`, { error: error.message });
       }
     }
+
+    await this.pacer.saveBudget();
+
+    // Checkpoint after every batch so a reload or pause can pick up from here
+    if (this.scanOptions) {
+      await this.saveCheckpoint('running');
+    }
+  }
+
+  /**
+   * Check whether an incremental scan has already stored this post
+   * @param {Element} postElement - Post DOM element
+   * @returns {boolean} True if the post is stored for the current source
+   */
+  isKnownPost(postElement) {
+    return Boolean(this.knownPostIds && this.knownPostIds.has(this.extractor.generatePostId(postElement)));
+  }
+
+  /**
+   * Count new posts and the current run of known posts in an incremental scan
+   * @param {boolean} isKnown - Whether the post was already stored
+   * @param {number} stopCount - Run of known posts after which the scan stops
+   * @returns {boolean} True once the scan should stop
+   */
+  trackKnownPost(isKnown, stopCount) {
+    if (!isKnown) {
+      this.newPostsCount++;
+      this.knownPostsRun = 0;
+      return false;
+    }
+
+    this.knownPostsRun++;
+    if (this.knownPostsRun >= stopCount) {
+      this.stoppedAtKnownPosts = true;
+      this.errorHandler.handleInfo('DOM Scanner', `Reached ${stopCount} already stored posts in a row, stopping incremental scan`);
+    }
+
+    return this.stoppedAtKnownPosts;
+  }
+
+  /**
+   * Expand a post's truncated text in place and wait for the full text to render
+   * Links are never followed, so the scan stays on the current page.
+   * @param {Element} postElement - Post DOM element
+   * @returns {Promise<boolean>} True if the post was expanded
+   */
+  async expandSeeMore(postElement) {
+    const maxWait = 2000;
+    const pollInterval = 100;
+
+    try {
+      const button = this.extractor.findOwnElements(postElement, this.selectors.getAllSelectors('seeMore').join(', '))
+        .find(element => !element.closest('a[href]'));
+      if (!button) return false;
+
+      const before = this.extractor.extractContent(postElement).length;
+      button.click();
+
+      for (let waited = 0; waited < maxWait; waited += pollInterval) {
+        await this.delay(pollInterval);
+        if (this.extractor.extractContent(postElement).length !== before) break;
+      }
+
+      return true;
+    } catch (error) {
+      this.errorHandler.handleWarning('DOM Scanner', 'Failed to expand post text', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Open a post's comments and load more of them, up to the per-post cap
+   * @param {Element} postElement - Post DOM element
+   */
+  async expandComments(postElement) {
+    const maxComments = this.extractor.settings.maxCommentsPerPost || this.extractor.defaultMaxComments;
+    const maxClicks = 10;
+    const countComments = () => this.extractor.findCommentItems(postElement).length;
+
+    try {
+      // Comments are collapsed until the comment button is clicked
+      if (!this.selectors.findElement(postElement, 'comments', 'list')) {
+        const openButton = this.selectors.findElement(postElement, 'comments', 'openButton');
+        if (!openButton) return;
+
+        openButton.click();
+        await this.delay(1000);
+      }
+
+      for (let clicks = 0; clicks < maxClicks && countComments() < maxComments && this.isScanning; clicks++) {
+        const button = this.selectors.findElement(postElement, 'comments', 'loadMore') ||
+                       this.selectors.findElement(postElement, 'comments', 'loadReplies');
+        if (!button) break;
+
+        const before = countComments();
+        button.click();
+        await this.delay(1000);
+
+        // Stop if LinkedIn did not load anything new
+        if (countComments() === before) break;
+      }
+    } catch (error) {
+      this.errorHandler.handleWarning('DOM Scanner', 'Failed to expand comments', { error: error.message });
+    }
   }
 
   /**
@@ -347,38 +689,210 @@ export class DOMScanner {
   async loadMorePosts(options) {
     const maxScrollAttempts = 5;
     let scrollAttempts = 0;
-    let lastPostCount = this.extractedPosts.length;
     
-    while (scrollAttempts < maxScrollAttempts && this.extractedPosts.length < options.maxPosts && this.isScanning) {
-      // Scroll to bottom
-      window.scrollTo(0, document.body.scrollHeight);
-      
-      // Wait for new content to load
-      await this.delay(2000);
+    while (scrollAttempts < maxScrollAttempts && this.extractedPosts.length < options.maxPosts && this.isScanning && !this.stoppedAtKnownPosts) {
+      const processedBefore = this.processedIds.size;
+
+      // Scroll down in uneven steps, then give new content time to load
+      await this.pacer.scrollDown();
+      await this.pacer.wait(2000);
+      this.checkForBlock();
       
-      // Look for new posts
-      const newPosts = this.findAllPosts();
-      const unprocessedPosts = newPosts.slice(lastPostCount);
+      // The observers queue posts as they scroll by, this picks up any they missed
+      this.collectPosts(this.findAllPosts());
+      await this.processPendingPosts(options);
       
-      if (unprocessedPosts.length > 0) {
-        await this.processBatch(unprocessedPosts, options);
-        
-        // Update progress
-        this.scanProgress.total = Math.min(newPosts.length, options.maxPosts);
-        this.scanProgress.current = Math.min(this.extractedPosts.length, this.scanProgress.total);
-        
-        this.dispatchScanEvent('scanProgress', { 
-          progress: this.scanProgress,
-          extractedCount: this.extractedPosts.length
-        });
-        
-        lastPostCount = newPosts.length;
+      if (this.processedIds.size > processedBefore) {
         scrollAttempts = 0; // Reset attempts if we found new posts
       } else {
         scrollAttempts++;
         this.errorHandler.handleInfo('DOM Scanner', `No new posts found, attempt ${scrollAttempts}/${maxScrollAttempts}`);
       }
     }
+
+    await this.processRemainingPosts(this.findAllPosts(), options);
+  }
+
+  /**
+   * Walk the saved posts list to its end, clicking "Show more results" or scrolling
+   * The end is reached once no button is left and nothing new loads.
+   * @param {object} options - Scanning options
+   */
+  async loadAllSavedPosts(options) {
+    const maxIdleAttempts = 3;
+    let idleAttempts = 0;
+
+    while (this.isScanning && this.extractedPosts.length < options.maxPosts && !this.stoppedAtKnownPosts) {
+      const before = new Set(this.findSavedPosts().map(item => this.extractor.generatePostId(item)));
+      const button = this.findSavedPostsShowMoreButton();
+
+      // Scroll through the loaded items, down to the button when there is one
+      await this.pacer.scrollDown();
+      if (button) {
+        await this.pacer.wait(800);
+        button.click();
+      }
+
+      const loaded = await this.waitForSavedPosts(before);
+      this.checkForBlock();
+
+      if (!loaded) {
+        idleAttempts++;
+        this.errorHandler.handleInfo('DOM Scanner', `No more saved posts loaded, attempt ${idleAttempts}/${maxIdleAttempts}`);
+
+        if (idleAttempts >= maxIdleAttempts) {
+          // A button that no longer loads anything means LinkedIn stopped responding, not the end
+          this.endOfListReached = !this.findSavedPostsShowMoreButton();
+          break;
+        }
+        continue;
+      }
+
+      idleAttempts = 0;
+      this.collectPosts(this.findSavedPosts());
+      await this.processPendingPosts(options);
+    }
+
+    await this.processRemainingPosts(this.findSavedPosts(), options);
+
+    this.errorHandler.handleInfo('DOM Scanner', this.endOfListReached
+      ? `Reached the end of the saved posts list after ${this.processedIds.size} items`
+      : `Stopped before the end of the saved posts list after ${this.processedIds.size} items`);
+  }
+
+  /**
+   * Wait for more saved list items to render
+   * LinkedIn may drop old items while loading new ones, so new URNs count rather than list length.
+   * @param {Set} previousIds - Post IDs listed before loading more
+   * @param {number} timeout - Maximum wait in milliseconds
+   * @returns {Promise<boolean>} True if new items appeared
+   */
+  async waitForSavedPosts(previousIds, timeout = 10000) {
+    const pollInterval = 500;
+
+    for (let waited = 0; waited < timeout; waited += pollInterval) {
+      await this.delay(pollInterval);
+      const items = this.findSavedPosts();
+      if (items.some(item => !previousIds.has(this.extractor.generatePostId(item)))) return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Queue posts for extraction once they have been in view
+   * Posts are keyed by URN, so nodes LinkedIn recycles or removes are neither skipped nor extracted twice.
+   * @param {Array} postElements - Post elements
+   * @param {boolean} force - Queue posts that have not been in view yet
+   */
+  collectPosts(postElements, force = false) {
+    postElements.forEach(postElement => {
+      if (this.seenElements.has(postElement)) return;
+      if (this.processedIds.has(this.extractor.generatePostId(postElement))) return;
+
+      if (force || !this.visibilityObserver || this.hasBeenInView(postElement)) {
+        this.queuePost(postElement);
+      } else {
+        this.visibilityObserver.observe(postElement);
+      }
+    });
+  }
+
+  /**
+   * Queue a post for extraction
+   * @param {Element} postElement - Post element
+   */
+  queuePost(postElement) {
+    const postId = this.extractor.generatePostId(postElement);
+    this.seenElements.add(postElement);
+
+    if (this.processedIds.has(postId)) return;
+
+    // Keep the node still in the page when LinkedIn rendered the post again
+    const pending = this.pendingPosts.get(postId);
+    if (pending && pending.isConnected) return;
+
+    this.pendingPosts.set(postId, postElement);
+  }
+
+  /**
+   * Check if a post is in the viewport or has been scrolled past
+   * @param {Element} postElement - Post element
+   * @returns {boolean} True if the post has been in view
+   */
+  hasBeenInView(postElement) {
+    const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+    return postElement.getBoundingClientRect().top < viewportHeight;
+  }
+
+  /**
+   * Extract queued posts in batches, in the order they came into view
+   * @param {object} options - Scanning options
+   */
+  async processPendingPosts(options) {
+    const batchSize = 5;
+
+    while (this.pendingPosts.size > 0 && this.isScanning && this.extractedPosts.length < options.maxPosts && !this.stoppedAtKnownPosts) {
+      const batch = Array.from(this.pendingPosts).slice(0, batchSize);
+      batch.forEach(([postId]) => this.pendingPosts.delete(postId));
+      await this.processBatch(batch.map(([, postElement]) => postElement), options);
+
+      // Update progress
+      this.scanProgress.total = Math.min(this.extractedPosts.length + this.pendingPosts.size, options.maxPosts);
+      this.scanProgress.current = Math.min(this.extractedPosts.length, this.scanProgress.total);
+      this.dispatchScanEvent('scanProgress', {
+        progress: this.scanProgress,
+        extractedCount: this.extractedPosts.length
+      });
+
+      // Pause between batches like someone reading through the page
+      await this.pacer.wait(500);
+    }
+  }
+
+  /**
+   * Extract the posts still waiting to scroll into view once loading stops
+   * @param {Array} postElements - Post elements left in the page
+   * @param {object} options - Scanning options
+   */
+  async processRemainingPosts(postElements, options) {
+    if (!this.isScanning || this.isPaused) return;
+
+    this.collectPosts(postElements, true);
+    await this.processPendingPosts(options);
+  }
+
+  /**
+   * Abort the scan if LinkedIn shows a rate-limit, captcha or checkpoint page
+   */
+  checkForBlock() {
+    const block = this.pacer.detectBlock();
+    if (block) {
+      throw this.createAbortError(block.reason, block.message);
+    }
+  }
+
+  /**
+   * Abort the scan once the hourly scan budget is used up
+   */
+  checkBudget() {
+    if (this.pacer.getRemainingBudget() === 0) {
+      const resetTime = this.pacer.getBudgetResetTime().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      throw this.createAbortError('budget_exhausted',
+        `Hourly scan budget of ${this.pacer.hourlyBudget} posts used up, scanning can continue after ${resetTime}`);
+    }
+  }
+
+  /**
+   * Create an error that aborts the scan with a reason
+   * @param {string} reason - 'rate_limited', 'captcha', 'checkpoint' or 'budget_exhausted'
+   * @param {string} message - Readable explanation
+   * @returns {Error} Abort error
+   */
+  createAbortError(reason, message) {
+    const error = new Error(message);
+    error.reason = reason;
+    return error;
   }
 
   /**
@@ -387,7 +901,9 @@ export class DOMScanner {
    * @param {object} detail - Event detail
    */
   dispatchScanEvent(eventType, detail) {
-    const event = new CustomEvent(`linkedinScan${eventType.charAt(0).toUpperCase() + eventType.slice(1)}`, {
+    // 'scanError' is dispatched as 'linkedinScanError', the name the overlay listens for
+    const name = eventType.replace(/^scan/, '');
+    const event = new CustomEvent(`linkedinScan${name.charAt(0).toUpperCase() + name.slice(1)}`, {
       detail: detail
     });
     document.dispatchEvent(event);
@@ -401,7 +917,13 @@ export class DOMScanner {
     return {
       isScanning: this.isScanning,
       progress: this.scanProgress,
-      extractedCount: this.extractedPosts.length
+      extractedCount: this.extractedPosts.length,
+      mode: this.scanMode,
+      endOfListReached: this.endOfListReached,
+      newPostsCount: this.newPostsCount,
+      stoppedAtKnownPosts: this.stoppedAtKnownPosts,
+      abortReason: this.abortReason,
+      remainingBudget: this.pacer.getRemainingBudget()
     };
   }
 
@@ -449,6 +971,8 @@ export class DOMScanner {
       url: window.location.href,
       isSavedPostsPage: this.selectors.isSavedPostsPage(),
       isFeedPage: this.selectors.isFeedPage(),
+      pageType: this.selectors.getPageType(),
+      source: this.selectors.getSourceInfo(),
       postCount: this.findAllPosts().length,
       isScanning: this.isScanning
     };
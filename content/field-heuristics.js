@@ -0,0 +1,243 @@
+/**
+ * Field Heuristics
+ * Finds post fields from signals that survive LinkedIn class name changes:
+ * ARIA labels, profile and company link patterns, URN attributes and text structure
+ */
+
+export class FieldHeuristics {
+  /**
+   * @param {object} extractor - PostExtractor instance, used for its locale aware parsers
+   */
+  constructor(extractor) {
+    this.extractor = extractor;
+
+    // Regions whose links and text belong to someone other than the post author
+    this.excludedRegions = [
+      '.comments-comments-list',
+      'article.comments-comment-item',
+      'article.comments-comment-entity',
+      '.update-components-header',
+      '.feed-shared-header'
+    ].join(', ');
+
+    this.profileLinkPattern = /linkedin\.com\/(in|company)\/[^/?#]+|^\/(in|company)\/[^/?#]+/;
+    // ARIA labels of profile links, per UI language, with the name in the first group
+    this.profileLabelPatterns = {
+      en: [
+        /^View\s+(.+?)[’']s?\s+(?:profile|page)/i,
+        /^View:\s*(.+?)(?:\s+[•·]|$)/i
+      ],
+      de: [
+        /^(?:Profil|Seite)\s+von\s+(.+?)\s+anzeigen/i,
+        /^Anzeigen:\s*(.+?)(?:\s+[•·]|$)/i
+      ],
+      fr: [
+        /^Voir\s+(?:le\s+profil|la\s+page)\s+d(?:e\s+|[’'])(.+?)(?:\s+[•·]|$)/i,
+        /^Voir\s*:\s*(.+?)(?:\s+[•·]|$)/i
+      ],
+      es: [
+        /^Ver\s+(?:el\s+)?(?:perfil|página)\s+de\s+(.+?)(?:\s+[•·]|$)/i,
+        /^Ver:\s*(.+?)(?:\s+[•·]|$)/i
+      ],
+      pt: [
+        /^Ver\s+(?:o\s+)?(?:perfil|página)\s+de\s+(.+?)(?:\s+[•·]|$)/i,
+        /^(?:Ver|Visualizar):\s*(.+?)(?:\s+[•·]|$)/i
+      ]
+    };
+    // Words following a social count, per UI language, as regular expression alternatives
+    this.metricWords = {
+      en: { likes: 'reactions?|likes?', comments: 'comments?', shares: 'reposts?|shares?' },
+      de: { likes: 'reaktion(?:en)?|gefällt mir', comments: 'kommentare?', shares: 'reposts?|mal geteilt' },
+      fr: { likes: 'réactions?|j’aime', comments: 'commentaires?', shares: 'republications?|partages?|reposts?' },
+      es: { likes: 'reacci(?:ón|ones)|recomendaciones', comments: 'comentarios?', shares: 'veces compartido|compartidos?|reposts?' },
+      pt: { likes: 'reaç(?:ão|ões)|gostei', comments: 'comentários?', shares: 'compartilhamentos?|reposts?' }
+    };
+    this.minContentLength = 20;
+  }
+
+  /**
+   * Find the author's name from the profile link's ARIA label or text
+   * @param {Element} postElement - Post DOM element
+   * @returns {object|null} { value, strategy } or null
+   */
+  findAuthorName(postElement) {
+    const links = this.findProfileLinks(postElement);
+
+    const patterns = this.getProfileLabelPatterns();
+
+    for (const link of links) {
+      const label = link.getAttribute('aria-label') || '';
+      for (const pattern of patterns) {
+        const match = label.match(pattern);
+        if (match) {
+          return { value: match[1].trim(), strategy: 'aria-label' };
+        }
+      }
+    }
+
+    for (const link of links) {
+      // Avatar links have no text, the name link's first line is the name
+      const name = this.getFirstLine(link);
+      if (name) {
+        return { value: name, strategy: 'href' };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the author's profile or company page from link patterns
+   * @param {Element} postElement - Post DOM element
+   * @returns {object|null} { value, strategy } or null
+   */
+  findAuthorProfileUrl(postElement) {
+    const link = this.findProfileLinks(postElement)[0];
+    return link ? { value: link.href, strategy: 'href' } : null;
+  }
+
+  /**
+   * Find the post text as the longest left-to-right text block outside links and comments
+   * @param {Element} postElement - Post DOM element
+   * @returns {object|null} { value, strategy } or null
+   */
+  findContent(postElement) {
+    const candidates = this.findOwnElements(postElement, '[dir="ltr"]')
+      .filter(element => !element.closest('a, button, time'))
+      .map(element => this.extractor.cleanContent(element.textContent))
+      .filter(text => text.length >= this.minContentLength)
+      .sort((a, b) => b.length - a.length);
+
+    return candidates.length > 0
+      ? { value: this.extractor.stripSeeMoreText(candidates[0]), strategy: 'text' }
+      : null;
+  }
+
+  /**
+   * Find the post time from a URN on an inner element or from "3d •" style header text
+   * @param {Element} postElement - Post DOM element
+   * @returns {object|null} { value, strategy } with value in extractTimestampInfo's shape, or null
+   */
+  findTimestamp(postElement) {
+    for (const element of this.findOwnElements(postElement, '[data-urn], [data-id], [data-activity-urn]')) {
+      const urn = element.getAttribute('data-urn') || element.getAttribute('data-id') || element.getAttribute('data-activity-urn');
+      const value = this.extractor.decodeUrnTimestamp(urn);
+      if (value) {
+        return { value: { value: value, source: 'urn', precision: 'exact' }, strategy: 'urn' };
+      }
+    }
+
+    for (const element of this.findOwnElements(postElement, 'span, div')) {
+      if (element.children.length > 0) continue;
+
+      // The header shows the age first, followed by a bullet and the visibility icon
+      const match = element.textContent.trim().match(/^(\d+\s*[^\s\d•·]+)\s*[•·]/);
+      const value = match && this.extractor.locales.parseRelativeTime(
+        match[1].toLowerCase(), this.extractor.getLocale(), this.extractor.getReferenceTime()
+      );
+      if (value) {
+        return { value: { value: value, source: 'relative', precision: 'approximate' }, strategy: 'text' };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find a social count from ARIA labels such as "56 comments on Jane's post" or texts such as "12 reposts"
+   * or "1,2 Tsd. Reaktionen"
+   * @param {Element} postElement - Post DOM element
+   * @param {string} type - 'likes', 'comments' or 'shares'
+   * @returns {object|null} { value, strategy } or null
+   */
+  findMetric(postElement, type) {
+    const pattern = this.getMetricPattern(type);
+
+    for (const element of this.findOwnElements(postElement, '[aria-label]')) {
+      const match = element.getAttribute('aria-label').match(pattern);
+      if (match) {
+        return { value: this.extractor.parseMetricNumber(match[1]), strategy: 'aria-label' };
+      }
+    }
+
+    for (const element of this.findOwnElements(postElement, 'button, span')) {
+      if (element.children.length > 0) continue;
+
+      const match = element.textContent.match(pattern);
+      if (match) {
+        return { value: this.extractor.parseMetricNumber(match[1]), strategy: 'text' };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the profile link label patterns, the page language's first
+   * @returns {Array<RegExp>} Label patterns
+   */
+  getProfileLabelPatterns() {
+    return this.getLookupOrder().flatMap(code => this.profileLabelPatterns[code] || []);
+  }
+
+  /**
+   * Build the pattern for a count followed by its metric word in any supported language.
+   * The count keeps its abbreviation (e.g. "1.2K", "3 Mio."), which the locale's number parser reads.
+   * @param {string} type - 'likes', 'comments' or 'shares'
+   * @returns {RegExp} Pattern with the count in the first group
+   */
+  getMetricPattern(type) {
+    const words = this.getLookupOrder()
+      .map(code => this.metricWords[code] && this.metricWords[code][type])
+      .filter(Boolean)
+      .join('|');
+
+    return new RegExp(`^\\s*(\\d[\\d.,\\s\\u00a0\\u202f]*(?:[a-zà-ÿ]+\\.?)?)\\s+(?:${words})(?![a-zà-ÿ])`, 'i');
+  }
+
+  /**
+   * Get the locale codes to try, the page language first
+   * @returns {Array<string>} Locale codes
+   */
+  getLookupOrder() {
+    return this.extractor.locales.getLookupOrder(this.extractor.getLocale());
+  }
+
+  /**
+   * Find the post's own links to member profiles and company pages, in page order
+   * @param {Element} postElement - Post DOM element
+   * @returns {Array<Element>} Profile links
+   */
+  findProfileLinks(postElement) {
+    return this.findOwnElements(postElement, 'a[href]')
+      .filter(link => this.profileLinkPattern.test(link.getAttribute('href')));
+  }
+
+  /**
+   * Find matches that belong to the post itself, skipping comments, repost headers and embedded posts
+   * @param {Element} postElement - Post DOM element
+   * @param {string} selector - CSS selector
+   * @returns {Array<Element>} Matching elements
+   */
+  findOwnElements(postElement, selector) {
+    return this.extractor.findOwnElements(postElement, selector)
+      .filter(element => {
+        const excluded = element.closest(this.excludedRegions);
+        return !excluded || !postElement.contains(excluded);
+      });
+  }
+
+  /**
+   * Get the first non-empty line of an element's text
+   * @param {Element} element - Element
+   * @returns {string} First line, empty if the element has no text
+   */
+  getFirstLine(element) {
+    const line = (element.innerText || element.textContent || '')
+      .split('\n')
+      .map(text => text.trim())
+      .find(text => text.length > 0);
+
+    return line || '';
+  }
+}
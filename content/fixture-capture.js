@@ -0,0 +1,264 @@
+/**
+ * Fixture Capture
+ * Turns selected post elements into sanitized fixtures that replay through
+ * PostExtractor and DataFormatter in the regression tests
+ */
+
+import { PostExtractor } from './post-extractor.js';
+
+export class FixtureCapture {
+  /**
+   * @param {object} extractor - PostExtractor whose settings the fixture records
+   */
+  constructor(extractor) {
+    this.extractor = extractor;
+    this.schemaVersion = 1;
+
+    this.trackingParams = [
+      'trk', 'trkInfo', 'trackingId', 'lipi', 'licu', 'midToken', 'midSig',
+      'eid', 'otpToken', 'refId', 'originalSubdomain', 'original_referer',
+      // Member and company URNs identify the people in the post
+      'miniProfileUrn', 'miniCompanyUrn', 'profileUrn', 'memberUrn', 'actorCompanyId'
+    ];
+    // LinkedIn media URLs carry expiring signatures in the query string
+    this.signedMediaHosts = ['media.licdn.com', 'static.licdn.com'];
+    this.urlAttributes = ['href', 'src', 'data-delayed-url', 'data-ghost-url'];
+    this.textAttributes = ['aria-label', 'alt', 'title'];
+    this.droppedAttributes = /^(id|srcset|data-(view-)?tracking.*|data-control-id|data-ember-.*|data-finite-scroll-hotkey.*)$/;
+    this.droppedElements = 'script, style, noscript, iframe, template, link, meta';
+    this.avatarSelectors = [
+      '.feed-shared-actor__avatar img',
+      '.update-components-actor__avatar img',
+      '.update-components-actor__avatar-image',
+      '.EntityPhoto-circle-3',
+      '.presence-entity__image',
+      '.comments-post-meta__profile-image',
+      'img[class*="avatar"]'
+    ].join(', ');
+
+    // Formatter fields that depend on the time zone or the time a fixture is replayed
+    this.volatileFields = ['extractedAt'];
+    this.volatileTimestampFields = ['readable', 'relative', 'dayOfWeek', 'timeOfDay'];
+  }
+
+  /**
+   * Capture post elements into a fixture
+   * @param {Array<Element>} postElements - Posts to capture
+   * @param {object} options - { name, redactNames, redactionMap } where redactionMap maps real text to replacements
+   * @returns {object} Fixture, ready to be saved as JSON under tests/fixtures/posts
+   */
+  capture(postElements, options = {}) {
+    const capturedAt = new Date().toISOString();
+    const settings = {
+      ...this.extractor.settings,
+      locale: this.extractor.getLocale()
+    };
+    delete settings.referenceTime;
+
+    const redactionMap = {
+      ...(options.redactNames ? this.buildRedactionMap(postElements) : {}),
+      ...(options.redactionMap || {})
+    };
+
+    const posts = postElements.map(element => {
+      const html = this.sanitizeElement(element, redactionMap);
+      return { html: html, expected: this.extractExpected(html, settings, capturedAt) };
+    });
+
+    return {
+      schemaVersion: this.schemaVersion,
+      name: options.name || `capture-${capturedAt.slice(0, 10)}`,
+      capturedAt: capturedAt,
+      sourceUrl: this.stripTrackingParams(window.location.href),
+      redacted: Object.keys(redactionMap).length > 0,
+      settings: settings,
+      posts: posts
+    };
+  }
+
+  /**
+   * Run sanitized post HTML through the extractor and formatter the way the replay tests do
+   * @param {string} html - Sanitized post HTML
+   * @param {object} settings - Extractor settings recorded in the fixture
+   * @param {string} capturedAt - Capture time, relative post ages are counted from it
+   * @returns {object|null} Normalized formatted post
+   */
+  extractExpected(html, settings, capturedAt) {
+    const container = document.createElement('div');
+    container.innerHTML = html;
+
+    const extractor = new PostExtractor({ ...settings, referenceTime: capturedAt });
+    return this.normalizeOutput(extractor.extractPostData(container.firstElementChild));
+  }
+
+  /**
+   * Drop output fields that change between runs
+   * @param {object|null} output - Formatted post
+   * @returns {object|null} Post without volatile fields
+   */
+  normalizeOutput(output) {
+    if (!output) return null;
+
+    const normalized = JSON.parse(JSON.stringify(output));
+    this.volatileFields.forEach(field => delete normalized[field]);
+
+    if (normalized.timestamp) {
+      this.volatileTimestampFields.forEach(field => delete normalized.timestamp[field]);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Copy a post element without scripts, tracking data, avatars and redacted names
+   * @param {Element} element - Post element
+   * @param {object} redactionMap - Text to replace, mapped to its replacement
+   * @returns {string} Sanitized outer HTML
+   */
+  sanitizeElement(element, redactionMap = {}) {
+    const clone = element.cloneNode(true);
+
+    clone.querySelectorAll(this.droppedElements).forEach(node => node.remove());
+
+    clone.querySelectorAll(this.avatarSelectors).forEach(image => image.remove());
+
+    [clone, ...clone.querySelectorAll('*')].forEach(node => {
+      Array.from(node.attributes).forEach(attribute => {
+        if (this.droppedAttributes.test(attribute.name)) {
+          node.removeAttribute(attribute.name);
+        } else if (this.urlAttributes.includes(attribute.name) && attribute.value) {
+          node.setAttribute(attribute.name, this.stripTrackingParams(attribute.value));
+        }
+      });
+    });
+
+    this.redact(clone, redactionMap);
+    return clone.outerHTML;
+  }
+
+  /**
+   * Remove tracking parameters, and the signature of LinkedIn media URLs
+   * Relative URLs are made absolute, so replaying outside LinkedIn resolves them the same way.
+   * @param {string} url - Absolute or relative URL
+   * @returns {string} Absolute URL without tracking
+   */
+  stripTrackingParams(url) {
+    let parsed;
+    try {
+      parsed = new URL(url, 'https://www.linkedin.com');
+    } catch (error) {
+      return url;
+    }
+
+    if (!/^https?:$/.test(parsed.protocol)) return url;
+
+    if (this.signedMediaHosts.includes(parsed.hostname)) {
+      parsed.search = '';
+    } else {
+      Array.from(parsed.searchParams.keys())
+        .filter(key => this.trackingParams.includes(key) || key.startsWith('utm_'))
+        .forEach(key => parsed.searchParams.delete(key));
+    }
+
+    return parsed.href;
+  }
+
+  /**
+   * Name every person and company linked from the posts, for redaction
+   * @param {Array<Element>} postElements - Posts to capture
+   * @returns {object} Redaction map (name or profile slug -> placeholder)
+   */
+  buildRedactionMap(postElements) {
+    const map = {};
+    const counters = { in: 0, company: 0 };
+
+    postElements.forEach(element => {
+      element.querySelectorAll('a[href*="/in/"], a[href*="/company/"]').forEach(link => {
+        const match = link.getAttribute('href').match(/\/(in|company)\/([^/?#]+)/);
+        if (!match || map[match[2]]) return;
+
+        const kind = match[1];
+        const number = ++counters[kind];
+        const label = kind === 'in' ? 'Person' : 'Company';
+
+        map[match[2]] = `${label.toLowerCase()}-${number}`;
+
+        const name = this.getLinkName(link);
+        if (name && !map[name]) {
+          map[name] = `${label} ${number}`;
+        }
+      });
+
+      const author = this.extractor.extractAuthor(element).name;
+      if (author && author !== 'Unknown' && !map[author]) {
+        map[author] = `Person ${++counters.in}`;
+      }
+    });
+
+    return map;
+  }
+
+  /**
+   * Get the name shown for a profile link
+   * @param {Element} link - Link to a member profile or company page
+   * @returns {string} Name from the link's ARIA label, avatar alt text or first line, empty if none
+   */
+  getLinkName(link) {
+    const heuristics = this.extractor.heuristics;
+    const label = link.getAttribute('aria-label') || '';
+
+    for (const pattern of heuristics.getProfileLabelPatterns()) {
+      const match = label.match(pattern);
+      if (match) return match[1].trim();
+    }
+
+    const avatar = link.querySelector('img[alt]');
+    if (avatar && avatar.getAttribute('alt').trim()) {
+      return avatar.getAttribute('alt').trim();
+    }
+
+    return heuristics.getFirstLine(link);
+  }
+
+  /**
+   * Replace redacted text in text nodes, URLs and labels
+   * @param {Element} root - Sanitized copy of a post
+   * @param {object} redactionMap - Text to replace, mapped to its replacement
+   */
+  redact(root, redactionMap) {
+    // Longer names first, so "Jane Doe" is replaced before "Jane"
+    const entries = Object.entries(redactionMap).sort((a, b) => b[0].length - a[0].length);
+    if (entries.length === 0) return;
+
+    const replace = text => entries.reduce((value, [from, to]) => value.split(from).join(to), text);
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      walker.currentNode.nodeValue = replace(walker.currentNode.nodeValue);
+    }
+
+    [root, ...root.querySelectorAll('*')].forEach(node => {
+      [...this.urlAttributes, ...this.textAttributes].forEach(name => {
+        if (node.hasAttribute(name)) {
+          node.setAttribute(name, replace(node.getAttribute(name)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Save a fixture as a JSON download
+   * @param {object} fixture - Captured fixture
+   */
+  download(fixture) {
+    const blob = new Blob([JSON.stringify(fixture, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${fixture.name}.json`;
+    a.click();
+
+    URL.revokeObjectURL(url);
+  }
+}
@@ -3,14 +3,48 @@
  * Extracts data from LinkedIn post DOM elements
  */
 
+import { DataFormatter } from '../utils/data-formatter.js';
+import { LinkedInSelectors } from '../utils/linkedin-selectors.js';
+import { Locales } from '../utils/locales.js';
+import { FieldHeuristics } from './field-heuristics.js';
+
 export class PostExtractor {
-  constructor(settings = {}) {
+  /**
+   * @param {object} settings - Extraction settings
+   * @param {LinkedInSelectors} selectors - Shared selectors, including any applied selector pack
+   */
+  constructor(settings = {}, selectors = new LinkedInSelectors()) {
     this.settings = {
       extractImages: true,
       extractMetrics: true,
       extractComments: false,
       ...settings
     };
+
+    this.selectors = selectors;
+    this.formatter = new DataFormatter();
+    this.locales = new Locales();
+    this.heuristics = new FieldHeuristics(this);
+    // Which strategy filled each field of the post being extracted, null between extractions
+    this.strategies = null;
+    // Which selector filled each field the selectors found, null between extractions
+    this.matchedSelectors = null;
+    this.commentItemSelector = 'article.comments-comment-item, article.comments-comment-entity';
+    this.embeddedPostSelector = [
+      '.update-components-mini-update-v2',
+      '.feed-shared-mini-update-v2',
+      '.update-components-reshare',
+      '.feed-shared-update-v2__reshared-content'
+    ].join(', ');
+    this.defaultMaxComments = 20;
+  }
+
+  /**
+   * Update extraction settings
+   * @param {object} settings - Settings to merge into the current ones
+   */
+  updateSettings(settings = {}) {
+    this.settings = { ...this.settings, ...settings };
   }
 
   /**
@@ -24,14 +58,26 @@ export class PostExtractor {
         throw new Error('Post element is null or undefined');
       }
 
+      this.strategies = {};
+      this.matchedSelectors = {};
+
       const postData = {
         id: this.generatePostId(postElement),
         url: this.generatePostUrl(postElement),
         author: this.extractAuthor(postElement),
         content: this.extractContent(postElement),
-        timestamp: this.extractTimestamp(postElement)
+        timestamp: null
       };
 
+      postData.contentTruncated = this.isContentTruncated(postElement);
+
+      const timestampInfo = this.extractTimestampInfo(postElement);
+      if (timestampInfo) {
+        postData.timestamp = timestampInfo.value;
+        postData.timestampSource = timestampInfo.source;
+        postData.timestampPrecision = timestampInfo.precision;
+      }
+
       // Add optional data based on settings
       if (this.settings.extractMetrics) {
         postData.metrics = this.extractMetrics(postElement);
@@ -39,16 +85,107 @@ export class PostExtractor {
 
       if (this.settings.extractImages) {
         postData.images = this.extractImages(postElement);
+
+        const imageDetails = this.extractImageDetails(postElement);
+        if (imageDetails.length > 0) {
+          postData.imageDetails = imageDetails;
+        }
+      }
+
+      const links = this.extractLinks(postElement);
+      if (links.length > 0) {
+        postData.links = links;
+      }
+
+      const documents = this.extractDocuments(postElement);
+      if (documents.length > 0) {
+        postData.documents = documents;
+      }
+
+      if (this.settings.extractComments) {
+        postData.comments = this.extractCommentThreads(postElement);
+      }
+
+      const poll = this.extractPoll(postElement);
+      if (poll) {
+        postData.poll = poll;
+      }
+
+      const repost = this.extractRepost(postElement);
+      if (repost) {
+        postData.repost = repost;
       }
 
+      postData.extractionStrategies = this.strategies;
+      postData.matchedSelectors = this.matchedSelectors;
+
       return postData;
 
     } catch (error) {
       console.error('Error extracting post data:', error);
       return null;
+    } finally {
+      this.strategies = null;
+      this.matchedSelectors = null;
     }
   }
 
+  /**
+   * Record which strategy filled a field of the post being extracted.
+   * The first record wins, so embedded posts do not overwrite the post's own fields.
+   * @param {string} field - Field name (e.g. 'authorName', 'likes')
+   * @param {string} strategy - 'selector', a heuristic ('aria-label', 'href', 'urn', 'text') or 'none'
+   * @param {string} selector - Selector that found the field, for the 'selector' strategy
+   */
+  recordStrategy(field, strategy, selector = null) {
+    if (this.strategies && !(field in this.strategies)) {
+      this.strategies[field] = strategy;
+
+      if (selector && this.matchedSelectors) {
+        this.matchedSelectors[field] = selector;
+      }
+    }
+  }
+
+  /**
+   * Use a heuristic result when the class selectors found nothing
+   * @param {string} field - Field name
+   * @param {object|null} found - Heuristic result ({ value, strategy })
+   * @param {any} fallback - Value when the heuristics found nothing either
+   * @returns {any} Field value
+   */
+  useHeuristic(field, found, fallback) {
+    this.recordStrategy(field, found ? found.strategy : 'none');
+    return found ? found.value : fallback;
+  }
+
+  /**
+   * Extract a post and format it for storage and export
+   * @param {Element} postElement - Post DOM element
+   * @returns {object|null} Formatted post data
+   */
+  extractPostData(postElement) {
+    const postData = this.extractPost(postElement);
+    if (!postData) return null;
+
+    // Only the post's own content images are media, avatars and document slide thumbnails are not
+    const slideUrls = new Set((postData.documents || []).flatMap(doc => doc.thumbnails));
+    const images = (postData.imageDetails || []).filter(image => !slideUrls.has(image.url));
+
+    return this.formatter.formatPostData({
+      ...postData,
+      author: {
+        ...postData.author,
+        profile: postData.author.profileUrl
+      },
+      media: {
+        images: images,
+        videos: [],
+        documents: postData.documents || []
+      }
+    });
+  }
+
   /**
    * Generate post ID from element
    * @param {Element} postElement - Post DOM element
@@ -60,17 +197,84 @@ export class PostExtractor {
       return `post_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
-    // Try to get URN from data attributes
-    const urn = postElement.getAttribute('data-urn') || 
-                postElement.getAttribute('data-id') ||
-                postElement.getAttribute('data-activity-urn');
-    
-    if (urn) {
-      return urn;
+    return this.findPostUrns(postElement)[0] || this.generateFallbackId(postElement);
+  }
+
+  /**
+   * Find the post's URNs on the element, an inner saved-list result and the link to the post
+   * @param {Element} postElement - Post DOM element
+   * @returns {Array<string>} URNs, most reliable first
+   */
+  findPostUrns(postElement) {
+    if (!postElement || typeof postElement.getAttribute !== 'function') return [];
+
+    const urns = ['data-urn', 'data-id', 'data-activity-urn', 'data-chameleon-result-urn']
+      .map(attribute => postElement.getAttribute(attribute));
+
+    // Saved list items carry the URN on an inner result or on the link to the post
+    const savedItem = this.findOwnElement(postElement, '[data-chameleon-result-urn]');
+    if (savedItem) {
+      urns.push(savedItem.getAttribute('data-chameleon-result-urn'));
+    }
+
+    const postLink = this.findOwnElement(postElement, 'a[href*="urn:li:activity:"]');
+    const linkUrn = postLink?.getAttribute('href').match(/urn:li:activity:\d+/);
+    if (linkUrn) {
+      urns.push(linkUrn[0]);
+    }
+
+    return [...new Set(urns.filter(Boolean))];
+  }
+
+  /**
+   * Derive an ID for a post without a URN from its author, text and posting time,
+   * so scanning the same post again gives the same ID
+   * Only the datetime attribute is used, relative times such as "2h" change between scans.
+   * @param {Element} postElement - Post DOM element
+   * @returns {string} Post ID ("post_" followed by a content hash)
+   */
+  generateFallbackId(postElement) {
+    const profileLink = this.selectors.getAllSelectors('author', 'profile')
+      .map(selector => postElement.querySelector(selector))
+      .find(element => element && element.href);
+    const textElement = this.selectors.getAllSelectors('text')
+      .map(selector => this.findOwnElement(postElement, selector))
+      .find(Boolean);
+    const timeElement = postElement.querySelector('time[datetime]');
+
+    const parts = [
+      profileLink ? profileLink.href.split('?')[0] : '',
+      textElement ? this.stripSeeMoreText(this.cleanContent(textElement.textContent)).toLowerCase() : '',
+      timeElement ? timeElement.getAttribute('datetime') : ''
+    ];
+
+    // Nothing to tell this post apart from others, a hash would merge them
+    if (parts.every(part => !part)) {
+      return `post_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
-    // Generate fallback ID
-    return `post_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return `post_${this.hashString(parts.join('\n'))}`;
+  }
+
+  /**
+   * Hash a string to a 53-bit number (cyrb53)
+   * @param {string} text - Text to hash
+   * @returns {number} Hash
+   */
+  hashString(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 2654435761);
+      h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0);
   }
 
   /**
@@ -112,17 +316,11 @@ export class PostExtractor {
    * @returns {string} Author name
    */
   extractAuthorName(postElement) {
-    // Common LinkedIn selectors for author name
-    const selectors = [
-      '.feed-shared-actor__name',
-      '.update-components-actor__name',
-      '.feed-shared-actor__title',
-      '[data-control-name="actor_name"]'
-    ];
-
-    for (const selector of selectors) {
+    for (const selector of this.selectors.getAllSelectors('author', 'name')) {
       const element = postElement.querySelector(selector);
       if (element) {
+        this.recordStrategy('authorName', 'selector', selector);
+
         // Check for visually hidden text first (more reliable)
         const hiddenText = element.querySelector('.visually-hidden');
         if (hiddenText) {
@@ -132,7 +330,7 @@ export class PostExtractor {
       }
     }
 
-    return 'Unknown';
+    return this.useHeuristic('authorName', this.heuristics.findAuthorName(postElement), 'Unknown');
   }
 
   /**
@@ -144,7 +342,8 @@ export class PostExtractor {
     const selectors = [
       '.feed-shared-actor__description',
       '.update-components-actor__description',
-      '.feed-shared-actor__sub-description'
+      '.feed-shared-actor__sub-description',
+      '.entity-result__primary-subtitle'
     ];
 
     for (const selector of selectors) {
@@ -167,21 +366,15 @@ export class PostExtractor {
    * @returns {string} Author profile URL
    */
   extractAuthorProfileUrl(postElement) {
-    const selectors = [
-      '.feed-shared-actor__container-link',
-      '.update-components-actor__container a',
-      '.feed-shared-actor a[href*="/in/"]',
-      'a[href*="linkedin.com/in/"]'
-    ];
-
-    for (const selector of selectors) {
+    for (const selector of this.selectors.getAllSelectors('author', 'profile')) {
       const element = postElement.querySelector(selector);
       if (element && element.href) {
+        this.recordStrategy('authorProfileUrl', 'selector', selector);
         return element.href;
       }
     }
 
-    return '';
+    return this.useHeuristic('authorProfileUrl', this.heuristics.findAuthorProfileUrl(postElement), '');
   }
 
   /**
@@ -190,27 +383,231 @@ export class PostExtractor {
    * @returns {string} Post content text
    */
   extractContent(postElement) {
-    const selectors = [
-      '.feed-shared-text',
-      '.update-components-text',
-      '.feed-shared-update-v2__description',
-      '[data-test-id="main-feed-activity-card"] .break-words'
-    ];
-
-    for (const selector of selectors) {
-      const element = postElement.querySelector(selector);
+    for (const selector of this.selectors.getAllSelectors('text')) {
+      const element = this.findOwnElement(postElement, selector);
       if (element) {
+        this.recordStrategy('content', 'selector', selector);
+
         // Handle "see more" expanded content
         const expandedContent = element.querySelector('.feed-shared-inline-show-more-text');
         if (expandedContent) {
-          return this.cleanContent(expandedContent.textContent);
+          return this.stripSeeMoreText(this.cleanContent(expandedContent.textContent));
         }
         
-        return this.cleanContent(element.textContent);
+        return this.stripSeeMoreText(this.cleanContent(element.textContent));
       }
     }
 
-    return '';
+    return this.useHeuristic('content', this.heuristics.findContent(postElement), '');
+  }
+
+  /**
+   * Remove the "…see more" / "see less" toggle label from the end of post text
+   * @param {string} text - Cleaned post text
+   * @returns {string} Post text without the toggle label
+   */
+  stripSeeMoreText(text) {
+    return text
+      .replace(/\s*(?:…|\.\.\.)\s*(?:see )?more$/i, '')
+      .replace(/\s*see (?:more|less)$/i, '');
+  }
+
+  /**
+   * Check whether a post's text is still cut off at LinkedIn's "see more" fold
+   * @param {Element} postElement - Post DOM element
+   * @returns {boolean} True if the extracted text may be incomplete
+   */
+  isContentTruncated(postElement) {
+    const toggle = this.findOwnElement(
+      postElement,
+      '.feed-shared-inline-show-more-text__see-more-less-toggle, .feed-shared-inline-show-more-text button.see-more, button.update-components-text__see-more'
+    );
+    if (!toggle) return false;
+
+    const expanded = toggle.getAttribute('aria-expanded');
+    if (expanded !== null) return expanded === 'false';
+
+    return !/see less/i.test(toggle.textContent);
+  }
+
+  /**
+   * Extract the shared article card and all inline URLs in the post text
+   * @param {Element} postElement - Post DOM element
+   * @returns {Array} Links ({ url, type, title, domain, thumbnail }), article card first
+   */
+  extractLinks(postElement) {
+    const links = [];
+    const seen = new Set();
+    const addLink = (link) => {
+      const url = this.formatter.unwrapRedirectUrl(link.url);
+      if (!url || seen.has(url)) return;
+
+      seen.add(url);
+      links.push({ ...link, url: url, domain: this.formatter.getDomain(url) });
+    };
+
+    const article = this.findOwnElement(postElement, '.update-components-article, .feed-shared-article');
+    const articleLink = article?.querySelector('a[href]');
+    if (articleLink) {
+      const titleElement = article.querySelector('.update-components-article__title, .feed-shared-article__title');
+      const thumbnail = article.querySelector('img[src]');
+
+      addLink({
+        url: articleLink.getAttribute('href'),
+        type: 'article',
+        title: titleElement ? this.cleanContent(titleElement.textContent) : '',
+        thumbnail: thumbnail ? thumbnail.getAttribute('src') : ''
+      });
+    }
+
+    const textElement = this.findOwnElement(postElement, '.feed-shared-text, .update-components-text, .feed-shared-update-v2__description');
+    if (textElement) {
+      textElement.querySelectorAll('a[href]').forEach(anchor => {
+        const href = anchor.getAttribute('href');
+        // Hashtag and mention anchors point back into LinkedIn
+        if (/linkedin\.com\/(feed\/hashtag|in|company|school)\//i.test(href) || /^\/(feed\/hashtag|in|company|school)\//i.test(href)) return;
+        addLink({ url: href, type: 'inline', title: '', thumbnail: '' });
+      });
+
+      (textElement.textContent.match(/https?:\/\/[^\s<>"]+/gi) || []).forEach(url => {
+        addLink({ url: url.replace(/[.,;:!?)\]]+$/, ''), type: 'inline', title: '', thumbnail: '' });
+      });
+    }
+
+    return links;
+  }
+
+  /**
+   * Find the first match that belongs to the container itself rather than
+   * to a post embedded in it (the original of a quote repost)
+   * @param {Element} container - Post or embedded post element
+   * @param {string} selector - CSS selector
+   * @returns {Element|null} Matching element
+   */
+  findOwnElement(container, selector) {
+    return this.findOwnElements(container, selector)[0] || null;
+  }
+
+  /**
+   * Find all matches that belong to the container itself (see findOwnElement)
+   * @param {Element} container - Post or embedded post element
+   * @param {string} selector - CSS selector
+   * @returns {Array<Element>} Matching elements
+   */
+  findOwnElements(container, selector) {
+    return Array.from(container.querySelectorAll(selector)).filter(element => {
+      const embedded = element.closest(this.embeddedPostSelector);
+      return !embedded || embedded === container || !container.contains(embedded);
+    });
+  }
+
+
+  /**
+   * Extract a poll's question, options and results
+   * @param {Element} postElement - Post DOM element
+   * @returns {object|null} Poll data, or null if the post has no poll
+   */
+  extractPoll(postElement) {
+    const pollElement = this.findOwnElement(postElement, '.update-components-poll, .feed-shared-poll');
+    if (!pollElement) return null;
+
+    const questionElement = pollElement.querySelector(
+      '.update-components-poll__question, .feed-shared-poll__question, .update-components-poll__header'
+    );
+    const summaryElement = pollElement.querySelector(
+      '.update-components-poll-summary, .feed-shared-poll-summary, .update-components-poll__summary'
+    );
+    const summaryText = summaryElement ? this.cleanContent(summaryElement.textContent) : '';
+
+    const totalVotes = this.locales.parsePollVotes(summaryText, this.getLocale());
+
+    const optionElements = pollElement.querySelectorAll(
+      '.update-components-poll-option, .feed-shared-poll-option, [role="radio"]'
+    );
+    const options = Array.from(optionElements).map(optionElement => {
+      const labelElement = optionElement.querySelector(
+        '.update-components-poll-option__text, .feed-shared-poll-option__text, label'
+      );
+      const percentageMatch = optionElement.textContent.match(/(\d+(?:\.\d+)?)\s*%/);
+      const percentage = percentageMatch ? parseFloat(percentageMatch[1]) : null;
+
+      return {
+        label: this.cleanContent((labelElement || optionElement).textContent.replace(/\d+(?:\.\d+)?\s*%/, '')),
+        percentage: percentage,
+        votes: percentage !== null && totalVotes !== null ? Math.round(totalVotes * percentage / 100) : null
+      };
+    }).filter(option => option.label);
+
+    return {
+      question: questionElement ? this.cleanContent(questionElement.textContent) : '',
+      options: options,
+      totalVotes: totalVotes,
+      isClosed: this.locales.isPollClosed(summaryText, this.getLocale())
+    };
+  }
+
+  /**
+   * Detect reposts and quote reposts and extract the original post
+   * @param {Element} postElement - Post DOM element
+   * @returns {object|null} Repost data, or null for original posts
+   */
+  extractRepost(postElement) {
+    // Quote repost: the resharer's commentary with the original embedded below it
+    const embedded = postElement.querySelector(this.embeddedPostSelector);
+    if (embedded) {
+      const resharer = this.extractAuthor(postElement);
+
+      return {
+        type: 'quote',
+        resharer: { name: resharer.name, profileUrl: resharer.profileUrl },
+        commentary: this.extractContent(postElement),
+        original: this.extractOriginalPost(embedded)
+      };
+    }
+
+    // Plain repost: a "<name> reposted this" header above the original post
+    const header = postElement.querySelector('.update-components-header, .feed-shared-header');
+    if (header && /\breposted\b/i.test(header.textContent)) {
+      const resharerLink = header.querySelector('a[href*="/in/"], a[href*="/company/"]');
+      const resharerName = resharerLink
+        ? resharerLink.textContent.trim()
+        : this.cleanContent(header.textContent.replace(/\breposted this\b/i, ''));
+
+      return {
+        type: 'repost',
+        resharer: {
+          name: resharerName || 'Unknown',
+          profileUrl: resharerLink ? resharerLink.href.split('?')[0] : null
+        },
+        commentary: '',
+        original: this.extractOriginalPost(postElement, header)
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract the original post of a repost
+   * @param {Element} originalElement - Element containing the original post
+   * @param {Element} header - Repost header to ignore when looking for the original URN
+   * @returns {object} Original post data
+   */
+  extractOriginalPost(originalElement, header = null) {
+    const author = this.extractAuthor(originalElement);
+
+    // A plain repost's own URN is the reshare, so only links can identify the original
+    const link = Array.from(originalElement.querySelectorAll('a[href*="urn:li:"]'))
+      .find(element => !header || !header.contains(element));
+    const linkedUrn = link?.href.match(/urn:li:(activity|share|ugcPost):\d+/)?.[0];
+    const urn = (header ? null : originalElement.getAttribute('data-urn')) || linkedUrn || null;
+
+    return {
+      urn: urn,
+      url: urn ? `https://www.linkedin.com/feed/update/${urn}/` : '',
+      author: author,
+      content: this.extractContent(originalElement)
+    };
   }
 
   /**
@@ -230,29 +627,75 @@ export class PostExtractor {
    * @returns {string|null} Timestamp or null if not found
    */
   extractTimestamp(postElement) {
-    const selectors = [
-      'time[datetime]',
-      '.feed-shared-actor__sub-description time',
-      '.update-components-actor__sub-description time',
-      '[data-test-id="main-feed-activity-card"] time'
-    ];
+    const info = this.extractTimestampInfo(postElement);
+    return info ? info.value : null;
+  }
 
-    for (const selector of selectors) {
+  /**
+   * Extract the most exact timestamp available and record where it came from.
+   * Activity URNs give the exact creation time, the datetime attribute is next
+   * best, and relative text such as "3w" is only approximate.
+   * @param {Element} postElement - Post DOM element
+   * @returns {object|null} Timestamp info ({ value, source, precision }) or null if not found
+   */
+  extractTimestampInfo(postElement) {
+    const urnTimestamp = this.findPostUrns(postElement)
+      .map(urn => this.decodeUrnTimestamp(urn))
+      .find(Boolean);
+    if (urnTimestamp) {
+      // The post's own URN is the regular path, only URNs found further down are a fallback
+      this.recordStrategy('timestamp', 'selector');
+      return { value: urnTimestamp, source: 'urn', precision: 'exact' };
+    }
+
+    for (const selector of this.selectors.getAllSelectors('timestamp')) {
       const element = postElement.querySelector(selector);
       if (element) {
+        this.recordStrategy('timestamp', 'selector', selector);
+
         // Check for datetime attribute first
         const datetime = element.getAttribute('datetime');
         if (datetime) {
-          return datetime;
+          return {
+            value: datetime,
+            source: 'datetime',
+            precision: datetime.includes('T') ? 'exact' : 'day'
+          };
         }
 
         // Try to parse from text content
         const timeText = element.textContent.trim();
-        return this.parseRelativeTime(timeText);
+        return {
+          value: this.parseRelativeTime(timeText),
+          source: 'relative',
+          precision: 'approximate'
+        };
       }
     }
 
-    return null;
+    return this.useHeuristic('timestamp', this.heuristics.findTimestamp(postElement), null);
+  }
+
+  /**
+   * Decode the creation time from an activity URN. The first 41 bits of the
+   * numeric ID are a millisecond Unix timestamp.
+   * @param {string} urn - Post URN (e.g. "urn:li:activity:7151234567890123456")
+   * @returns {string|null} ISO timestamp, or null if the URN has no valid time
+   */
+  decodeUrnTimestamp(urn) {
+    const match = urn && urn.match(/urn:li:(?:activity|share|ugcPost):(\d+)/);
+    if (!match) return null;
+
+    const milliseconds = Number(BigInt(match[1]) >> 22n);
+
+    // Reject IDs that decode to dates before LinkedIn existed or in the future
+    const earliest = Date.UTC(2003, 0, 1);
+    const latest = Date.now() + 24 * 60 * 60 * 1000;
+    if (milliseconds < earliest || milliseconds > latest) {
+      return null;
+    }
+
+    return new Date(milliseconds).toISOString();
   }
 
   /**
@@ -261,11 +704,78 @@ export class PostExtractor {
    * @returns {object} Metrics data
    */
   extractMetrics(postElement) {
-    return {
+    const metrics = {
       likes: this.extractLikes(postElement),
       comments: this.extractComments(postElement),
       shares: this.extractShares(postElement)
     };
+
+    const topReactions = this.extractTopReactions(postElement);
+    if (topReactions.length > 0) {
+      metrics.topReactions = topReactions;
+    }
+
+    const reactions = this.extractReactionBreakdown(postElement);
+    if (Object.keys(reactions).length > 0) {
+      metrics.reactions = reactions;
+    }
+
+    return metrics;
+  }
+
+  /**
+   * Extract the reaction types shown in the reaction icon strip
+   * @param {Element} postElement - Post DOM element
+   * @returns {Array} Reaction types, most common first
+   */
+  extractTopReactions(postElement) {
+    const icons = postElement.querySelectorAll(
+      '.social-details-social-counts__reactions img, .social-counts-reactions img, img.reactions-icon'
+    );
+    const types = [];
+
+    icons.forEach(icon => {
+      const type = this.formatter.normalizeReactionType(
+        icon.getAttribute('data-test-reactions-icon-type') || icon.getAttribute('alt')
+      );
+      if (type && !types.includes(type)) {
+        types.push(type);
+      }
+    });
+
+    return types;
+  }
+
+  /**
+   * Extract per-type reaction counts from aria-labels, e.g. "Celebrate 12" or "45 Like reactions"
+   * @param {Element} postElement - Post DOM element
+   * @returns {object} Counts keyed by reaction type
+   */
+  extractReactionBreakdown(postElement) {
+    const reactions = {};
+    const typeNames = Object.keys(this.formatter.reactionTypes).join('|');
+    const patterns = [
+      new RegExp(`^\\s*(${typeNames})\\s*[:\\-]?\\s*([\\d.,]+\\s*[KMB]?)\\b`, 'i'),
+      new RegExp(`^\\s*([\\d.,]+\\s*[KMB]?)\\s+(${typeNames})\\b`, 'i')
+    ];
+
+    postElement.querySelectorAll('[aria-label]').forEach(element => {
+      const label = element.getAttribute('aria-label');
+
+      for (const [index, pattern] of patterns.entries()) {
+        const match = label.match(pattern);
+        if (match) {
+          const [name, count] = index === 0 ? [match[1], match[2]] : [match[2], match[1]];
+          const type = this.formatter.normalizeReactionType(name);
+          if (type && reactions[type] === undefined) {
+            reactions[type] = this.parseMetricNumber(count);
+          }
+          break;
+        }
+      }
+    });
+
+    return reactions;
   }
 
   /**
@@ -274,21 +784,16 @@ export class PostExtractor {
    * @returns {number} Likes count
    */
   extractLikes(postElement) {
-    const selectors = [
-      '.social-counts-reactions__count',
-      '.social-counts-reactions .social-counts-reactions__count',
-      '[data-test-id="social-actions-bar"] button[aria-label*="like"]'
-    ];
-
-    for (const selector of selectors) {
+    for (const selector of this.selectors.getAllSelectors('metrics', 'likes')) {
       const element = postElement.querySelector(selector);
       if (element) {
+        this.recordStrategy('likes', 'selector', selector);
         const text = element.textContent.trim();
         return this.parseMetricNumber(text);
       }
     }
 
-    return 0;
+    return this.useHeuristic('likes', this.heuristics.findMetric(postElement, 'likes'), 0);
   }
 
   /**
@@ -297,20 +802,16 @@ export class PostExtractor {
    * @returns {number} Comments count
    */
   extractComments(postElement) {
-    const selectors = [
-      '.social-counts-comments',
-      '[data-test-id="social-actions-bar"] button[aria-label*="comment"]'
-    ];
-
-    for (const selector of selectors) {
+    for (const selector of this.selectors.getAllSelectors('metrics', 'comments')) {
       const element = postElement.querySelector(selector);
       if (element) {
+        this.recordStrategy('comments', 'selector', selector);
         const text = element.textContent.trim();
         return this.parseMetricNumber(text);
       }
     }
 
-    return 0;
+    return this.useHeuristic('comments', this.heuristics.findMetric(postElement, 'comments'), 0);
   }
 
   /**
@@ -319,20 +820,119 @@ export class PostExtractor {
    * @returns {number} Shares count
    */
   extractShares(postElement) {
-    const selectors = [
-      '.social-counts-shares',
-      '[data-test-id="social-actions-bar"] button[aria-label*="share"]'
-    ];
-
-    for (const selector of selectors) {
+    for (const selector of this.selectors.getAllSelectors('metrics', 'shares')) {
       const element = postElement.querySelector(selector);
       if (element) {
+        this.recordStrategy('shares', 'selector', selector);
         const text = element.textContent.trim();
         return this.parseMetricNumber(text);
       }
     }
 
-    return 0;
+    return this.useHeuristic('shares', this.heuristics.findMetric(postElement, 'shares'), 0);
+  }
+
+  /**
+   * Extract the comments and replies currently loaded under a post
+   * @param {Element} postElement - Post DOM element
+   * @returns {Array} Top-level comments, each with a nested replies array
+   */
+  extractCommentThreads(postElement) {
+    const maxComments = this.settings.maxCommentsPerPost || this.defaultMaxComments;
+    const comments = [];
+    let extracted = 0;
+
+    const topLevelItems = this.findCommentItems(postElement)
+      .filter(item => !item.parentElement?.closest(this.commentItemSelector));
+
+    for (const item of topLevelItems) {
+      if (extracted >= maxComments) break;
+
+      const comment = this.extractComment(item);
+      extracted++;
+
+      const replyItems = this.findCommentItems(item)
+        .filter(reply => reply.parentElement.closest(this.commentItemSelector) === item);
+      for (const replyItem of replyItems) {
+        if (extracted >= maxComments) break;
+
+        comment.replies.push(this.extractComment(replyItem));
+        extracted++;
+      }
+
+      comments.push(comment);
+    }
+
+    return comments;
+  }
+
+  /**
+   * Find comment elements within a container
+   * @param {Element} container - Post or comment element
+   * @returns {Array} Comment elements in document order
+   */
+  findCommentItems(container) {
+    return Array.from(container.querySelectorAll(this.commentItemSelector));
+  }
+
+  /**
+   * Extract a single comment
+   * @param {Element} commentElement - Comment DOM element
+   * @returns {object} Comment data
+   */
+  extractComment(commentElement) {
+    // Read only this comment's own header and body, not those of its replies
+    const ownElement = (selectors) => {
+      for (const selector of selectors) {
+        const match = Array.from(commentElement.querySelectorAll(selector))
+          .find(element => element.closest(this.commentItemSelector) === commentElement);
+        if (match) return match;
+      }
+      return null;
+    };
+
+    const nameElement = ownElement([
+      '.comments-post-meta__name-text',
+      '.comments-comment-meta__description-title',
+      '.comments-comment-item__post-meta .hoverable-link-text'
+    ]);
+    const hiddenName = nameElement?.querySelector('.visually-hidden');
+
+    const profileElement = ownElement([
+      'a.comments-post-meta__actor-link',
+      'a.comments-comment-meta__image-link',
+      'a[href*="/in/"]',
+      'a[href*="/company/"]'
+    ]);
+
+    const textElement = ownElement([
+      '.comments-comment-item__main-content',
+      '.comments-comment-item-content-body',
+      '.comments-comment-entity__content .update-components-text'
+    ]);
+
+    const reactionsElement = ownElement([
+      '.comments-comment-social-bar__reactions-count',
+      'button[aria-label*="reaction" i] span'
+    ]);
+
+    const timeElement = ownElement([
+      'time.comments-comment-meta__data',
+      '.comments-comment-item__timestamp',
+      'time'
+    ]);
+
+    return {
+      id: commentElement.getAttribute('data-id') || null,
+      author: {
+        name: (hiddenName || nameElement)?.textContent.trim() || 'Unknown',
+        profileUrl: profileElement?.href ? profileElement.href.split('?')[0] : null
+      },
+      text: textElement ? this.cleanContent(textElement.textContent) : '',
+      reactions: reactionsElement ? this.parseMetricNumber(reactionsElement.textContent) : 0,
+      relativeTime: timeElement ? timeElement.textContent.trim() : '',
+      replies: []
+    };
   }
 
   /**
@@ -353,62 +953,129 @@ export class PostExtractor {
     return images;
   }
 
+  /**
+   * Extract the post's own content images with their alt text, in carousel order
+   * Unlike extractImages this skips avatars and other page chrome.
+   * @param {Element} postElement - Post DOM element
+   * @returns {Array} Image details ({ url, alt, width, height })
+   */
+  extractImageDetails(postElement) {
+    const selector = this.selectors.getAllSelectors('media', 'images').join(', ');
+    const actorSelector = '.update-components-actor, .feed-shared-actor, .comments-post-meta, [class*="avatar"], [class*="EntityPhoto"]';
+    const seen = new Set();
+    const images = [];
+
+    this.findOwnElements(postElement, selector).forEach(img => {
+      if (img.closest(actorSelector)) return;
+
+      const url = img.getAttribute('src') || img.getAttribute('data-delayed-url') || '';
+      if (!url || url.startsWith('data:image') || url.includes('spacer.gif') || seen.has(url)) return;
+
+      seen.add(url);
+      images.push({
+        url: url,
+        alt: this.cleanContent(img.getAttribute('alt') || ''),
+        width: parseInt(img.getAttribute('width'), 10) || null,
+        height: parseInt(img.getAttribute('height'), 10) || null
+      });
+    });
+
+    return images;
+  }
+
+  /**
+   * Extract document (PDF slide) attachments
+   * @param {Element} postElement - Post DOM element
+   * @returns {Array} Documents ({ url, title, type, pageCount, thumbnails })
+   */
+  extractDocuments(postElement) {
+    const documentElement = this.findOwnElement(postElement, this.selectors.getAllSelectors('media', 'documents').join(', '));
+    if (!documentElement) return [];
+
+    const titleElement = documentElement.querySelector(
+      '.document-s-container__title, .update-components-document__title, .feed-shared-document__title'
+    );
+    const iframe = documentElement.querySelector('iframe');
+    const link = documentElement.querySelector('a[href]');
+
+    // The embedded viewer titles itself e.g. "Document: 10 tips for better slides"
+    const title = titleElement
+      ? this.cleanContent(titleElement.textContent)
+      : (iframe?.getAttribute('title') || documentElement.getAttribute('aria-label') || '').replace(/^document:\s*/i, '').trim();
+
+    const thumbnails = Array.from(documentElement.querySelectorAll('img'))
+      .map(img => img.getAttribute('src') || img.getAttribute('data-src') || '')
+      .filter(url => url && !url.startsWith('data:image'));
+
+    return [{
+      url: link?.href || iframe?.getAttribute('data-src') || iframe?.getAttribute('src') || this.generatePostUrl(postElement),
+      title: title,
+      type: 'pdf',
+      pageCount: this.extractDocumentPageCount(documentElement, thumbnails.length),
+      thumbnails: [...new Set(thumbnails)]
+    }];
+  }
+
+  /**
+   * Read a document's page count from its "N pages" label, falling back to the slides rendered
+   * @param {Element} documentElement - Document container element
+   * @param {number} slideCount - Number of slide thumbnails found
+   * @returns {number|null} Page count
+   */
+  extractDocumentPageCount(documentElement, slideCount) {
+    const labels = [
+      documentElement.textContent,
+      documentElement.querySelector('iframe')?.getAttribute('title'),
+      documentElement.getAttribute('aria-label')
+    ];
+
+    for (const label of labels) {
+      const match = (label || '').match(/(\d+)\s+(?:pages?|slides?)\b/i);
+      if (match) {
+        return parseInt(match[1], 10);
+      }
+    }
+
+    const pageIndicator = (documentElement.textContent || '').match(/\b\d+\s*\/\s*(\d+)\b/);
+    if (pageIndicator) {
+      return parseInt(pageIndicator[1], 10);
+    }
+
+    return slideCount > 0 ? slideCount : null;
+  }
+
   /**
    * Parse metric number from text
-   * @param {string} text - Text containing number
+   * @param {string} text - Text containing number (e.g. "1,234", "1.2K", "1,2 Mio.")
    * @returns {number} Parsed number
    */
   parseMetricNumber(text) {
-    if (!text) return 0;
-    
-    // Remove non-numeric characters except K, M, B
-    const cleanText = text.replace(/[^\d.,KMB]/gi, '');
-    
-    if (cleanText.toLowerCase().includes('k')) {
-      return Math.round(parseFloat(cleanText) * 1000);
-    }
-    if (cleanText.toLowerCase().includes('m')) {
-      return Math.round(parseFloat(cleanText) * 1000000);
-    }
-    if (cleanText.toLowerCase().includes('b')) {
-      return Math.round(parseFloat(cleanText) * 1000000000);
-    }
-    
-    const num = parseInt(cleanText.replace(/[,\.]/g, ''), 10);
-    return isNaN(num) ? 0 : num;
+    return this.locales.parseNumber(text, this.getLocale());
   }
 
   /**
    * Parse relative time to ISO string
-   * @param {string} timeText - Relative time text (e.g., "2h", "1d")
-   * @returns {string} ISO timestamp
+   * @param {string} timeText - Relative time text (e.g., "2h", "vor 3 Tagen", "il y a 2 sem.")
+   * @returns {string} ISO timestamp, the current time if the text is not understood
    */
   parseRelativeTime(timeText) {
-    const now = new Date();
-    
-    // Match patterns like "2h", "1d", "3w", "1mo", "2y"
-    const match = timeText.match(/(\d+)([mhdwy]|mo)/i);
-    
-    if (match) {
-      const value = parseInt(match[1], 10);
-      const unit = match[2].toLowerCase();
-      
-      switch (unit) {
-        case 'm':
-          return new Date(now.getTime() - value * 60 * 1000).toISOString();
-        case 'h':
-          return new Date(now.getTime() - value * 60 * 60 * 1000).toISOString();
-        case 'd':
-          return new Date(now.getTime() - value * 24 * 60 * 60 * 1000).toISOString();
-        case 'w':
-          return new Date(now.getTime() - value * 7 * 24 * 60 * 60 * 1000).toISOString();
-        case 'mo':
-          return new Date(now.getTime() - value * 30 * 24 * 60 * 60 * 1000).toISOString();
-        case 'y':
-          return new Date(now.getTime() - value * 365 * 24 * 60 * 60 * 1000).toISOString();
-      }
-    }
-    
-    return now.toISOString();
+    const now = this.getReferenceTime();
+    return this.locales.parseRelativeTime(timeText, this.getLocale(), now) || now.toISOString();
+  }
+
+  /**
+   * Get the time relative post ages are counted from
+   * @returns {Date} The referenceTime setting (used when replaying captured fixtures), otherwise now
+   */
+  getReferenceTime() {
+    return this.settings.referenceTime ? new Date(this.settings.referenceTime) : new Date();
+  }
+
+  /**
+   * Get the language LinkedIn's UI is shown in
+   * @returns {string} Locale code from the settings or the page's lang attribute
+   */
+  getLocale() {
+    return this.settings.locale || this.locales.detectLocale();
   }
 }
\ No newline at end of file
@@ -0,0 +1,204 @@
+/**
+ * Scan Pacer
+ * Paces scrolling and waits like a person reading the page, keeps scans within
+ * an hourly budget and spots LinkedIn's rate-limit, captcha and checkpoint pages
+ */
+
+export class ScanPacer {
+  /**
+   * @param {object} selectors - LinkedInSelectors instance
+   * @param {object} storage - Storage instance used to persist the hourly budget
+   * @param {Function} delay - Waits the given milliseconds
+   */
+  constructor(selectors, storage, delay) {
+    this.selectors = selectors;
+    this.storage = storage;
+    this.delay = delay || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    this.jitter = 0.4;
+    this.readingPauseChance = 0.15;
+    this.readingPause = { min: 2000, max: 6000 };
+    this.scrollStep = { min: 0.45, max: 0.9 };
+    this.scrollStepDelay = { min: 300, max: 1100 };
+    this.maxScrollSteps = 12;
+
+    this.hourlyBudget = 300;
+    this.budgetWindow = 60 * 60 * 1000;
+    this.budget = { windowStart: Date.now(), count: 0 };
+
+    // Text LinkedIn shows when it throttles or challenges a session
+    this.blockPatterns = [
+      { reason: 'rate_limited', pattern: /viewing (?:pages |profiles )?too fast|too many requests|commercial use limit/i },
+      { reason: 'captcha', pattern: /quick security check|verify you(?:'|’)re (?:a )?human/i },
+      { reason: 'checkpoint', pattern: /restricted your account/i }
+    ];
+  }
+
+  /**
+   * Update pacing settings
+   * @param {object} settings - Pacing settings ({ hourlyScanBudget })
+   */
+  updateSettings(settings = {}) {
+    if (settings.hourlyScanBudget) {
+      this.hourlyBudget = settings.hourlyScanBudget;
+    }
+  }
+
+  /**
+   * Get a wait time randomized around a base delay, now and then with a longer reading pause
+   * @param {number} baseMs - Base delay in milliseconds
+   * @returns {number} Delay in milliseconds
+   */
+  getJitteredDelay(baseMs) {
+    let delay = baseMs * (1 + (Math.random() * 2 - 1) * this.jitter);
+
+    if (Math.random() < this.readingPauseChance) {
+      delay += this.randomBetween(this.readingPause.min, this.readingPause.max);
+    }
+
+    return Math.round(delay);
+  }
+
+  /**
+   * Wait a jittered amount of time
+   * @param {number} baseMs - Base delay in milliseconds
+   */
+  async wait(baseMs) {
+    await this.delay(this.getJitteredDelay(baseMs));
+  }
+
+  /**
+   * Scroll towards the bottom of the page in uneven steps with short pauses in between
+   * @returns {Promise<number>} Number of scroll steps taken
+   */
+  async scrollDown() {
+    let steps = 0;
+
+    do {
+      const viewport = window.innerHeight || 800;
+      window.scrollBy(0, Math.round(viewport * this.randomBetween(this.scrollStep.min, this.scrollStep.max)));
+      steps++;
+
+      await this.delay(Math.round(this.randomBetween(this.scrollStepDelay.min, this.scrollStepDelay.max)));
+    } while (steps < this.maxScrollSteps && !this.isAtBottom());
+
+    return steps;
+  }
+
+  /**
+   * Check if the viewport has reached the bottom of the page
+   * @returns {boolean} True if nothing is left to scroll
+   */
+  isAtBottom() {
+    const scrolled = (window.scrollY || 0) + (window.innerHeight || 0);
+    return scrolled >= document.body.scrollHeight - 50;
+  }
+
+  /**
+   * Detect LinkedIn's rate-limit, captcha and checkpoint pages
+   * @returns {object|null} Block ({ reason, message }) or null if the page looks normal
+   */
+  detectBlock() {
+    const path = window.location.pathname;
+    if (this.selectors.getBlockedPageSelectors('checkpointPaths').some(fragment => path.includes(fragment))) {
+      return { reason: 'checkpoint', message: 'LinkedIn redirected to a sign-in or checkpoint page' };
+    }
+
+    if (this.selectors.getBlockedPageSelectors('captcha').some(selector => document.querySelector(selector))) {
+      return { reason: 'captcha', message: 'LinkedIn is asking for a security check' };
+    }
+
+    const dialogText = this.selectors.getBlockedPageSelectors('dialog')
+      .flatMap(selector => Array.from(document.querySelectorAll(selector)))
+      .map(element => element.textContent)
+      .concat(document.title)
+      .join(' ');
+
+    const match = this.blockPatterns.find(block => block.pattern.test(dialogText));
+    if (match) {
+      return { reason: match.reason, message: this.getBlockMessage(match.reason) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get a readable explanation for a block reason
+   * @param {string} reason - Block reason
+   * @returns {string} Message
+   */
+  getBlockMessage(reason) {
+    const messages = {
+      rate_limited: 'LinkedIn says the page is being viewed too fast',
+      captcha: 'LinkedIn is asking for a security check',
+      checkpoint: 'LinkedIn has restricted the account temporarily'
+    };
+    return messages[reason] || 'LinkedIn blocked the page';
+  }
+
+  /**
+   * Load the budget used in the current hour
+   */
+  async loadBudget() {
+    try {
+      const budget = await this.storage.getScanBudget();
+      if (budget && Date.now() - budget.windowStart < this.budgetWindow) {
+        this.budget = { windowStart: budget.windowStart, count: budget.count || 0 };
+        return;
+      }
+    } catch (error) {
+      console.warn('[LinkedIn Consolidator] Could not load scan budget:', error.message);
+    }
+
+    this.budget = { windowStart: Date.now(), count: 0 };
+  }
+
+  /**
+   * Persist the budget used in the current hour
+   */
+  async saveBudget() {
+    try {
+      await this.storage.saveScanBudget(this.budget);
+    } catch (error) {
+      console.warn('[LinkedIn Consolidator] Could not save scan budget:', error.message);
+    }
+  }
+
+  /**
+   * Get the number of posts that may still be scanned this hour
+   * @returns {number} Remaining posts
+   */
+  getRemainingBudget() {
+    if (Date.now() - this.budget.windowStart >= this.budgetWindow) {
+      this.budget = { windowStart: Date.now(), count: 0 };
+    }
+    return Math.max(this.hourlyBudget - this.budget.count, 0);
+  }
+
+  /**
+   * Count scanned posts against the hourly budget
+   * @param {number} count - Posts scanned
+   */
+  consumeBudget(count = 1) {
+    this.getRemainingBudget();
+    this.budget.count += count;
+  }
+
+  /**
+   * Get the time the hourly budget starts over
+   * @returns {Date} Reset time
+   */
+  getBudgetResetTime() {
+    return new Date(this.budget.windowStart + this.budgetWindow);
+  }
+
+  /**
+   * Get a random number in a range
+   * @param {number} min - Lower bound
+   * @param {number} max - Upper bound
+   * @returns {number} Random number
+   */
+  randomBetween(min, max) {
+    return min + Math.random() * (max - min);
+  }
+}
@@ -0,0 +1,266 @@
+/**
+ * Selector Diagnostics
+ * Runs every selector group against the current page to show which selectors
+ * still match and which extracted fields come back empty
+ */
+
+import { SelectorPack } from '../utils/selector-pack.js';
+
+export class SelectorDiagnostics {
+  /**
+   * @param {object} selectors - LinkedInSelectors instance
+   * @param {object} extractor - PostExtractor instance
+   */
+  constructor(selectors, extractor) {
+    this.selectors = selectors;
+    this.extractor = extractor;
+    this.schema = new SelectorPack().schema;
+
+    // A field or post selector group is flagged when it is empty for more than this share of posts
+    this.emptyThreshold = 0.5;
+    this.maxPosts = 50;
+
+    // Fields whose extraction strategy PostExtractor records, with the selector group it reads them from
+    this.fieldGroups = {
+      authorName: 'contentSelectors.author.name',
+      authorProfileUrl: 'contentSelectors.author.profile',
+      content: 'contentSelectors.text',
+      timestamp: 'contentSelectors.timestamp',
+      likes: 'contentSelectors.metrics.likes',
+      comments: 'contentSelectors.metrics.comments',
+      shares: 'contentSelectors.metrics.shares'
+    };
+    this.fields = Object.keys(this.fieldGroups);
+  }
+
+  /**
+   * Run all selector groups and field checks against the page
+   * @param {object} options - { threshold } overriding the empty share that flags a group or field
+   * @returns {object} Diagnostics report
+   */
+  run(options = {}) {
+    const threshold = options.threshold ?? this.emptyThreshold;
+    const pageType = this.selectors.getPageType();
+    const posts = this.findPosts(pageType);
+
+    const extracted = posts.map(post => this.extractor.extractPost(post) || {});
+    const strategies = extracted.map(postData => postData.extractionStrategies || {});
+    const matchedSelectors = extracted.map(postData => postData.matchedSelectors || {});
+
+    const groups = this.getSelectorGroups().map(group => group.scope === 'post'
+      ? this.checkPostGroup(group, posts, threshold, matchedSelectors)
+      : this.checkPageGroup(group));
+    const fields = this.fields.map(field => this.checkField(field, strategies, threshold, matchedSelectors));
+
+    return {
+      generatedAt: new Date().toISOString(),
+      url: window.location.href,
+      pageType: pageType,
+      selectorPack: this.selectors.activePack,
+      threshold: threshold,
+      postCount: posts.length,
+      flagged: [
+        ...fields.filter(field => field.flagged).map(field => field.field),
+        ...groups.filter(group => group.flagged).map(group => group.group)
+      ],
+      drifted: fields.filter(field => field.drifted).map(field => field.field),
+      fields: fields,
+      groups: groups
+    };
+  }
+
+  /**
+   * Find the posts on the page, whether or not they still look valid
+   * @param {string} pageType - Page type from getPageType
+   * @returns {Array} Outermost post elements, at most maxPosts
+   */
+  findPosts(pageType) {
+    const postSelectors = pageType === 'saved'
+      ? this.selectors.getSavedPostsSelectors('posts')
+      : this.selectors.getPostSelectors(pageType);
+    const matches = Array.from(document.querySelectorAll(postSelectors.join(', ')));
+
+    return matches
+      .filter(post => !matches.some(other => other !== post && other.contains(post)))
+      .slice(0, this.maxPosts);
+  }
+
+  /**
+   * List every selector group, walking the selector sections the pack schema describes
+   * @returns {Array} Groups ({ group, scope, selectors }), scope 'post' for groups matched inside posts
+   */
+  getSelectorGroups() {
+    const groups = [];
+
+    const walk = (value, schema, path) => {
+      if (typeof schema === 'string') {
+        // URL path fragments are not CSS selectors
+        if (schema === 'selectors') {
+          groups.push({
+            group: path,
+            scope: path.startsWith('contentSelectors.') ? 'post' : 'page',
+            selectors: value
+          });
+        }
+        return;
+      }
+
+      Object.entries(value || {}).forEach(([key, child]) => {
+        const childSchema = schema[key] || schema['*'];
+        if (childSchema) walk(child, childSchema, `${path}.${key}`);
+      });
+    };
+
+    Object.entries(this.schema).forEach(([section, schema]) => walk(this.selectors[section], schema, section));
+    return groups;
+  }
+
+  /**
+   * Count matches for a group searched inside each post, and which fallback position won.
+   * For groups a field is extracted with, the winning position is the selector the
+   * extractor actually used, so a broken selector shows up where extraction fell through.
+   * @param {object} group - Selector group
+   * @param {Array} posts - Post elements
+   * @param {number} threshold - Empty share that flags the group
+   * @param {Array} matchedSelectors - Selector that filled each field, per post
+   * @returns {object} Group result
+   */
+  checkPostGroup(group, posts, threshold, matchedSelectors = []) {
+    const results = group.selectors.map(selector => ({ selector: selector, matches: 0, postsMatched: 0, firstMatch: 0 }));
+    const field = this.getGroupField(group.group);
+    let unmatchedPosts = 0;
+
+    posts.forEach(post => {
+      let matched = false;
+
+      results.forEach(result => {
+        const count = this.countMatches(post, result.selector);
+        result.matches += count;
+
+        if (count > 0) {
+          result.postsMatched++;
+          // findElement uses the first selector that matches, so that position wins
+          if (!matched && !field) result.firstMatch++;
+          matched = true;
+        }
+      });
+
+      if (!matched) unmatchedPosts++;
+    });
+
+    if (field) {
+      matchedSelectors.forEach(postSelectors => {
+        const result = results.find(entry => entry.selector === postSelectors[field]);
+        if (result) result.firstMatch++;
+      });
+    }
+
+    const emptyRate = posts.length ? unmatchedPosts / posts.length : 0;
+
+    return {
+      group: group.group,
+      scope: group.scope,
+      field: field,
+      selectors: results,
+      unmatchedPosts: unmatchedPosts,
+      emptyRate: emptyRate,
+      flagged: emptyRate > threshold
+    };
+  }
+
+  /**
+   * Count matches for a group searched across the whole page
+   * @param {object} group - Selector group
+   * @returns {object} Group result
+   */
+  checkPageGroup(group) {
+    const results = group.selectors.map(selector => ({ selector: selector, matches: this.countMatches(document, selector) }));
+    const firstMatching = results.findIndex(result => result.matches > 0);
+
+    return {
+      group: group.group,
+      scope: group.scope,
+      selectors: results,
+      firstMatchingPosition: firstMatching === -1 ? null : firstMatching,
+      flagged: false
+    };
+  }
+
+  /**
+   * Get the field extracted with a selector group
+   * @param {string} groupName - Dotted group name
+   * @returns {string|null} Field name, null for groups no field is extracted with
+   */
+  getGroupField(groupName) {
+    return this.fields.find(field => this.fieldGroups[field] === groupName) || null;
+  }
+
+  /**
+   * Check how often a field came back empty or was only found by the fallback heuristics,
+   * and which position of its selector group found it
+   * @param {string} field - Field name
+   * @param {Array} strategies - Extraction strategies recorded for each post
+   * @param {number} threshold - Share of posts that flags the field as empty or drifted
+   * @param {Array} matchedSelectors - Selector that filled each field, per post
+   * @returns {object} Field result ({ field, emptyPosts, emptyRate, flagged, heuristicPosts, driftRate, drifted, strategies, group, positions })
+   */
+  checkField(field, strategies, threshold, matchedSelectors = []) {
+    const counts = {};
+    strategies.forEach(postStrategies => {
+      const strategy = postStrategies[field] || 'none';
+      counts[strategy] = (counts[strategy] || 0) + 1;
+    });
+
+    const total = strategies.length;
+    const emptyPosts = counts.none || 0;
+    const heuristicPosts = total - emptyPosts - (counts.selector || 0);
+    const emptyRate = total ? emptyPosts / total : 0;
+    const driftRate = total ? heuristicPosts / total : 0;
+
+    return {
+      field: field,
+      emptyPosts: emptyPosts,
+      emptyRate: emptyRate,
+      flagged: emptyRate > threshold,
+      // Heuristics filling a field the selectors used to find means its selectors drifted
+      heuristicPosts: heuristicPosts,
+      driftRate: driftRate,
+      drifted: driftRate > threshold,
+      strategies: counts,
+      group: this.fieldGroups[field],
+      positions: this.countPositions(field, matchedSelectors)
+    };
+  }
+
+  /**
+   * Count the posts each position of a field's selector group filled the field for
+   * @param {string} field - Field name
+   * @param {Array} matchedSelectors - Selector that filled each field, per post
+   * @returns {Array} Positions ({ position, selector, posts }), in group order, only those that matched
+   */
+  countPositions(field, matchedSelectors) {
+    const selectors = this.fieldGroups[field].split('.').reduce((node, key) => node?.[key], this.selectors) || [];
+
+    return selectors
+      .map((selector, position) => ({
+        position: position,
+        selector: selector,
+        posts: matchedSelectors.filter(postSelectors => postSelectors[field] === selector).length
+      }))
+      .filter(entry => entry.posts > 0);
+  }
+
+  /**
+   * Count elements matching a selector
+   * @param {Element|Document} root - Element to search within
+   * @param {string} selector - CSS selector
+   * @returns {number} Match count, 0 for selectors the browser rejects
+   */
+  countMatches(root, selector) {
+    try {
+      return root.querySelectorAll(selector).length;
+    } catch (error) {
+      return 0;
+    }
+  }
+}
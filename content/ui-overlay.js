@@ -3,6 +3,8 @@
  * Creates and manages the floating overlay interface
  */
 
+import { FixtureCapture } from './fixture-capture.js';
+
 export class UIOverlay {
   constructor(scanner, storage, errorHandler) {
     this.scanner = scanner;
@@ -14,6 +16,11 @@ export class UIOverlay {
     this.isExpanded = false;
     this.currentPosts = [];
     
+    // Fixture capture mode, posts are picked by clicking them on the page
+    this.fixtureCapture = new FixtureCapture(scanner.extractor);
+    this.isCapturing = false;
+    this.capturedPosts = [];
+    
     this.init();
   }
 
@@ -24,6 +31,7 @@ export class UIOverlay {
     this.createOverlay();
     this.bindEvents();
     this.loadSettings();
+    this.checkForInterruptedScan();
   }
 
   /**
@@ -79,6 +87,13 @@ export class UIOverlay {
                 </svg>
                 Start Scan
               </button>
+              <button class="scan-btn secondary" id="pause-scan-btn" style="display: none;">
+                <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <rect x="3" y="3" width="3.5" height="10" fill="currentColor"/>
+                  <rect x="9.5" y="3" width="3.5" height="10" fill="currentColor"/>
+                </svg>
+                Pause
+              </button>
               <button class="scan-btn secondary" id="stop-scan-btn" style="display: none;">
                 <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
                   <rect x="3" y="3" width="10" height="10" fill="currentColor"/>
@@ -86,6 +101,14 @@ export class UIOverlay {
                 Stop Scan
               </button>
             </div>
+
+            <div class="resume-banner" id="resume-banner" style="display: none;">
+              <div class="resume-text" id="resume-text">An unfinished scan of this page was found.</div>
+              <div class="resume-actions">
+                <button class="scan-btn primary" id="resume-scan-btn">Resume Scan</button>
+                <button class="scan-btn secondary" id="discard-scan-btn">Discard</button>
+              </div>
+            </div>
             
             <div class="scan-progress" id="scan-progress" style="display: none;">
               <div class="progress-bar">
@@ -129,6 +152,20 @@ export class UIOverlay {
               </svg>
               Settings
             </button>
+            <button class="settings-btn" id="capture-fixture-btn" title="Save selected posts as a test fixture">
+              Capture Fixture
+            </button>
+            <div class="capture-controls" id="capture-controls" style="display: none;">
+              <div class="capture-hint" id="capture-count">Click posts on the page to select them</div>
+              <label class="capture-option">
+                <input type="checkbox" id="capture-redact" checked>
+                Redact names
+              </label>
+              <div class="capture-actions">
+                <button class="export-btn primary" id="save-fixture-btn" disabled>Save Fixture</button>
+                <button class="export-btn secondary" id="cancel-capture-btn">Cancel</button>
+              </div>
+            </div>
           </div>
         </div>
       </div>
@@ -155,9 +192,15 @@ export class UIOverlay {
     // Scan controls
     const startScanBtn = this.overlay.querySelector('#start-scan-btn');
     const stopScanBtn = this.overlay.querySelector('#stop-scan-btn');
+    const pauseScanBtn = this.overlay.querySelector('#pause-scan-btn');
+    const resumeScanBtn = this.overlay.querySelector('#resume-scan-btn');
+    const discardScanBtn = this.overlay.querySelector('#discard-scan-btn');
     
     startScanBtn.addEventListener('click', () => this.startScan());
     stopScanBtn.addEventListener('click', () => this.stopScan());
+    pauseScanBtn.addEventListener('click', () => this.pauseScan());
+    resumeScanBtn.addEventListener('click', () => this.resumeScan());
+    discardScanBtn.addEventListener('click', () => this.discardCheckpoint());
     
     // Export controls
     const exportBtn = this.overlay.querySelector('#export-btn');
@@ -170,6 +213,14 @@ export class UIOverlay {
     const settingsBtn = this.overlay.querySelector('#settings-btn');
     settingsBtn.addEventListener('click', () => this.openSettings());
     
+    // Fixture capture
+    this.overlay.querySelector('#capture-fixture-btn').addEventListener('click', () => this.startCapture());
+    this.overlay.querySelector('#save-fixture-btn').addEventListener('click', () => this.saveFixture());
+    this.overlay.querySelector('#cancel-capture-btn').addEventListener('click', () => this.stopCapture());
+    
+    // Runs before LinkedIn's own handlers so picking a post does not open it
+    document.addEventListener('click', (e) => this.handleCaptureClick(e), true);
+    
     // Listen for scanner events
     document.addEventListener('linkedinPageChanged', (e) => this.handlePageChange(e.detail));
     document.addEventListener('linkedinScanStarted', (e) => this.handleScanStarted(e.detail));
@@ -177,10 +228,11 @@ export class UIOverlay {
     document.addEventListener('linkedinScanCompleted', (e) => this.handleScanCompleted(e.detail));
     document.addEventListener('linkedinScanError', (e) => this.handleScanError(e.detail));
     document.addEventListener('linkedinScanStopped', (e) => this.handleScanStopped(e.detail));
+    document.addEventListener('linkedinScanPaused', (e) => this.handleScanPaused(e.detail));
     
     // Click outside to close
     document.addEventListener('click', (e) => {
-      if (this.isExpanded && !this.overlay.contains(e.target)) {
+      if (this.isExpanded && !this.isCapturing && !this.overlay.contains(e.target)) {
         this.hideOverlay();
       }
     });
@@ -191,7 +243,9 @@ export class UIOverlay {
         e.preventDefault();
         this.toggleOverlay();
       }
-      if (e.key === 'Escape' && this.isExpanded) {
+      if (e.key === 'Escape' && this.isCapturing) {
+        this.stopCapture();
+      } else if (e.key === 'Escape' && this.isExpanded) {
         this.hideOverlay();
       }
     });
@@ -261,9 +315,23 @@ export class UIOverlay {
     let statusText = 'Unknown page';
     let statusClass = 'unknown';
     
+    const source = pageInfo.source || {};
+    
     if (pageInfo.isSavedPostsPage) {
       statusText = 'Saved Posts page';
       statusClass = 'saved-posts';
+    } else if (pageInfo.pageType === 'profileActivity') {
+      statusText = `Activity of ${source.profile}`;
+      statusClass = 'profile-activity';
+    } else if (pageInfo.pageType === 'companyPosts') {
+      statusText = `Posts of ${source.company}`;
+      statusClass = 'company-posts';
+    } else if (pageInfo.pageType === 'hashtag') {
+      statusText = `Hashtag ${source.hashtag}`;
+      statusClass = 'hashtag';
+    } else if (pageInfo.pageType === 'search') {
+      statusText = `Search results for "${source.query}"`;
+      statusClass = 'search';
     } else if (pageInfo.isFeedPage) {
       statusText = 'LinkedIn Feed';
       statusClass = 'feed';
@@ -300,15 +368,9 @@ export class UIOverlay {
    */
   async startScan() {
     try {
-      const settings = await this.storage.getSettings();
-      
-      const scanOptions = {
-        maxPosts: settings.scanningPreferences.maxPostsPerScan,
-        includeImages: settings.scanningPreferences.includeImages,
-        includeVideos: settings.scanningPreferences.includeVideos
-      };
-      
-      await this.scanner.startScan(scanOptions);
+      // The scanner applies the scanning preferences itself, and walks saved lists to the end
+      // instead of stopping at maxPostsPerScan
+      await this.scanner.startScan();
       
     } catch (error) {
       this.errorHandler.handleError('UI Overlay', error);
@@ -323,15 +385,71 @@ export class UIOverlay {
     this.scanner.stopScan();
   }
 
+  /**
+   * Pause scanning process
+   */
+  pauseScan() {
+    this.scanner.pauseScan();
+  }
+
+  /**
+   * Resume the unfinished scan of this page
+   */
+  async resumeScan() {
+    try {
+      this.hideResumeBanner();
+      await this.scanner.resumeScan();
+    } catch (error) {
+      this.errorHandler.handleError('UI Overlay', error);
+      this.showNotification('Failed to resume scan: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Drop the unfinished scan's checkpoint
+   */
+  async discardCheckpoint() {
+    this.hideResumeBanner();
+    await this.storage.clearScanCheckpoint();
+  }
+
+  /**
+   * Offer to resume when an unfinished scan of this page was checkpointed
+   */
+  async checkForInterruptedScan() {
+    try {
+      const checkpoint = await this.scanner.getResumableCheckpoint();
+      if (!checkpoint) {
+        this.hideResumeBanner();
+        return;
+      }
+
+      const state = checkpoint.status === 'paused' ? 'paused' : 'interrupted';
+      this.overlay.querySelector('#resume-text').textContent =
+        `A scan of this page was ${state} after ${checkpoint.extractedCount} posts.`;
+      this.overlay.querySelector('#resume-banner').style.display = 'block';
+    } catch (error) {
+      this.errorHandler.handleWarning('UI Overlay', 'Could not check for an unfinished scan', { error: error.message });
+    }
+  }
+
+  /**
+   * Hide the resume banner
+   */
+  hideResumeBanner() {
+    this.overlay.querySelector('#resume-banner').style.display = 'none';
+  }
+
   /**
    * Handle page change event
    */
   handlePageChange(detail) {
     this.updatePageStatus();
     this.updatePostsCount();
+    this.checkForInterruptedScan();
     
     // Clear results if on different page type
-    if (!detail.isSavedPostsPage && !detail.isFeedPage) {
+    if (!detail.isSavedPostsPage && !detail.isFeedPage && (!detail.pageType || detail.pageType === 'other')) {
       this.clearResults();
     }
   }
@@ -342,11 +460,14 @@ export class UIOverlay {
   handleScanStarted(detail) {
     const startBtn = this.overlay.querySelector('#start-scan-btn');
     const stopBtn = this.overlay.querySelector('#stop-scan-btn');
+    const pauseBtn = this.overlay.querySelector('#pause-scan-btn');
     const progressSection = this.overlay.querySelector('#scan-progress');
     
     startBtn.style.display = 'none';
     stopBtn.style.display = 'block';
+    pauseBtn.style.display = 'block';
     progressSection.style.display = 'block';
+    this.hideResumeBanner();
     
     this.updateProgress(0, 'Starting scan...');
     this.showNotification('Scan started', 'info');
@@ -367,13 +488,26 @@ export class UIOverlay {
    * Handle scan completed event
    */
   handleScanCompleted(detail) {
-    const { posts, totalExtracted } = detail;
+    const { posts, totalExtracted, mode, endOfListReached, incremental, newPostsCount } = detail;
     
     this.currentPosts = posts;
     this.resetScanControls();
     this.updateResults();
     this.updatePostsCount();
     
+    if (incremental) {
+      this.showNotification(`Scan completed! Found ${newPostsCount} new posts`, 'success');
+      return;
+    }
+
+    if (mode === 'saved') {
+      this.showNotification(endOfListReached
+        ? `Scan completed! Extracted all ${totalExtracted} saved posts`
+        : `Scan stopped before the end of your saved posts (${totalExtracted} extracted)`,
+      endOfListReached ? 'success' : 'warning');
+      return;
+    }
+
     this.showNotification(`Scan completed! Extracted ${totalExtracted} posts`, 'success');
   }
 
@@ -382,6 +516,14 @@ export class UIOverlay {
    */
   handleScanError(detail) {
     this.resetScanControls();
+
+    // Aborted scans keep a checkpoint, so offer to resume them later
+    if (detail.reason) {
+      this.checkForInterruptedScan();
+      this.showNotification('Scan stopped: ' + detail.error, 'warning');
+      return;
+    }
+
     this.showNotification('Scan failed: ' + detail.error, 'error');
   }
 
@@ -393,16 +535,27 @@ export class UIOverlay {
     this.showNotification(`Scan stopped. Extracted ${detail.extractedCount} posts`, 'warning');
   }
 
+  /**
+   * Handle scan paused event
+   */
+  handleScanPaused(detail) {
+    this.resetScanControls();
+    this.checkForInterruptedScan();
+    this.showNotification(`Scan paused after ${detail.extractedCount} posts`, 'info');
+  }
+
   /**
    * Reset scan controls to initial state
    */
   resetScanControls() {
     const startBtn = this.overlay.querySelector('#start-scan-btn');
     const stopBtn = this.overlay.querySelector('#stop-scan-btn');
+    const pauseBtn = this.overlay.querySelector('#pause-scan-btn');
     const progressSection = this.overlay.querySelector('#scan-progress');
     
     startBtn.style.display = 'block';
     stopBtn.style.display = 'none';
+    pauseBtn.style.display = 'none';
     progressSection.style.display = 'none';
   }
 
@@ -482,11 +635,17 @@ export class UIOverlay {
       });
       
       if (response.success) {
-        this.showNotification('Successfully exported to Google Sheets!', 'success');
+        this.showNotification(
+          `Exported to Google Sheets: ${response.created} new, ${response.updated} updated, ${response.unchanged} unchanged`,
+          'success'
+        );
         
         // Add to export history
         await this.storage.addExportHistory({
           postCount: this.currentPosts.length,
+          created: response.created,
+          updated: response.updated,
+          unchanged: response.unchanged,
           sheetUrl: response.sheetUrl
         });
       } else {
@@ -500,12 +659,12 @@ export class UIOverlay {
   }
 
   /**
-   * Clear results
+   * Clear the results of this page's scans. Posts already saved to the post library
+   * are kept; wiping the library is the popup's "Clear data" action.
    */
-  async clearResults() {
+  clearResults() {
     this.currentPosts = [];
     this.scanner.clearExtractedPosts();
-    await this.storage.savePosts([]);
     
     this.updateResults();
     this.updatePostsCount();
@@ -520,6 +679,89 @@ export class UIOverlay {
     chrome.runtime.openOptionsPage();
   }
 
+  /**
+   * Enter fixture capture mode
+   */
+  startCapture() {
+    this.isCapturing = true;
+    this.capturedPosts = [];
+    
+    this.overlay.querySelector('#capture-fixture-btn').style.display = 'none';
+    this.overlay.querySelector('#capture-controls').style.display = 'block';
+    this.updateCaptureCount();
+  }
+
+  /**
+   * Leave fixture capture mode and clear the selection
+   */
+  stopCapture() {
+    this.capturedPosts.forEach(post => post.classList.remove('linkedin-fixture-selected'));
+    this.capturedPosts = [];
+    this.isCapturing = false;
+    
+    this.overlay.querySelector('#capture-fixture-btn').style.display = '';
+    this.overlay.querySelector('#capture-controls').style.display = 'none';
+  }
+
+  /**
+   * Select or deselect the post that was clicked while capturing
+   * @param {Event} e - Click event
+   */
+  handleCaptureClick(e) {
+    if (!this.isCapturing || this.overlay.contains(e.target)) return;
+    
+    const selectors = this.scanner.selectors;
+    const post = e.target.closest(selectors.getPostSelectors(selectors.getPageType()).join(', '));
+    if (!post) return;
+    
+    e.preventDefault();
+    e.stopPropagation();
+    
+    if (this.capturedPosts.includes(post)) {
+      this.capturedPosts = this.capturedPosts.filter(selected => selected !== post);
+      post.classList.remove('linkedin-fixture-selected');
+    } else {
+      this.capturedPosts.push(post);
+      post.classList.add('linkedin-fixture-selected');
+    }
+    
+    this.updateCaptureCount();
+  }
+
+  /**
+   * Update the selected post count in the capture controls
+   */
+  updateCaptureCount() {
+    const count = this.capturedPosts.length;
+    
+    this.overlay.querySelector('#capture-count').textContent = count > 0
+      ? `${count} post${count === 1 ? '' : 's'} selected`
+      : 'Click posts on the page to select them';
+    this.overlay.querySelector('#save-fixture-btn').disabled = count === 0;
+  }
+
+  /**
+   * Save the selected posts as a sanitized fixture download
+   */
+  saveFixture() {
+    try {
+      // The selection outline is not part of LinkedIn's markup
+      this.capturedPosts.forEach(post => post.classList.remove('linkedin-fixture-selected'));
+      
+      const fixture = this.fixtureCapture.capture(this.capturedPosts, {
+        redactNames: this.overlay.querySelector('#capture-redact').checked
+      });
+      this.fixtureCapture.download(fixture);
+      
+      this.showNotification(`Saved fixture with ${fixture.posts.length} posts`, 'success');
+      this.stopCapture();
+    } catch (error) {
+      this.errorHandler.handleError('UI Overlay', error);
+      this.capturedPosts.forEach(post => post.classList.add('linkedin-fixture-selected'));
+      this.showNotification('Fixture capture failed: ' + error.message, 'error');
+    }
+  }
+
   /**
    * Show notification
    */
@@ -7,6 +7,7 @@ class OptionsManager {
     constructor() {
         this.currentTab = 'general';
         this.authManager = null;
+        this.diagnosticsReport = null;
         this.init();
     }
 
@@ -73,6 +74,16 @@ class OptionsManager {
         document.getElementById('import-settings').addEventListener('click', () => this.importSettings());
         document.getElementById('settings-file').addEventListener('change', (e) => this.handleSettingsImport(e));
 
+        // Selector pack
+        document.getElementById('save-selector-pack').addEventListener('click', () => this.handleSelectorPackSave());
+        document.getElementById('import-selector-pack').addEventListener('click', () => document.getElementById('selector-pack-file').click());
+        document.getElementById('selector-pack-file').addEventListener('change', (e) => this.handleSelectorPackImport(e));
+        document.getElementById('reset-selector-pack').addEventListener('click', () => this.resetSelectorPack());
+
+        // Selector diagnostics
+        document.getElementById('run-selector-diagnostics').addEventListener('click', () => this.runSelectorDiagnostics());
+        document.getElementById('download-selector-diagnostics').addEventListener('click', () => this.downloadDiagnosticsReport());
+
         // Real-time validation
         this.setupRealTimeValidation();
     }
@@ -108,24 +119,36 @@ class OptionsManager {
             const settings = await chrome.storage.sync.get([
                 'autoScan',
                 'scanInterval',
+                'scanSourceUrl',
                 'extractImages',
                 'extractMetrics',
                 'extractComments',
+                'maxCommentsPerPost',
+                'incrementalScan',
+                'knownPostsStopCount',
+                'hourlyScanBudget',
                 'spreadsheetUrl',
                 'sheetName',
                 'batchSize',
                 'autoExport',
+                'selectorPackUrl',
+                'selectorPackPinnedVersion',
                 'googleAuth'
             ]);
 
             // General settings
             document.getElementById('auto-scan').checked = settings.autoScan || false;
             document.getElementById('scan-interval').value = settings.scanInterval || 5;
+            document.getElementById('scan-source-url').value = settings.scanSourceUrl || '';
 
             // Extraction settings
             document.getElementById('extract-images').checked = settings.extractImages !== false;
             document.getElementById('extract-metrics').checked = settings.extractMetrics !== false;
             document.getElementById('extract-comments').checked = settings.extractComments || false;
+            document.getElementById('max-comments').value = settings.maxCommentsPerPost || 20;
+            document.getElementById('incremental-scan').checked = settings.incrementalScan || false;
+            document.getElementById('known-posts-stop-count').value = settings.knownPostsStopCount || 10;
+            document.getElementById('hourly-scan-budget').value = settings.hourlyScanBudget || 300;
 
             // Export settings
             document.getElementById('spreadsheet-url').value = settings.spreadsheetUrl || '';
@@ -133,6 +156,11 @@ class OptionsManager {
             document.getElementById('batch-size').value = settings.batchSize || 50;
             document.getElementById('auto-export').checked = settings.autoExport || false;
 
+            // Selector pack settings
+            document.getElementById('selector-pack-url').value = settings.selectorPackUrl || '';
+            document.getElementById('selector-pack-pinned-version').value = settings.selectorPackPinnedVersion || '';
+            await this.loadSelectorPackInfo();
+
             // Update auth status
             this.updateAuthStatus(settings.googleAuth);
 
@@ -231,7 +259,8 @@ class OptionsManager {
         try {
             const settings = {
                 autoScan: document.getElementById('auto-scan').checked,
-                scanInterval: parseInt(document.getElementById('scan-interval').value)
+                scanInterval: this.clampScanInterval(document.getElementById('scan-interval').value),
+                scanSourceUrl: document.getElementById('scan-source-url').value.trim()
             };
 
             await chrome.storage.sync.set(settings);
@@ -242,6 +271,15 @@ class OptionsManager {
         }
     }
 
+    /**
+     * Keep the scheduled scan interval within the supported range
+     */
+    clampScanInterval(value) {
+        const interval = parseInt(value, 10);
+        if (isNaN(interval)) return 5;
+        return Math.min(Math.max(interval, 5), 1440);
+    }
+
     /**
      * Handle extraction settings form submission
      */
@@ -252,7 +290,11 @@ class OptionsManager {
             const settings = {
                 extractImages: document.getElementById('extract-images').checked,
                 extractMetrics: document.getElementById('extract-metrics').checked,
-                extractComments: document.getElementById('extract-comments').checked
+                extractComments: document.getElementById('extract-comments').checked,
+                maxCommentsPerPost: this.clampMaxComments(document.getElementById('max-comments').value),
+                incrementalScan: document.getElementById('incremental-scan').checked,
+                knownPostsStopCount: this.clampKnownPostsStopCount(document.getElementById('known-posts-stop-count').value),
+                hourlyScanBudget: this.clampHourlyScanBudget(document.getElementById('hourly-scan-budget').value)
             };
 
             await chrome.storage.sync.set(settings);
@@ -263,6 +305,33 @@ class OptionsManager {
         }
     }
 
+    /**
+     * Keep the comment cap within the supported range
+     */
+    clampMaxComments(value) {
+        const max = parseInt(value, 10);
+        if (isNaN(max)) return 20;
+        return Math.min(Math.max(max, 1), 200);
+    }
+
+    /**
+     * Keep the incremental scan stop count within the supported range
+     */
+    clampKnownPostsStopCount(value) {
+        const count = parseInt(value, 10);
+        if (isNaN(count)) return 10;
+        return Math.min(Math.max(count, 1), 100);
+    }
+
+    /**
+     * Keep the hourly scan budget within the supported range
+     */
+    clampHourlyScanBudget(value) {
+        const budget = parseInt(value, 10);
+        if (isNaN(budget)) return 300;
+        return Math.min(Math.max(budget, 10), 2000);
+    }
+
     /**
      * Handle export settings form submission
      */
@@ -379,6 +448,7 @@ class OptionsManager {
         if (confirm('Reset general settings to defaults?')) {
             document.getElementById('auto-scan').checked = false;
             document.getElementById('scan-interval').value = 5;
+            document.getElementById('scan-source-url').value = '';
             await this.handleGeneralSettings({ preventDefault: () => {} });
         }
     }
@@ -391,6 +461,7 @@ class OptionsManager {
             document.getElementById('extract-images').checked = true;
             document.getElementById('extract-metrics').checked = true;
             document.getElementById('extract-comments').checked = false;
+            document.getElementById('max-comments').value = 20;
             await this.handleExtractionSettings({ preventDefault: () => {} });
         }
     }
@@ -461,6 +532,223 @@ class OptionsManager {
         e.target.value = '';
     }
 
+    /**
+     * Show which selector pack is active
+     */
+    async loadSelectorPackInfo() {
+        const info = await this.sendMessage({ type: 'GET_EXTENSION_INFO' });
+        if (info && info.selectorPack) {
+            this.renderSelectorPackStatus(info.selectorPack);
+        }
+    }
+
+    /**
+     * Render the active selector pack
+     */
+    renderSelectorPackStatus(pack) {
+        const pinned = pack.pinnedVersion ? `, pinned to ${pack.pinnedVersion}` : '';
+        const rejected = pack.rejected
+            ? ` - ${pack.rejected.name} ${pack.rejected.version} was rejected by LinkedIn pages: ${pack.rejected.errors.join('; ')}`
+            : '';
+        document.getElementById('selector-pack-status').textContent =
+            `${pack.name} ${pack.version} (${pack.source}${pinned})${rejected}`;
+    }
+
+    /**
+     * Save the selector pack URL and pinned version, then download the pack
+     */
+    async handleSelectorPackSave() {
+        const url = document.getElementById('selector-pack-url').value.trim();
+        const pinnedVersion = document.getElementById('selector-pack-pinned-version').value.trim();
+
+        if (url && !url.startsWith('https://')) {
+            this.showNotification('Selector pack URL must start with https://', 'error');
+            return;
+        }
+        if (pinnedVersion && !/^\d+\.\d+\.\d+$/.test(pinnedVersion)) {
+            this.showNotification('Pinned version must look like 1.2.3', 'error');
+            return;
+        }
+
+        try {
+            // Fetching from another host needs the user's permission for that origin
+            if (url && !(await chrome.permissions.request({ origins: [new URL(url).origin + '/*'] }))) {
+                this.showNotification('Permission to download the selector pack was denied', 'error');
+                return;
+            }
+
+            await chrome.storage.sync.set({ selectorPackUrl: url, selectorPackPinnedVersion: pinnedVersion });
+
+            const result = url
+                ? await this.sendMessage({ type: 'REFRESH_SELECTOR_PACK', url: url })
+                : { success: true };
+            if (!result || result.error) {
+                throw new Error(result ? result.error : 'No response from background service');
+            }
+
+            await this.loadSelectorPackInfo();
+            this.showNotification('Selector pack settings saved!', 'success');
+        } catch (error) {
+            console.error('Selector pack error:', error);
+            this.showNotification('Error updating selector pack: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Import a selector pack from a local file
+     */
+    async handleSelectorPackImport(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+            const pack = JSON.parse(await file.text());
+            const result = await this.sendMessage({ type: 'IMPORT_SELECTOR_PACK', pack: pack });
+            if (!result || result.error) {
+                throw new Error(result ? result.error : 'No response from background service');
+            }
+
+            this.renderSelectorPackStatus(result.selectorPack);
+            this.showNotification(`Selector pack ${pack.name} ${pack.version} imported!`, 'success');
+        } catch (error) {
+            console.error('Selector pack import error:', error);
+            this.showNotification('Error importing selector pack: ' + error.message, 'error');
+        }
+
+        // Reset file input
+        e.target.value = '';
+    }
+
+    /**
+     * Go back to the selector pack shipped with the extension
+     */
+    async resetSelectorPack() {
+        try {
+            await chrome.storage.sync.set({ selectorPackUrl: '' });
+            document.getElementById('selector-pack-url').value = '';
+
+            const result = await this.sendMessage({ type: 'RESET_SELECTOR_PACK' });
+            if (!result || result.error) {
+                throw new Error(result ? result.error : 'No response from background service');
+            }
+
+            this.renderSelectorPackStatus(result.selectorPack);
+            this.showNotification('Using the bundled selector pack', 'success');
+        } catch (error) {
+            console.error('Selector pack reset error:', error);
+            this.showNotification('Error resetting selector pack: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Run selector diagnostics in the open LinkedIn tab
+     */
+    async runSelectorDiagnostics() {
+        try {
+            this.showLoading('run-selector-diagnostics', 'Running...');
+
+            const tabs = await chrome.tabs.query({ url: 'https://www.linkedin.com/*' });
+            if (tabs.length === 0) {
+                throw new Error('Open a LinkedIn page with posts first');
+            }
+
+            // Prefer the LinkedIn tab used most recently
+            const tab = tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))[0];
+            const threshold = Math.min(Math.max(parseInt(document.getElementById('diagnostics-threshold').value, 10) || 50, 1), 100);
+            const result = await chrome.tabs.sendMessage(tab.id, {
+                type: 'RUN_SELECTOR_DIAGNOSTICS',
+                options: { threshold: threshold / 100 }
+            });
+
+            if (!result || result.error) {
+                throw new Error(result ? result.error : 'No response from the LinkedIn tab, try reloading it');
+            }
+
+            this.diagnosticsReport = result.report;
+            this.renderDiagnosticsReport(result.report);
+            document.getElementById('download-selector-diagnostics').disabled = false;
+        } catch (error) {
+            console.error('Selector diagnostics error:', error);
+            this.showNotification('Error running selector diagnostics: ' + error.message, 'error');
+        } finally {
+            this.hideLoading('run-selector-diagnostics', 'Run Diagnostics');
+        }
+    }
+
+    /**
+     * Render a selector diagnostics report, flagged entries first
+     */
+    renderDiagnosticsReport(report) {
+        const container = document.getElementById('selector-diagnostics-report');
+        const percent = (rate) => `${Math.round(rate * 100)}%`;
+        container.innerHTML = '';
+
+        // Selectors come from selector packs, so they are only ever set as text
+        const addItem = (title, details, flagged = false) => {
+            const item = document.createElement('div');
+            item.className = flagged ? 'history-item flagged' : 'history-item';
+
+            const heading = document.createElement('div');
+            heading.className = 'history-date';
+            heading.textContent = title;
+
+            const body = document.createElement('div');
+            body.className = 'history-details';
+            body.textContent = details;
+
+            item.append(heading, body);
+            container.appendChild(item);
+        };
+
+        const pack = report.selectorPack ? `${report.selectorPack.name} ${report.selectorPack.version}` : 'built-in';
+        addItem(
+            `${report.postCount} posts on a ${report.pageType} page`,
+            `${report.flagged.length} flagged, ${report.drifted.length} drifted, selectors: ${pack}, ${new Date(report.generatedAt).toLocaleString()}`
+        );
+
+        [...report.fields].sort((a, b) => (b.flagged || b.drifted) - (a.flagged || a.drifted)).forEach(field => {
+            const strategies = Object.entries(field.strategies).map(([strategy, count]) => `${strategy}: ${count}`).join(', ');
+            const positions = (field.positions || [])
+                .map(entry => `#${entry.position + 1} ${entry.selector} in ${entry.posts} posts`)
+                .join('; ');
+            addItem(
+                field.field,
+                `Empty for ${field.emptyPosts} of ${report.postCount} posts (${percent(field.emptyRate)}), ` +
+                `found by fallback heuristics for ${field.heuristicPosts} (${percent(field.driftRate)}). Strategies: ${strategies || 'none'}. ` +
+                `Selectors used from ${field.group}: ${positions || 'none'}`,
+                field.flagged || field.drifted
+            );
+        });
+
+        [...report.groups].sort((a, b) => b.flagged - a.flagged).forEach(group => {
+            const counts = group.selectors.map((result, index) => group.scope === 'post'
+                ? `#${index + 1} ${result.selector}: ${result.matches} matches, ${group.field ? `used for ${group.field} in` : 'first match in'} ${result.firstMatch} posts`
+                : `#${index + 1} ${result.selector}: ${result.matches} matches`);
+            const summary = group.scope === 'post'
+                ? `No match in ${group.unmatchedPosts} posts (${percent(group.emptyRate)}). `
+                : '';
+
+            addItem(group.group, summary + counts.join('; '), group.flagged);
+        });
+    }
+
+    /**
+     * Download the last selector diagnostics report as JSON
+     */
+    downloadDiagnosticsReport() {
+        if (!this.diagnosticsReport) return;
+
+        const blob = new Blob([JSON.stringify(this.diagnosticsReport, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `selector-diagnostics-${this.diagnosticsReport.generatedAt.slice(0, 10)}.json`;
+        a.click();
+
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Send message to background script
      */
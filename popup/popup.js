@@ -116,14 +116,15 @@ class PopupManager {
      */
     async loadStats() {
         try {
-            const data = await chrome.storage.local.get(['stats', 'posts']);
+            const data = await chrome.storage.local.get(['stats']);
             
             if (data.stats) {
                 this.stats = { ...this.stats, ...data.stats };
             }
 
-            if (data.posts) {
-                this.stats.postsFound = data.posts.length;
+            const library = await chrome.runtime.sendMessage({ type: 'POST_LIBRARY', method: 'count' });
+            if (library && library.success) {
+                this.stats.postsFound = library.data;
             }
 
             this.updateStatsDisplay();
@@ -312,7 +313,8 @@ class PopupManager {
         }
 
         try {
-            await chrome.storage.local.remove(['posts', 'stats']);
+            await chrome.runtime.sendMessage({ type: 'POST_LIBRARY', method: 'clear' });
+            await chrome.storage.local.remove(['stats']);
             
             this.stats = {
                 postsFound: 0,
@@ -395,6 +397,10 @@ class PopupManager {
             case 'exportError':
                 this.handleExportError(message.error);
                 break;
+
+            default:
+                // Requests meant for the background service
+                return;
         }
         
         sendResponse({ success: true });
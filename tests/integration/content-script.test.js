@@ -47,7 +47,7 @@ describe('Content Script Integration', () => {
     errorHandler = new ErrorHandler();
 
     // Initialize components with dependencies
-    postExtractor = new PostExtractor(selectors, formatter, errorHandler);
+    postExtractor = new PostExtractor({}, selectors);
     domScanner = new DOMScanner(selectors, postExtractor, storage, errorHandler);
     uiOverlay = new UIOverlay(domScanner, storage, errorHandler);
     
@@ -118,6 +118,253 @@ describe('Content Script Integration', () => {
 
       expect(secondRun).toHaveLength(extractedPosts.length);
     });
+
+    it('should expand truncated post text before extraction', async () => {
+      const post = mockPosts[0];
+      post.querySelector('.feed-shared-text').innerHTML = `
+        <div class="feed-shared-inline-show-more-text">
+          <span class="break-words">Beginning of a long post</span>
+          <button class="feed-shared-inline-show-more-text__see-more-less-toggle" aria-expanded="false">…see more</button>
+        </div>`;
+
+      const button = post.querySelector('button');
+      button.addEventListener('click', () => {
+        post.querySelector('.break-words').textContent = 'Beginning of a long post and the rest of it';
+        button.setAttribute('aria-expanded', 'true');
+        button.textContent = 'see less';
+      });
+
+      expect(postExtractor.extractPostData(post).contentTruncated).toBe(true);
+
+      domScanner.delay = jest.fn().mockResolvedValue();
+      const expanded = await domScanner.expandSeeMore(post);
+      const postData = postExtractor.extractPostData(post);
+
+      expect(expanded).toBe(true);
+      expect(postData.content.text).toBe('Beginning of a long post and the rest of it');
+      expect(postData.contentTruncated).toBe(false);
+    });
+  });
+
+  describe('Saved Posts Scanning', () => {
+    const savedItem = (id) => `
+      <li class="reusable-search__result-container">
+        <div class="entity-result" data-chameleon-result-urn="urn:li:activity:${id}">
+          <span class="entity-result__title-text"><a href="https://www.linkedin.com/in/author${id}"><span aria-hidden="true">Author ${id}</span></a></span>
+          <p class="entity-result__content-summary">Saved post ${id}</p>
+          <a href="https://www.linkedin.com/feed/update/urn:li:activity:${id}/">View post</a>
+        </div>
+      </li>`;
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div data-view-name="saved-items">
+          <ul class="reusable-search__entity-result-list">${[1, 2].map(savedItem).join('')}</ul>
+          <button class="scaffold-finite-scroll__load-button">Show more results</button>
+        </div>`;
+
+      let nextId = 3;
+      const button = document.querySelector('button');
+      button.addEventListener('click', () => {
+        const list = document.querySelector('ul');
+        list.insertAdjacentHTML('beforeend', savedItem(nextId++) + savedItem(nextId++));
+        // The last page has no button left
+        if (nextId > 6) button.remove();
+      });
+
+      storage.getSettings = jest.fn().mockResolvedValue({});
+      storage.savePosts = jest.fn().mockResolvedValue(true);
+      domScanner.delay = jest.fn().mockResolvedValue();
+    });
+
+    it('should walk the saved list to the end and report it', async () => {
+      const posts = await domScanner.startScan({ mode: 'saved' });
+
+      expect(posts.map(post => post.id)).toEqual([1, 2, 3, 4, 5, 6].map(id => `urn:li:activity:${id}`));
+      expect(posts[0].author.name).toBe('Author 1');
+      expect(posts[0].content.text).toBe('Saved post 1');
+      expect(domScanner.endOfListReached).toBe(true);
+      expect(domScanner.getScanProgress()).toMatchObject({ mode: 'saved', endOfListReached: true });
+    });
+
+    it('should walk past maxPostsPerScan when started from the overlay', async () => {
+      const list = document.querySelector('ul');
+      list.innerHTML = Array.from({ length: 120 }, (_, index) => savedItem(index + 1)).join('');
+      document.querySelector('button').remove();
+      storage.getSettings = jest.fn().mockResolvedValue({ scanningPreferences: { maxPostsPerScan: 100 } });
+
+      await uiOverlay.startScan();
+
+      expect(domScanner.scanMode).toBe('saved');
+      expect(domScanner.scanOptions.maxPosts).toBe(Infinity);
+      expect(domScanner.extractedPosts).toHaveLength(120);
+      expect(domScanner.getScanProgress().progress.total).toBe(120);
+    });
+
+    it('should ignore options passed as undefined', async () => {
+      await domScanner.startScan({ maxPosts: undefined, includeImages: undefined });
+
+      expect(domScanner.scanOptions).toMatchObject({ maxPosts: Infinity, includeImages: true });
+      expect(domScanner.extractedPosts).toHaveLength(6);
+      expect(domScanner.getScanProgress().progress.total).toBe(6);
+    });
+
+    it('should stop an incremental scan at a run of already stored posts', async () => {
+      document.querySelector('ul').insertAdjacentHTML('afterbegin', savedItem(9));
+      storage.getKnownPostIds = jest.fn().mockResolvedValue(['urn:li:activity:1', 'urn:li:activity:2', 'urn:li:activity:3']);
+
+      const posts = await domScanner.startScan({ mode: 'saved', incremental: true, knownPostsStopCount: 2 });
+
+      expect(storage.getKnownPostIds).toHaveBeenCalledWith(expect.objectContaining({ type: expect.any(String) }));
+      expect(posts.map(post => post.id)).toEqual(['urn:li:activity:9', 'urn:li:activity:1', 'urn:li:activity:2']);
+      expect(domScanner.newPostsCount).toBe(1);
+      expect(domScanner.stoppedAtKnownPosts).toBe(true);
+      expect(document.querySelectorAll('li')).toHaveLength(3); // never asked for more results
+    });
+
+    it('should pause with a checkpoint and resume where it left off', async () => {
+      let checkpoint = null;
+      storage.saveScanCheckpoint = jest.fn(async (value) => { checkpoint = JSON.parse(JSON.stringify(value)); });
+      storage.getScanCheckpoint = jest.fn(async () => checkpoint);
+      storage.clearScanCheckpoint = jest.fn(async () => { checkpoint = null; });
+
+      // Pause right after the first batch
+      domScanner.delay = jest.fn(async () => domScanner.pauseScan());
+      const firstRun = await domScanner.startScan({ mode: 'saved' });
+
+      expect(firstRun).toHaveLength(2);
+      expect(checkpoint).toMatchObject({
+        status: 'paused',
+        mode: 'saved',
+        extractedCount: 2,
+        processedIds: ['urn:li:activity:1', 'urn:li:activity:2']
+      });
+      expect(storage.savePosts).toHaveBeenCalledWith(firstRun);
+
+      domScanner.delay = jest.fn().mockResolvedValue();
+      const resumed = await domScanner.resumeScan();
+
+      expect(resumed.map(post => post.id)).toEqual([3, 4, 5, 6].map(id => `urn:li:activity:${id}`));
+      expect(domScanner.endOfListReached).toBe(true);
+      expect(checkpoint).toBeNull();
+    });
+
+    it('should not resume a checkpoint recorded on another page', async () => {
+      storage.getScanCheckpoint = jest.fn().mockResolvedValue({
+        status: 'running',
+        source: { type: 'hashtag', hashtag: '#genai' },
+        processedIds: [],
+        extractedCount: 3
+      });
+
+      expect(await domScanner.getResumableCheckpoint()).toBeNull();
+      await expect(domScanner.resumeScan()).rejects.toThrow('No interrupted scan to resume on this page');
+    });
+
+    it('should not report the end while the show more button still exists', async () => {
+      const button = document.querySelector('button');
+      button.replaceWith(button.cloneNode(true)); // drop the loading listener
+
+      await domScanner.startScan({ mode: 'saved' });
+
+      expect(domScanner.extractedPosts).toHaveLength(2);
+      expect(domScanner.endOfListReached).toBe(false);
+    });
+
+    it('should abort with a reason when LinkedIn shows a rate-limit page', async () => {
+      let checkpoint = null;
+      storage.saveScanCheckpoint = jest.fn(async (value) => { checkpoint = value; });
+      const button = document.querySelector('button');
+      button.replaceWith(button.cloneNode(true));
+      document.querySelector('button').addEventListener('click', () => {
+        document.body.insertAdjacentHTML('beforeend', '<div role="alertdialog">You’re viewing pages too fast</div>');
+      });
+
+      const errors = [];
+      document.addEventListener('linkedinScanError', (e) => errors.push(e.detail));
+
+      await expect(domScanner.startScan({ mode: 'saved' })).rejects.toThrow('viewed too fast');
+
+      expect(errors[errors.length - 1]).toMatchObject({ reason: 'rate_limited' });
+      expect(domScanner.getScanProgress().abortReason).toBe('rate_limited');
+      expect(checkpoint).toMatchObject({ status: 'running', extractedCount: 2 });
+    });
+
+    it('should stop once the hourly scan budget is used up', async () => {
+      storage.getScanSettings = jest.fn().mockResolvedValue({ incrementalScan: false, knownPostsStopCount: 10, hourlyScanBudget: 3 });
+
+      await expect(domScanner.startScan({ mode: 'saved' })).rejects.toThrow('Hourly scan budget of 3 posts used up');
+
+      expect(domScanner.extractedPosts).toHaveLength(3);
+      expect(domScanner.abortReason).toBe('budget_exhausted');
+    });
+  });
+
+  describe('Virtualized Feed Scanning', () => {
+    const feedPost = (id) => {
+      const post = document.createElement('div');
+      post.className = 'feed-shared-update-v2';
+      post.setAttribute('data-urn', `urn:li:activity:${id}`);
+      post.innerHTML = `
+        <div class="feed-shared-actor__name">Author ${id}</div>
+        <div class="feed-shared-text"><span class="break-words">Post ${id}</span></div>`;
+      return post;
+    };
+
+    beforeEach(() => {
+      document.querySelector('.feed-container').replaceChildren(feedPost(1), feedPost(2));
+
+      storage.getSettings = jest.fn().mockResolvedValue({});
+      storage.savePosts = jest.fn().mockResolvedValue(true);
+      domScanner.delay = jest.fn().mockResolvedValue();
+    });
+
+    it('should extract every post once when LinkedIn recycles feed nodes', async () => {
+      const feed = document.querySelector('.feed-container');
+      let scrolls = 0;
+
+      // The first scroll drops both posts and renders post 2 again next to post 3,
+      // so the feed never gets longer than it started
+      domScanner.pacer.scrollDown = jest.fn(async () => {
+        if (scrolls++ > 0) return 1;
+        feed.innerHTML = '';
+        feed.append(feedPost(2), feedPost(3));
+        return 1;
+      });
+
+      const posts = await domScanner.startScan({ maxPosts: 10 });
+
+      expect(posts.map(post => post.id)).toEqual([1, 2, 3].map(id => `urn:li:activity:${id}`));
+    });
+
+    it('should extract posts below the fold as they scroll into view', async () => {
+      let visibilityCallback;
+      const observed = [];
+      const OriginalObserver = global.IntersectionObserver;
+      global.IntersectionObserver = class {
+        constructor(callback) { visibilityCallback = callback; }
+        observe(element) { observed.push(element); }
+        unobserve() {}
+        disconnect() {}
+      };
+
+      domScanner = new DOMScanner(selectors, postExtractor, storage, errorHandler);
+      global.IntersectionObserver = OriginalObserver;
+      domScanner.delay = jest.fn().mockResolvedValue();
+
+      const belowFold = document.querySelectorAll('.feed-shared-update-v2')[1];
+      belowFold.getBoundingClientRect = () => ({ top: 5000, bottom: 5400 });
+      domScanner.pacer.scrollDown = jest.fn(async () => {
+        visibilityCallback([{ target: belowFold, isIntersecting: true }]);
+        return 1;
+      });
+
+      const posts = await domScanner.startScan({ maxPosts: 10 });
+
+      expect(observed).toContain(belowFold);
+      expect(posts.map(post => post.id)).toEqual(['urn:li:activity:1', 'urn:li:activity:2']);
+      expect(domScanner.pacer.scrollDown).toHaveBeenCalled();
+    });
   });
 
   describe('UI Overlay Integration', () => {
@@ -148,6 +395,30 @@ describe('Content Script Integration', () => {
       uiOverlay.hideOverlay();
       expect(overlay.classList.contains('expanded')).toBe(false);
     });
+
+    it('should select clicked posts and save them as a fixture in capture mode', () => {
+      const download = jest.spyOn(uiOverlay.fixtureCapture, 'download').mockImplementation(() => {});
+      uiOverlay.showOverlay();
+      document.querySelector('#capture-fixture-btn').click();
+
+      const click = new MouseEvent('click', { bubbles: true, cancelable: true });
+      mockPosts[1].querySelector('.feed-shared-text').dispatchEvent(click);
+
+      expect(click.defaultPrevented).toBe(true);
+      expect(mockPosts[1].classList.contains('linkedin-fixture-selected')).toBe(true);
+      expect(document.querySelector('#capture-count').textContent).toBe('1 post selected');
+      // Picking posts does not close the overlay
+      expect(document.querySelector('#linkedin-consolidator-overlay').classList.contains('expanded')).toBe(true);
+
+      document.querySelector('#save-fixture-btn').click();
+
+      const fixture = download.mock.calls[0][0];
+      expect(fixture.posts).toHaveLength(1);
+      expect(fixture.posts[0].expected.id).toBe('urn:li:activity:2');
+      expect(fixture.posts[0].html).not.toContain('linkedin-fixture-selected');
+      expect(uiOverlay.isCapturing).toBe(false);
+      expect(mockPosts[1].classList.contains('linkedin-fixture-selected')).toBe(false);
+    });
   });
 
   describe('Message Passing Integration', () => {
@@ -303,6 +574,21 @@ describe('Content Script Integration', () => {
       expect(saveSpy).toHaveBeenCalled();
     });
 
+    it('should keep the post library when the page changes or results are cleared', async () => {
+      const clearSpy = jest.spyOn(storage, 'clearPosts').mockResolvedValue(true);
+      const librarySpy = jest.spyOn(storage, 'callPostLibrary').mockResolvedValue(true);
+      domScanner.extractedPosts = [{ id: 'urn:li:activity:1' }];
+
+      document.dispatchEvent(new CustomEvent('linkedinPageChanged', {
+        detail: { isSavedPostsPage: false, isFeedPage: false, pageType: 'other' }
+      }));
+      document.querySelector('#clear-btn').click();
+
+      expect(domScanner.getExtractedPosts()).toEqual([]);
+      expect(clearSpy).not.toHaveBeenCalled();
+      expect(librarySpy).not.toHaveBeenCalledWith('clear');
+    });
+
     it('should load and merge with existing posts', async () => {
       // Mock existing posts in storage
       const existingPosts = [
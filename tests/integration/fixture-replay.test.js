@@ -0,0 +1,36 @@
+/**
+ * Integration tests replaying captured post fixtures
+ * Runs every fixture in tests/fixtures/posts through PostExtractor and DataFormatter
+ * and compares the result with the output recorded when the fixture was captured
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { FixtureCapture } from '../../content/fixture-capture.js';
+import { PostExtractor } from '../../content/post-extractor.js';
+
+const fixturesDir = path.join(__dirname, '../fixtures/posts');
+
+const fixtures = fs.readdirSync(fixturesDir)
+  .filter(file => file.endsWith('.json'))
+  .sort()
+  .map(file => ({ file, ...JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8')) }));
+
+describe('Captured post fixtures', () => {
+  const capture = new FixtureCapture(new PostExtractor());
+
+  it('should find fixtures to replay', () => {
+    expect(fixtures.length).toBeGreaterThan(0);
+  });
+
+  describe.each(fixtures.map(fixture => [fixture.file, fixture]))('%s', (file, fixture) => {
+    it('should use a supported fixture schema', () => {
+      expect(fixture.schemaVersion).toBe(capture.schemaVersion);
+      expect(fixture.posts.length).toBeGreaterThan(0);
+    });
+
+    it.each(fixture.posts.map((post, index) => [index, post]))('should extract post %i as recorded', (index, post) => {
+      expect(capture.extractExpected(post.html, fixture.settings, fixture.capturedAt)).toEqual(post.expected);
+    });
+  });
+});
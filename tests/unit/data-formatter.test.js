@@ -0,0 +1,58 @@
+/**
+ * Unit tests for DataFormatter class
+ * Tests the CSV export rows built from formatted posts
+ */
+
+import { DataFormatter } from '../../utils/data-formatter.js';
+
+describe('DataFormatter', () => {
+  let formatter;
+
+  beforeEach(() => {
+    formatter = new DataFormatter();
+  });
+
+  describe('formatForSheetsExport', () => {
+    const buildPost = () => formatter.formatPostData({
+      id: 'urn:li:activity:1',
+      url: 'https://www.linkedin.com/feed/update/urn:li:activity:1',
+      author: { name: 'Sam Resharer', profile: 'https://www.linkedin.com/in/sam' },
+      content: 'Worth a read',
+      timestamp: '2024-01-01T10:00:00.000Z',
+      timestampSource: 'urn',
+      metrics: { likes: 12, reactions: { like: 8, celebrate: 3, insightful: 1 } },
+      media: { images: [{ url: 'https://media.licdn.com/photo.jpg' }] },
+      repost: {
+        type: 'repost',
+        resharer: { name: 'Sam Resharer' },
+        original: { author: { name: 'Jane Doe', profile: 'https://www.linkedin.com/in/jane' }, url: 'https://www.linkedin.com/feed/update/urn:li:activity:2' }
+      }
+    });
+
+    it('should write one cell per header', () => {
+      const [headers, row] = formatter.formatForSheetsExport([buildPost()]);
+
+      expect(row).toHaveLength(headers.length);
+    });
+
+    it('should write reaction, repost and timestamp source columns like the Sheets export', () => {
+      const [headers, row] = formatter.formatForSheetsExport([buildPost()]);
+      const cell = (header) => row[headers.indexOf(header)];
+
+      expect(cell('Like Reactions')).toBe(8);
+      expect(cell('Celebrate Reactions')).toBe(3);
+      expect(cell('Insightful Reactions')).toBe(1);
+      expect(cell('Funny Reactions')).toBe(0);
+      expect(cell('Reposted By')).toBe('Sam Resharer');
+      expect(cell('Original Author')).toBe('Jane Doe');
+      expect(cell('Original Post URL')).toBe('https://www.linkedin.com/feed/update/urn:li:activity:2');
+      expect(cell('Timestamp Source')).toBe('urn');
+    });
+
+    it('should leave the alt text column empty when images have none', () => {
+      const [headers, row] = formatter.formatForSheetsExport([buildPost()]);
+
+      expect(row[headers.indexOf('Image Alt Text')]).toBe('');
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for ExportQueue class
+ * Tests chunked exports, retries and resuming persisted jobs
+ */
+
+require('../../background/export-queue.js');
+
+const ExportQueue = self.ExportQueue;
+
+describe('ExportQueue', () => {
+  let store;
+  let sheetsAPI;
+  let postLibrary;
+  let queue;
+
+  const buildPosts = (count) => Array.from({ length: count }, (_, i) => ({ id: `urn:li:activity:${i}` }));
+
+  const chunkResult = (chunk) => ({
+    sheetUrl: 'https://docs.google.com/spreadsheets/d/sheet-1',
+    created: chunk.length,
+    updated: 0,
+    unchanged: 0
+  });
+
+  beforeEach(() => {
+    store = {};
+
+    chrome.storage.local.get.mockImplementation((key) => Promise.resolve({ [key]: store[key] }));
+    chrome.storage.local.set.mockImplementation((items) => {
+      Object.assign(store, JSON.parse(JSON.stringify(items)));
+      return Promise.resolve();
+    });
+    chrome.runtime.sendMessage.mockImplementation(() => Promise.resolve());
+
+    sheetsAPI = {
+      exportPosts: jest.fn((chunk) => Promise.resolve(chunkResult(chunk)))
+    };
+
+    // In-memory stand-in for the IndexedDB post library
+    const libraryPosts = new Map();
+    postLibrary = {
+      getPosts: jest.fn(async (ids) => ids.filter(id => libraryPosts.has(id)).map(id => libraryPosts.get(id))),
+      upsertPosts: jest.fn(async (posts) => posts.forEach(post => libraryPosts.set(post.id, post)))
+    };
+
+    queue = new ExportQueue(sheetsAPI, postLibrary);
+    queue.baseRetryDelay = 1;
+  });
+
+  it('should export posts in chunks of the configured batch size', async () => {
+    const result = await queue.enqueue({ posts: buildPosts(5), sheetId: 'sheet-1', sheetName: 'Posts', batchSize: 2 });
+
+    expect(sheetsAPI.exportPosts).toHaveBeenCalledTimes(3);
+    expect(sheetsAPI.exportPosts.mock.calls.map(call => call[0].length)).toEqual([2, 2, 1]);
+    expect(sheetsAPI.exportPosts).toHaveBeenCalledWith(expect.any(Array), 'sheet-1', { mode: 'upsert', sheetName: 'Posts' });
+    expect(result).toMatchObject({ success: true, created: 5, exportedCount: 5 });
+    expect(store.exportQueue).toEqual([]);
+  });
+
+  it('should persist post IDs and save every exported post to the library', async () => {
+    const posts = buildPosts(3);
+
+    let queued = null;
+    sheetsAPI.exportPosts.mockImplementationOnce((chunk) => {
+      queued = store.exportQueue[0];
+      return Promise.resolve(chunkResult(chunk));
+    });
+
+    await queue.enqueue({ posts: posts, sheetId: 'sheet-1' });
+
+    expect(postLibrary.upsertPosts).toHaveBeenCalledWith(posts);
+    expect(queued.chunks).toEqual([['urn:li:activity:0', 'urn:li:activity:1', 'urn:li:activity:2']]);
+    expect(sheetsAPI.exportPosts.mock.calls[0][0]).toEqual(posts);
+  });
+
+  it('should export the metrics passed in, not an older stored copy', async () => {
+    await postLibrary.upsertPosts([{ id: 'urn:li:activity:0', metrics: { likes: 10 } }]);
+    const rescanned = { id: 'urn:li:activity:0', metrics: { likes: 55 } };
+
+    await queue.enqueue({ posts: [rescanned], sheetId: 'sheet-1' });
+
+    expect(sheetsAPI.exportPosts.mock.calls[0][0]).toEqual([rescanned]);
+  });
+
+  it('should reject waiting callers when the queue fails outside a job', async () => {
+    const quotaError = new Error('QUOTA_BYTES quota exceeded');
+    const set = chrome.storage.local.set.getMockImplementation();
+    chrome.storage.local.set.mockImplementation((items) => {
+      if (items.exportQueue && items.exportQueue.length === 0) {
+        return Promise.reject(quotaError);
+      }
+      return set(items);
+    });
+
+    await expect(queue.enqueue({ posts: buildPosts(1), sheetId: 'sheet-1' })).rejects.toThrow('QUOTA_BYTES');
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'exportError', error: quotaError.message });
+    expect(queue.isProcessing).toBe(false);
+  });
+
+  it('should start a job enqueued while the previous run was finishing', async () => {
+    const first = queue.enqueue({ posts: buildPosts(1), sheetId: 'sheet-1' });
+
+    // Enqueue once the worker loop has found no more jobs but before it let go of the queue
+    const getJobs = queue.getJobs.bind(queue);
+    let second = null;
+    const lateEnqueued = new Promise(resolve => {
+      queue.getJobs = jest.fn(async () => {
+        // chrome.storage hands out copies, unlike the mock
+        const jobs = [...await getJobs()];
+        if (!second && jobs.length === 0 && queue.isProcessing) {
+          second = queue.enqueue({ posts: [{ id: 'urn:li:activity:late' }], sheetId: 'sheet-1' });
+          await new Promise(wait => setTimeout(wait, 0));
+          resolve();
+        }
+        return jobs;
+      });
+    });
+
+    await first;
+    await lateEnqueued;
+    await expect(second).resolves.toMatchObject({ created: 1 });
+    expect(sheetsAPI.exportPosts).toHaveBeenCalledTimes(2);
+  });
+
+  it('should retry a rate-limited chunk and continue from it', async () => {
+    const rateLimited = Object.assign(new Error('Failed to update rows: Quota exceeded'), { status: 429 });
+    sheetsAPI.exportPosts
+      .mockImplementationOnce((chunk) => Promise.resolve(chunkResult(chunk)))
+      .mockImplementationOnce(() => Promise.reject(rateLimited));
+
+    const result = await queue.enqueue({ posts: buildPosts(4), sheetId: 'sheet-1', batchSize: 2 });
+
+    const exportedIds = sheetsAPI.exportPosts.mock.calls.map(call => call[0][0].id);
+    expect(exportedIds).toEqual(['urn:li:activity:0', 'urn:li:activity:2', 'urn:li:activity:2']);
+    expect(result.created).toBe(4);
+  });
+
+  it('should fail without retrying on non-retryable errors', async () => {
+    const forbidden = Object.assign(new Error('Failed to read rows: Forbidden'), { status: 403 });
+    sheetsAPI.exportPosts.mockRejectedValue(forbidden);
+
+    await expect(queue.enqueue({ posts: buildPosts(3), sheetId: 'sheet-1' })).rejects.toThrow('Forbidden');
+
+    expect(sheetsAPI.exportPosts).toHaveBeenCalledTimes(1);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'exportError', error: forbidden.message });
+  });
+
+  it('should resume persisted jobs from the next pending chunk', async () => {
+    const posts = buildPosts(3);
+    await postLibrary.upsertPosts(posts);
+    store.exportQueue = [{
+      id: 'export_1',
+      sheetId: 'sheet-1',
+      sheetName: null,
+      chunks: [['urn:li:activity:0', 'urn:li:activity:1'], ['urn:li:activity:2']],
+      nextChunk: 1,
+      totalPosts: 3,
+      processedPosts: 2,
+      totals: { created: 2, updated: 0, unchanged: 0 },
+      attempts: 0,
+      nextAttemptAt: null,
+      status: 'running'
+    }];
+
+    await queue.resume();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(sheetsAPI.exportPosts).toHaveBeenCalledTimes(1);
+    expect(sheetsAPI.exportPosts.mock.calls[0][0]).toEqual([posts[2]]);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      action: 'exportComplete',
+      data: expect.objectContaining({ created: 3, postsExported: 3 })
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit tests for FieldHeuristics class
+ * Tests finding post fields from ARIA labels, link patterns, URNs and text structure
+ */
+
+import { FieldHeuristics } from '../../content/field-heuristics.js';
+import { PostExtractor } from '../../content/post-extractor.js';
+
+// A repost whose own class names match none of the extractor's selectors
+const createPost = ({ authorLabel = true, urn = true } = {}) => {
+  const post = document.createElement('div');
+  post.innerHTML = `
+    <div class="update-components-header">
+      <a href="https://www.linkedin.com/in/sam-resharer/">Sam Resharer</a> reposted this
+    </div>
+    <div ${urn ? 'data-urn="urn:li:activity:7151234567890123456"' : ''}>
+      <a href="https://www.linkedin.com/in/jane-doe/" ${authorLabel ? 'aria-label="View Jane Doe’s profile"' : ''}><img alt=""></a>
+      <a href="https://www.linkedin.com/in/jane-doe/"><span>Jane Doe</span></a>
+      <span>3d • </span>
+      <div><span dir="ltr">Shipping a new release of our open source parser today.</span></div>
+      <a href="https://example.com"><span dir="ltr">A much longer link preview title that is not the post text</span></a>
+      <button aria-label="1,234 reactions"></button>
+      <button><span>56 comments</span></button>
+      <span>7 reposts</span>
+      <div class="comments-comments-list">
+        <a href="https://www.linkedin.com/in/commenter/" aria-label="View Commenter’s profile">Commenter</a>
+        <span dir="ltr">A comment that is longer than the post text itself, by quite a bit</span>
+      </div>
+    </div>`;
+  return post;
+};
+
+describe('FieldHeuristics', () => {
+  let extractor;
+  let heuristics;
+
+  beforeEach(() => {
+    extractor = new PostExtractor();
+    heuristics = new FieldHeuristics(extractor);
+  });
+
+  it('should find the author from the profile link label, then from its text', () => {
+    expect(heuristics.findAuthorName(createPost())).toEqual({ value: 'Jane Doe', strategy: 'aria-label' });
+    expect(heuristics.findAuthorName(createPost({ authorLabel: false }))).toEqual({ value: 'Jane Doe', strategy: 'href' });
+    expect(heuristics.findAuthorProfileUrl(createPost()))
+      .toEqual({ value: 'https://www.linkedin.com/in/jane-doe/', strategy: 'href' });
+  });
+
+  it('should take the longest own text block as the content', () => {
+    expect(heuristics.findContent(createPost()))
+      .toEqual({ value: 'Shipping a new release of our open source parser today.', strategy: 'text' });
+  });
+
+  it('should date the post from an inner URN, then from the header text', () => {
+    expect(heuristics.findTimestamp(createPost())).toEqual({
+      value: { value: extractor.decodeUrnTimestamp('urn:li:activity:7151234567890123456'), source: 'urn', precision: 'exact' },
+      strategy: 'urn'
+    });
+
+    const found = heuristics.findTimestamp(createPost({ urn: false }));
+    const age = Date.now() - new Date(found.value.value).getTime();
+
+    expect(found).toMatchObject({ strategy: 'text', value: { source: 'relative', precision: 'approximate' } });
+    expect(age).toBeGreaterThanOrEqual(3 * 24 * 60 * 60 * 1000);
+    expect(age).toBeLessThan(3 * 24 * 60 * 60 * 1000 + 60 * 1000);
+  });
+
+  it('should read social counts from ARIA labels and button text', () => {
+    const post = createPost();
+
+    expect(heuristics.findMetric(post, 'likes')).toEqual({ value: 1234, strategy: 'aria-label' });
+    expect(heuristics.findMetric(post, 'comments')).toEqual({ value: 56, strategy: 'text' });
+    expect(heuristics.findMetric(post, 'shares')).toEqual({ value: 7, strategy: 'text' });
+  });
+
+  it.each([
+    ['de', 'Profil von Jana Schmidt anzeigen', '1,2 Tsd. Reaktionen', '56 Kommentare', '7 Reposts', 1200],
+    ['fr', 'Voir le profil de Jana Schmidt', '1,5 k réactions', '56 commentaires', '7 republications', 1500],
+    ['es', 'Ver el perfil de Jana Schmidt', '1.234 reacciones', '56 comentarios', '7 veces compartido', 1234],
+    ['pt', 'Ver perfil de Jana Schmidt', '1,2 mil reações', '56 comentários', '7 compartilhamentos', 1200]
+  ])('should read %s profile labels and counts', (locale, authorLabel, likes, comments, shares, likeCount) => {
+    heuristics = new FieldHeuristics(new PostExtractor({ locale: locale }));
+    const post = document.createElement('div');
+    post.innerHTML = `
+      <a href="https://www.linkedin.com/in/jana-schmidt/" aria-label="${authorLabel}"><img alt=""></a>
+      <button aria-label="${likes}"></button>
+      <button><span>${comments}</span></button>
+      <span>${shares}</span>`;
+
+    expect(heuristics.findAuthorName(post)).toEqual({ value: 'Jana Schmidt', strategy: 'aria-label' });
+    expect(heuristics.findMetric(post, 'likes')).toEqual({ value: likeCount, strategy: 'aria-label' });
+    expect(heuristics.findMetric(post, 'comments')).toEqual({ value: 56, strategy: 'text' });
+    expect(heuristics.findMetric(post, 'shares')).toEqual({ value: 7, strategy: 'text' });
+  });
+
+  it('should read English abbreviated counts on pages in other languages', () => {
+    heuristics = new FieldHeuristics(new PostExtractor({ locale: 'de' }));
+    const post = document.createElement('div');
+    post.innerHTML = '<button aria-label="1.5K reactions"></button>';
+
+    expect(heuristics.findMetric(post, 'likes')).toEqual({ value: 1500, strategy: 'aria-label' });
+  });
+
+  it('should return null when there is nothing to go on', () => {
+    const post = document.createElement('div');
+    post.innerHTML = '<div><img alt=""></div>';
+
+    expect(heuristics.findAuthorName(post)).toBeNull();
+    expect(heuristics.findContent(post)).toBeNull();
+    expect(heuristics.findTimestamp(post)).toBeNull();
+    expect(heuristics.findMetric(post, 'likes')).toBeNull();
+  });
+
+  it('should record which strategy filled each field of an extracted post', () => {
+    const postData = extractor.extractPost(createPost());
+
+    expect(postData.author.name).toBe('Jane Doe');
+    expect(postData.content).toBe('Shipping a new release of our open source parser today.');
+    expect(postData.metrics).toMatchObject({ likes: 1234, comments: 56, shares: 7 });
+    expect(postData.extractionStrategies).toEqual({
+      authorName: 'aria-label',
+      authorProfileUrl: 'selector',
+      content: 'text',
+      timestamp: 'urn',
+      likes: 'aria-label',
+      comments: 'text',
+      shares: 'text'
+    });
+  });
+});
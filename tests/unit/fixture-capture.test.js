@@ -0,0 +1,138 @@
+/**
+ * Unit tests for FixtureCapture class
+ * Tests post sanitizing, name redaction and deterministic expected output
+ */
+
+import { FixtureCapture } from '../../content/fixture-capture.js';
+import { PostExtractor } from '../../content/post-extractor.js';
+
+const createPost = ({ urn = 'urn:li:activity:7251234567890123456', time = '' } = {}) => {
+  const post = document.createElement('div');
+  post.className = 'feed-shared-update-v2';
+  if (urn) post.setAttribute('data-urn', urn);
+  post.setAttribute('data-view-tracking-scope', 'scope');
+  post.id = 'ember42';
+  post.innerHTML = `
+    <a class="update-components-actor__meta-link" href="https://www.linkedin.com/in/jane-doe-12ab/?trk=feed-actor&amp;miniProfileUrn=abc">
+      <img class="update-components-actor__avatar-image" alt="Jane Doe" src="https://media.licdn.com/dms/image/avatar?e=1&amp;t=signature" srcset="https://media.licdn.com/dms/image/avatar 2x">
+      <span class="update-components-actor__name"><span class="visually-hidden">Jane Doe</span></span>
+    </a>
+    ${time ? `<span class="update-components-actor__sub-description"><time>${time}</time></span>` : ''}
+    <div class="feed-shared-text">Thanks <a href="/in/john-roe/?lipi=urn%3Ali">John Roe</a> for reviewing! Jane Doe out.
+      <a href="https://example.com/launch?utm_source=linkedin&amp;ref=blog">example.com/launch</a></div>
+    <script>track()</script>`;
+  return post;
+};
+
+describe('FixtureCapture', () => {
+  let capture;
+
+  beforeEach(() => {
+    capture = new FixtureCapture(new PostExtractor({ locale: 'en' }));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('stripTrackingParams', () => {
+    it('should drop tracking and utm parameters and keep the rest', () => {
+      expect(capture.stripTrackingParams('https://example.com/launch?utm_source=linkedin&ref=blog&trk=x'))
+        .toBe('https://example.com/launch?ref=blog');
+      expect(capture.stripTrackingParams('/in/john-roe/?lipi=urn%3Ali'))
+        .toBe('https://www.linkedin.com/in/john-roe/');
+      expect(capture.stripTrackingParams('https://www.linkedin.com/in/jane/?miniProfileUrn=urn%3Ali%3Afs_miniProfile%3AACoAAB'))
+        .toBe('https://www.linkedin.com/in/jane/');
+    });
+
+    it('should drop the whole query of LinkedIn media URLs', () => {
+      expect(capture.stripTrackingParams('https://media.licdn.com/dms/image/a?e=1&v=beta&t=sig'))
+        .toBe('https://media.licdn.com/dms/image/a');
+    });
+
+    it('should leave non-http URLs alone', () => {
+      expect(capture.stripTrackingParams('mailto:jane@example.com')).toBe('mailto:jane@example.com');
+    });
+  });
+
+  describe('sanitizeElement', () => {
+    it('should remove scripts, tracking attributes and avatar images', () => {
+      const post = createPost();
+      const container = document.createElement('div');
+      container.innerHTML = capture.sanitizeElement(post);
+      const sanitized = container.firstElementChild;
+
+      expect(sanitized.querySelector('script')).toBeNull();
+      expect(sanitized.id).toBe('');
+      expect(sanitized.hasAttribute('data-view-tracking-scope')).toBe(false);
+      expect(sanitized.getAttribute('data-urn')).toBe('urn:li:activity:7251234567890123456');
+
+      expect(sanitized.querySelector('img')).toBeNull();
+      expect(sanitized.innerHTML).not.toMatch(/trk=|utm_|lipi=|miniProfileUrn=/);
+
+      // The page's own post is untouched
+      expect(post.querySelector('script')).not.toBeNull();
+    });
+
+    it('should replace names and profile slugs from the redaction map', () => {
+      const html = capture.sanitizeElement(createPost(), { 'Jane Doe': 'Person 1', 'jane-doe-12ab': 'person-1' });
+
+      expect(html).not.toContain('Jane Doe');
+      expect(html).not.toContain('jane-doe-12ab');
+      expect(html).toContain('Person 1 out.');
+      expect(html).toContain('https://www.linkedin.com/in/person-1/');
+    });
+  });
+
+  describe('buildRedactionMap', () => {
+    it('should name every linked profile once, in page order', () => {
+      expect(capture.buildRedactionMap([createPost()])).toEqual({
+        'jane-doe-12ab': 'person-1',
+        'Jane Doe': 'Person 1',
+        'john-roe': 'person-2',
+        'John Roe': 'Person 2'
+      });
+    });
+  });
+
+  describe('capture', () => {
+    it('should build a redacted fixture whose expected output replays', () => {
+      const fixture = capture.capture([createPost()], { name: 'feed-post', redactNames: true });
+
+      expect(fixture).toMatchObject({
+        schemaVersion: 1,
+        name: 'feed-post',
+        redacted: true,
+        settings: { locale: 'en', extractImages: true }
+      });
+      expect(fixture.posts).toHaveLength(1);
+      expect(fixture.posts[0].html).not.toMatch(/Jane Doe|John Roe/);
+      expect(fixture.posts[0].expected).toMatchObject({
+        id: 'urn:li:activity:7251234567890123456',
+        author: { name: 'Person 1', profile: 'https://www.linkedin.com/in/person-1/' },
+        media: { images: [], hasMedia: false },
+        postType: 'text'
+      });
+      expect(fixture.posts[0].expected).not.toHaveProperty('extractedAt');
+
+      const [post] = fixture.posts;
+      expect(capture.extractExpected(post.html, fixture.settings, fixture.capturedAt)).toEqual(post.expected);
+    });
+
+    it('should count relative post ages from the capture time when replaying', () => {
+      jest.useFakeTimers({ now: new Date('2024-05-10T12:00:00Z') });
+      const fixture = capture.capture([createPost({ urn: '', time: '3d' })]);
+      const [post] = fixture.posts;
+
+      expect(post.expected.id).toMatch(/^post_\d+$/);
+      expect(post.expected.timestamp).toEqual({
+        iso: '2024-05-07T12:00:00.000Z',
+        source: 'relative',
+        precision: 'approximate'
+      });
+
+      jest.setSystemTime(new Date('2025-01-01T00:00:00Z'));
+      expect(capture.extractExpected(post.html, fixture.settings, fixture.capturedAt)).toEqual(post.expected);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Unit tests for LinkedInSelectors class
+ * Tests page type detection and post source tagging
+ */
+
+import { LinkedInSelectors } from '../../utils/linkedin-selectors.js';
+
+describe('LinkedInSelectors', () => {
+  let selectors;
+
+  beforeEach(() => {
+    selectors = new LinkedInSelectors();
+  });
+
+  describe('getPageType', () => {
+    it('should recognise each scannable page', () => {
+      expect(selectors.getPageType('https://www.linkedin.com/feed/')).toBe('feed');
+      expect(selectors.getPageType('https://www.linkedin.com/my-items/saved-posts/')).toBe('saved');
+      expect(selectors.getPageType('https://www.linkedin.com/in/jane-doe/recent-activity/all/')).toBe('profileActivity');
+      expect(selectors.getPageType('https://www.linkedin.com/company/acme/posts/?feedView=all')).toBe('companyPosts');
+      expect(selectors.getPageType('https://www.linkedin.com/feed/hashtag/genai/')).toBe('hashtag');
+      expect(selectors.getPageType('https://www.linkedin.com/search/results/content/?keywords=llm')).toBe('search');
+      expect(selectors.getPageType('https://www.linkedin.com/in/jane-doe/')).toBe('other');
+    });
+  });
+
+  describe('getSourceInfo', () => {
+    it('should tag profile, company, hashtag and search sources', () => {
+      expect(selectors.getSourceInfo('https://www.linkedin.com/in/jane-doe/recent-activity/all/'))
+        .toMatchObject({ type: 'profileActivity', profile: 'jane-doe' });
+      expect(selectors.getSourceInfo('https://www.linkedin.com/company/acme/posts/'))
+        .toMatchObject({ type: 'companyPosts', company: 'acme' });
+      expect(selectors.getSourceInfo('https://www.linkedin.com/feed/hashtag/genai/'))
+        .toMatchObject({ type: 'hashtag', hashtag: '#genai' });
+      expect(selectors.getSourceInfo('https://www.linkedin.com/feed/hashtag/?keywords=genai'))
+        .toMatchObject({ type: 'hashtag', hashtag: '#genai' });
+      expect(selectors.getSourceInfo('https://www.linkedin.com/search/results/content/?keywords=generative%20ai'))
+        .toEqual({
+          type: 'search',
+          url: 'https://www.linkedin.com/search/results/content/?keywords=generative%20ai',
+          query: 'generative ai'
+        });
+    });
+  });
+
+  describe('getPostSelectors', () => {
+    it('should try page specific selectors before the generic ones', () => {
+      const postSelectors = selectors.getPostSelectors('search');
+
+      expect(postSelectors[0]).toBe(selectors.pagePostSelectors.search[0]);
+      expect(postSelectors).toEqual(expect.arrayContaining(selectors.postSelectors));
+      expect(selectors.getPostSelectors('feed')).toEqual(selectors.postSelectors);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Unit tests for Locales class
+ * Tests locale detection and parsing localized counts and relative times
+ */
+
+import { Locales } from '../../utils/locales.js';
+
+const NOW = new Date('2024-06-15T12:00:00.000Z');
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const ago = (ms) => new Date(NOW.getTime() - ms).toISOString();
+
+// Counts and relative times as LinkedIn shows them in each UI language
+const fixtures = {
+  en: {
+    numbers: [['1,234', 1234], ['1.2K', 1200], ['3M', 3000000], ['12 comments', 12], ['1,234 reactions', 1234]],
+    times: [['2h', ago(2 * HOUR)], ['5m', ago(5 * MINUTE)], ['3d', ago(3 * DAY)], ['1mo', ago(30 * DAY)], ['1yr', ago(365 * DAY)]]
+  },
+  de: {
+    numbers: [['1.234', 1234], ['1,2 Mio.', 1200000], ['3 k', 3000], ['12 Kommentare', 12], ['4,5 Tsd.', 4500]],
+    times: [['vor 3 Tagen', ago(3 * DAY)], ['2 Std.', ago(2 * HOUR)], ['1 Wo.', ago(7 * DAY)], ['5 Mon.', ago(150 * DAY)], ['vor 1 Jahr', ago(365 * DAY)]]
+  },
+  fr: {
+    numbers: [['1 234', 1234], ['1\u202f234 réactions', 1234], ['1,2 k', 1200], ['3 M', 3000000], ['8 commentaires', 8]],
+    times: [['il y a 2 sem.', ago(14 * DAY)], ['5 h', ago(5 * HOUR)], ['3 j', ago(3 * DAY)], ['il y a 4 mois', ago(120 * DAY)], ['1 an', ago(365 * DAY)]]
+  },
+  es: {
+    numbers: [['1.234', 1234], ['1,2 mil', 1200], ['3 M', 3000000], ['7 comentarios', 7]],
+    times: [['hace 3 días', ago(3 * DAY)], ['2 h', ago(2 * HOUR)], ['1 sem.', ago(7 * DAY)], ['2 meses', ago(60 * DAY)], ['hace 1 año', ago(365 * DAY)]]
+  },
+  pt: {
+    numbers: [['1.234', 1234], ['1,2 mil', 1200], ['3 mi', 3000000], ['9 comentários', 9]],
+    times: [['há 3 dias', ago(3 * DAY)], ['2 h', ago(2 * HOUR)], ['2 sem', ago(14 * DAY)], ['5 meses', ago(150 * DAY)], ['1 ano', ago(365 * DAY)]]
+  }
+};
+
+describe('Locales', () => {
+  let locales;
+
+  beforeEach(() => {
+    locales = new Locales();
+  });
+
+  afterEach(() => {
+    document.documentElement.removeAttribute('lang');
+  });
+
+  describe.each(Object.keys(fixtures))('%s', (code) => {
+    it.each(fixtures[code].numbers)('should parse the count "%s"', (text, expected) => {
+      expect(locales.parseNumber(text, code)).toBe(expected);
+    });
+
+    it.each(fixtures[code].times)('should parse the relative time "%s"', (text, expected) => {
+      expect(locales.parseRelativeTime(text, code, NOW)).toBe(expected);
+    });
+  });
+
+  it('should detect the locale from the page lang attribute', () => {
+    expect(locales.detectLocale()).toBe('en');
+
+    document.documentElement.setAttribute('lang', 'de-DE');
+    expect(locales.detectLocale()).toBe('de');
+
+    document.documentElement.setAttribute('lang', 'pt_BR');
+    expect(locales.detectLocale()).toBe('pt');
+
+    document.documentElement.setAttribute('lang', 'ja');
+    expect(locales.detectLocale()).toBe('en');
+  });
+
+  it('should fall back to other locales for abbreviations the page locale lacks', () => {
+    expect(locales.parseNumber('1,2 Mio.', 'en')).toBe(1200000);
+    expect(locales.parseRelativeTime('vor 3 Tagen', 'en', NOW)).toBe(ago(3 * DAY));
+  });
+
+  it('should read a lone separator before an abbreviation as a decimal point in any locale', () => {
+    expect(locales.parseNumber('1.5K', 'de')).toBe(1500);
+    expect(locales.parseNumber('2.25M', 'fr')).toBe(2250000);
+    expect(locales.parseNumber('1,5K', 'en')).toBe(1500);
+    expect(locales.parseNumber('1.234,5 Mio.', 'de')).toBe(1234500000);
+    expect(locales.parseNumber('1.234', 'de')).toBe(1234);
+  });
+
+  it('should read poll vote counts and closed status in every locale', () => {
+    expect(locales.parsePollVotes('1,234 votes • Poll closed', 'en')).toBe(1234);
+    expect(locales.parsePollVotes('1.200 Stimmen • Umfrage beendet', 'de')).toBe(1200);
+    expect(locales.parsePollVotes('2,5 k votes', 'fr')).toBe(2500);
+    expect(locales.parsePollVotes('87 votos · 3 d restantes', 'es')).toBe(87);
+    expect(locales.parsePollVotes('3d left', 'en')).toBeNull();
+
+    expect(locales.isPollClosed('1.200 Stimmen • Umfrage beendet', 'de')).toBe(true);
+    expect(locales.isPollClosed('87 votos · Encuesta cerrada', 'es')).toBe(true);
+    expect(locales.isPollClosed('12 votos • Enquete encerrada.', 'en')).toBe(true);
+    expect(locales.isPollClosed('Which deals closed this week? • 12 votes', 'en')).toBe(false);
+  });
+
+  it('should return null for relative times it does not understand', () => {
+    expect(locales.parseRelativeTime('Edited', 'en', NOW)).toBeNull();
+    expect(locales.parseRelativeTime('3 blorps', 'en', NOW)).toBeNull();
+  });
+
+  it('should accept new locales', () => {
+    locales.registerLocale('it', {
+      decimalSeparator: ',',
+      thousandsSeparators: ['.'],
+      abbreviations: { mln: 1e6 },
+      units: { day: ['g', 'giorni'], week: ['sett'] }
+    });
+
+    document.documentElement.setAttribute('lang', 'it-IT');
+    expect(locales.detectLocale()).toBe('it');
+    expect(locales.parseNumber('2,5 Mln', 'it')).toBe(2500000);
+    expect(locales.parseRelativeTime('3 g', 'it', NOW)).toBe(ago(3 * DAY));
+  });
+});
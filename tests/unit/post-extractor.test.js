@@ -4,6 +4,7 @@
  */
 
 import { PostExtractor } from '../../content/post-extractor.js';
+import { LinkedInSelectors } from '../../utils/linkedin-selectors.js';
 
 describe('PostExtractor', () => {
   let extractor;
@@ -42,6 +43,33 @@ describe('PostExtractor', () => {
     });
   });
 
+  describe('selector packs', () => {
+    it('should extract fields with selectors from an applied pack', () => {
+      const selectors = new LinkedInSelectors();
+      selectors.applySelectorPack({
+        schemaVersion: 1,
+        name: 'team',
+        version: '1.0.0',
+        selectors: {
+          contentSelectors: {
+            author: { name: ['.actor-v3__name'] },
+            metrics: { likes: ['.reactions-v3__count'] }
+          }
+        }
+      }, 'url');
+      const packExtractor = new PostExtractor({}, selectors);
+
+      const post = document.createElement('div');
+      post.innerHTML = `
+        <span class="actor-v3__name">Ada Lovelace</span>
+        <span class="reactions-v3__count">1,204</span>`;
+
+      expect(extractor.extractAuthorName(post)).toBe('Unknown');
+      expect(packExtractor.extractAuthorName(post)).toBe('Ada Lovelace');
+      expect(packExtractor.extractLikes(post)).toBe(1204);
+    });
+  });
+
   describe('extractPost', () => {
     it('should extract basic post data', async () => {
       const postData = await extractor.extractPost(mockPost);
@@ -80,6 +108,22 @@ describe('PostExtractor', () => {
       });
     });
 
+    it('should extract the reaction breakdown when available', () => {
+      const strip = mockPost.querySelector('.social-counts-reactions');
+      strip.innerHTML += `
+        <img data-test-reactions-icon-type="LIKE" alt="like">
+        <img data-test-reactions-icon-type="PRAISE" alt="celebrate">
+        <img data-test-reactions-icon-type="INTEREST" alt="insightful">
+        <button aria-label="Like 1.2K"></button>
+        <button aria-label="8 Celebrate reactions"></button>
+        <button aria-label="Insightful: 3"></button>`;
+
+      const metrics = extractor.extractMetrics(mockPost);
+
+      expect(metrics.topReactions).toEqual(['like', 'celebrate', 'insightful']);
+      expect(metrics.reactions).toEqual({ like: 1200, celebrate: 8, insightful: 3 });
+    });
+
     it('should skip metrics when disabled', async () => {
       extractor.settings.extractMetrics = false;
       const postData = await extractor.extractPost(mockPost);
@@ -106,6 +150,314 @@ describe('PostExtractor', () => {
     });
   });
 
+  describe('extractPostData', () => {
+    it('should format extracted posts with metrics for storage', () => {
+      const postData = extractor.extractPostData(mockPost);
+
+      expect(postData.id).toBe('urn:li:activity:123456789');
+      expect(postData.author.profile).toBe('https://www.linkedin.com/in/johndoe');
+      expect(postData.content.text).toBe('This is a test post content.');
+      expect(postData.metrics).toMatchObject({ likes: expect.any(Number), comments: expect.any(Number) });
+      expect(postData.media.images).toEqual(expect.any(Array));
+      expect(postData.extractedAt).toBeDefined();
+      expect(postData.extractionStrategies).toMatchObject({ authorName: 'selector', content: 'selector' });
+    });
+
+    it('should not count author or commenter avatars as post images', () => {
+      mockPost.insertAdjacentHTML('afterbegin', `
+        <div class="update-components-actor__avatar"><img class="update-components-actor__avatar-image" src="https://media.licdn.com/author.jpg"></div>
+        <img class="comments-post-meta__profile-image" src="https://media.licdn.com/commenter.jpg">`);
+
+      const postData = extractor.extractPostData(mockPost);
+
+      expect(postData.media.images).toEqual([]);
+      expect(postData.media.hasMedia).toBe(false);
+      expect(postData.postType).toBe('text');
+    });
+  });
+
+  describe('extractRepost', () => {
+    it('should return null for original posts', () => {
+      expect(extractor.extractRepost(mockPost)).toBeNull();
+    });
+
+    it('should credit the original author of a plain repost', () => {
+      const repost = testUtils.createMockPost({ urn: 'urn:li:activity:555', author: 'Original Author' });
+      repost.insertAdjacentHTML('afterbegin', `
+        <div class="update-components-header">
+          <a href="https://www.linkedin.com/in/resharer?trk=feed">Jane Resharer</a> reposted this
+        </div>`);
+      repost.insertAdjacentHTML('beforeend',
+        '<a class="update-components-actor__sub-description" href="https://www.linkedin.com/feed/update/urn:li:activity:111/">1d</a>');
+
+      const data = extractor.extractRepost(repost);
+
+      expect(data.type).toBe('repost');
+      expect(data.resharer).toEqual({ name: 'Jane Resharer', profileUrl: 'https://www.linkedin.com/in/resharer' });
+      expect(data.original.author.name).toBe('Original Author');
+      expect(data.original.urn).toBe('urn:li:activity:111');
+    });
+
+    it('should separate quote commentary from the embedded original', () => {
+      const quote = testUtils.createMockPost({ author: 'Quoting User', content: 'My take on this' });
+      quote.insertAdjacentHTML('beforeend', `
+        <div class="update-components-mini-update-v2" data-urn="urn:li:activity:222">
+          <a class="feed-shared-actor__container-link" href="https://www.linkedin.com/in/original">
+            <span class="feed-shared-actor__name">Original Author</span>
+          </a>
+          <div class="feed-shared-text">The original post</div>
+        </div>`);
+
+      const postData = extractor.extractPost(quote);
+
+      expect(postData.author.name).toBe('Quoting User');
+      expect(postData.content).toBe('My take on this');
+      expect(postData.repost).toMatchObject({
+        type: 'quote',
+        commentary: 'My take on this',
+        original: {
+          urn: 'urn:li:activity:222',
+          url: 'https://www.linkedin.com/feed/update/urn:li:activity:222/',
+          author: expect.objectContaining({ name: 'Original Author' }),
+          content: 'The original post'
+        }
+      });
+      expect(extractor.extractPostData(quote).postType).toBe('quote');
+    });
+  });
+
+  describe('extractPoll', () => {
+    it('should return null for posts without a poll', () => {
+      expect(extractor.extractPoll(mockPost)).toBeNull();
+    });
+
+    it('should extract the question, options and results', () => {
+      const poll = testUtils.createMockPost({ content: 'Quick question for everyone' });
+      poll.insertAdjacentHTML('beforeend', `
+        <div class="update-components-poll">
+          <div class="update-components-poll__question">Which editor do you use?</div>
+          <div class="update-components-poll-option">
+            <span class="update-components-poll-option__text">VS Code</span><span>62%</span>
+          </div>
+          <div class="update-components-poll-option">
+            <span class="update-components-poll-option__text">Vim</span><span>38%</span>
+          </div>
+          <div class="update-components-poll-summary">1,200 votes • Poll closed</div>
+        </div>`);
+
+      const postData = extractor.extractPost(poll);
+
+      expect(postData.poll).toEqual({
+        question: 'Which editor do you use?',
+        options: [
+          { label: 'VS Code', percentage: 62, votes: 744 },
+          { label: 'Vim', percentage: 38, votes: 456 }
+        ],
+        totalVotes: 1200,
+        isClosed: true
+      });
+      expect(extractor.extractPostData(poll).postType).toBe('poll');
+    });
+
+    it('should leave results empty while a poll is open and unanswered', () => {
+      const poll = testUtils.createMockPost();
+      poll.insertAdjacentHTML('beforeend', `
+        <div class="feed-shared-poll">
+          <div class="feed-shared-poll__question">Remote or office?</div>
+          <div class="feed-shared-poll-option"><label>Remote</label></div>
+          <div class="feed-shared-poll-option"><label>Office</label></div>
+          <div class="feed-shared-poll-summary">3d left</div>
+        </div>`);
+
+      const data = extractor.extractPoll(poll);
+
+      expect(data.options).toEqual([
+        { label: 'Remote', percentage: null, votes: null },
+        { label: 'Office', percentage: null, votes: null }
+      ]);
+      expect(data.totalVotes).toBeNull();
+      expect(data.isClosed).toBe(false);
+    });
+
+    it('should read the results and status of a poll on a German page', () => {
+      const poll = testUtils.createMockPost();
+      poll.insertAdjacentHTML('beforeend', `
+        <div class="update-components-poll">
+          <div class="update-components-poll__question">Homeoffice oder Büro?</div>
+          <div class="update-components-poll-option">
+            <span class="update-components-poll-option__text">Homeoffice</span><span>75%</span>
+          </div>
+          <div class="update-components-poll-option">
+            <span class="update-components-poll-option__text">Büro</span><span>25%</span>
+          </div>
+          <div class="update-components-poll-summary">1.200 Stimmen • Umfrage beendet</div>
+        </div>`);
+
+      const data = new PostExtractor({ locale: 'de' }).extractPoll(poll);
+
+      expect(data.totalVotes).toBe(1200);
+      expect(data.options.map(option => option.votes)).toEqual([900, 300]);
+      expect(data.isClosed).toBe(true);
+    });
+
+    it('should not close a poll whose summary only mentions closed or ended', () => {
+      const poll = testUtils.createMockPost();
+      poll.insertAdjacentHTML('beforeend', `
+        <div class="update-components-poll">
+          <div class="update-components-poll__question">Has remote work ended?</div>
+          <div class="update-components-poll-option"><label>Yes</label></div>
+          <div class="update-components-poll-summary">Voting on whether offices closed • 58 votes • 2d left</div>
+        </div>`);
+
+      const data = extractor.extractPoll(poll);
+
+      expect(data.totalVotes).toBe(58);
+      expect(data.isClosed).toBe(false);
+    });
+  });
+
+  describe('extractLinks', () => {
+    it('should return no links for posts without URLs', () => {
+      expect(extractor.extractLinks(mockPost)).toEqual([]);
+    });
+
+    it('should unwrap the article card and collect inline links', () => {
+      const post = testUtils.createMockPost({ content: 'Worth a read https://example.com/notes.' });
+      post.querySelector('.feed-shared-text').insertAdjacentHTML('beforeend', `
+        <a href="https://www.linkedin.com/feed/hashtag/ai">#ai</a>
+        <a href="https://www.linkedin.com/redir/redirect?url=https%3A%2F%2Fblog.example.org%2Fpost&urlhash=abc">blog.example.org/post</a>`);
+      post.insertAdjacentHTML('beforeend', `
+        <div class="update-components-article">
+          <a href="https://www.linkedin.com/safety/go?url=https%3A%2F%2Fwww.news.example.com%2Fstory%3Fid%3D7&trk=flagship">
+            <img src="https://media.licdn.com/article-thumb.jpg">
+            <span class="update-components-article__title">The big story</span>
+          </a>
+        </div>`);
+
+      const links = extractor.extractLinks(post);
+
+      expect(links).toEqual([
+        {
+          url: 'https://www.news.example.com/story?id=7',
+          type: 'article',
+          title: 'The big story',
+          thumbnail: 'https://media.licdn.com/article-thumb.jpg',
+          domain: 'news.example.com'
+        },
+        { url: 'https://blog.example.org/post', type: 'inline', title: '', thumbnail: '', domain: 'blog.example.org' },
+        { url: 'https://example.com/notes', type: 'inline', title: '', thumbnail: '', domain: 'example.com' }
+      ]);
+      expect(extractor.extractPostData(post).content.hasLinks).toBe(true);
+    });
+  });
+
+  describe('extractDocuments', () => {
+    it('should return no documents for text posts', () => {
+      expect(extractor.extractDocuments(mockPost)).toEqual([]);
+    });
+
+    it('should extract the title, page count and slide thumbnails', () => {
+      const post = testUtils.createMockPost({ urn: 'urn:li:activity:777' });
+      post.insertAdjacentHTML('beforeend', `
+        <div class="update-components-document">
+          <iframe title="Document: 10 tips for better slides" data-src="https://www.linkedin.com/embeds/document/123"></iframe>
+          <img src="https://media.licdn.com/slide-1.jpg">
+          <img src="https://media.licdn.com/slide-2.jpg">
+          <span>1 / 20</span>
+        </div>`);
+
+      const documents = extractor.extractDocuments(post);
+
+      expect(documents).toEqual([{
+        url: 'https://www.linkedin.com/embeds/document/123',
+        title: '10 tips for better slides',
+        type: 'pdf',
+        pageCount: 20,
+        thumbnails: ['https://media.licdn.com/slide-1.jpg', 'https://media.licdn.com/slide-2.jpg']
+      }]);
+
+      const postData = extractor.extractPostData(post);
+      expect(postData.postType).toBe('document');
+      expect(postData.media.documents[0].pageCount).toBe(20);
+    });
+  });
+
+  describe('extractImageDetails', () => {
+    it('should keep carousel images in order with their alt text', () => {
+      const post = testUtils.createMockPost();
+      post.insertAdjacentHTML('beforeend', `
+        <div class="update-components-image">
+          <img src="https://media.licdn.com/photo-1.jpg" alt="Team at the offsite" width="800" height="600">
+          <img src="https://media.licdn.com/photo-2.jpg" alt="">
+        </div>`);
+
+      expect(extractor.extractImageDetails(post)).toEqual([
+        { url: 'https://media.licdn.com/photo-1.jpg', alt: 'Team at the offsite', width: 800, height: 600 },
+        { url: 'https://media.licdn.com/photo-2.jpg', alt: '', width: null, height: null }
+      ]);
+      const postData = extractor.extractPostData(post);
+      expect(postData.postType).toBe('carousel');
+      expect(postData.media.images.map(image => image.alt)).toEqual(['Team at the offsite', '']);
+    });
+  });
+
+  describe('extractCommentThreads', () => {
+    const buildComment = (name, text, reactions, replies = '') => `
+      <article class="comments-comment-item" data-id="urn:li:comment:${name}">
+        <a class="comments-post-meta__actor-link" href="https://www.linkedin.com/in/${name}?trk=comment">
+          <span class="comments-post-meta__name-text"><span class="visually-hidden">${name}</span></span>
+        </a>
+        <time class="comments-comment-meta__data">2h</time>
+        <span class="comments-comment-item__main-content">${text}</span>
+        <button class="comments-comment-social-bar__reactions-count">${reactions}</button>
+        <div class="comments-replies-list">${replies}</div>
+      </article>`;
+
+    beforeEach(() => {
+      const list = document.createElement('div');
+      list.className = 'comments-comments-list';
+      list.innerHTML =
+        buildComment('alice', 'Great post', '12', buildComment('bob', 'Agreed', '3') + buildComment('carol', 'Same here', '1')) +
+        buildComment('dave', 'Thanks for sharing', '1.2K');
+      mockPost.appendChild(list);
+    });
+
+    it('should extract comments with nested replies', () => {
+      const comments = extractor.extractCommentThreads(mockPost);
+
+      expect(comments).toHaveLength(2);
+      expect(comments[0]).toEqual({
+        id: 'urn:li:comment:alice',
+        author: { name: 'alice', profileUrl: 'https://www.linkedin.com/in/alice' },
+        text: 'Great post',
+        reactions: 12,
+        relativeTime: '2h',
+        replies: [
+          expect.objectContaining({ author: expect.objectContaining({ name: 'bob' }), text: 'Agreed', replies: [] }),
+          expect.objectContaining({ author: expect.objectContaining({ name: 'carol' }), text: 'Same here' })
+        ]
+      });
+      expect(comments[1].reactions).toBe(1200);
+    });
+
+    it('should stop at the per-post comment cap', () => {
+      extractor.updateSettings({ maxCommentsPerPost: 2 });
+
+      const comments = extractor.extractCommentThreads(mockPost);
+
+      expect(comments).toHaveLength(1);
+      expect(comments[0].replies).toHaveLength(1);
+    });
+
+    it('should only extract comments when enabled', () => {
+      expect(extractor.extractPost(mockPost).comments).toBeUndefined();
+
+      extractor.updateSettings({ extractComments: true });
+
+      expect(extractor.extractPost(mockPost).comments).toHaveLength(2);
+    });
+  });
+
   describe('extractAuthor', () => {
     it('should extract author name', () => {
       const author = extractor.extractAuthor(mockPost);
@@ -148,6 +500,22 @@ describe('PostExtractor', () => {
       const content = extractor.extractContent(mockPost);
       expect(content).toBe('This is content with extra spaces');
     });
+
+    it('should drop the see more toggle label and flag truncated text', () => {
+      const contentElement = mockPost.querySelector('.feed-shared-text');
+      contentElement.innerHTML = `
+        <div class="feed-shared-inline-show-more-text">
+          First lines of the post
+          <button class="feed-shared-inline-show-more-text__see-more-less-toggle" aria-expanded="false">…see more</button>
+        </div>`;
+
+      expect(extractor.extractContent(mockPost)).toBe('First lines of the post');
+      expect(extractor.isContentTruncated(mockPost)).toBe(true);
+    });
+
+    it('should not flag posts without a see more toggle', () => {
+      expect(extractor.isContentTruncated(mockPost)).toBe(false);
+    });
   });
 
   describe('extractTimestamp', () => {
@@ -170,6 +538,48 @@ describe('PostExtractor', () => {
       const timestamp = extractor.extractTimestamp(mockPost);
       expect(timestamp).toMatch(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/);
     });
+
+    it('should prefer the time encoded in the activity URN', () => {
+      const postedAt = Date.UTC(2024, 0, 15, 9, 30, 0, 123);
+      const activityId = (BigInt(postedAt) << 22n) + 12345n;
+      mockPost.setAttribute('data-id', `urn:li:activity:${activityId}`);
+
+      expect(extractor.extractTimestampInfo(mockPost)).toEqual({
+        value: '2024-01-15T09:30:00.123Z',
+        source: 'urn',
+        precision: 'exact'
+      });
+    });
+
+    it('should decode the URN of saved items and post links', () => {
+      const postedAt = Date.UTC(2024, 2, 1, 8, 0, 0, 0);
+      const activityId = (BigInt(postedAt) << 22n) + 7n;
+      mockPost.removeAttribute('data-urn');
+      mockPost.insertAdjacentHTML('beforeend', `<a href="/feed/update/urn:li:activity:${activityId}/">View post</a>`);
+
+      expect(extractor.extractTimestampInfo(mockPost)).toEqual({
+        value: '2024-03-01T08:00:00.000Z',
+        source: 'urn',
+        precision: 'exact'
+      });
+
+      const savedItem = document.createElement('li');
+      savedItem.innerHTML = `<div data-chameleon-result-urn="urn:li:activity:${activityId}"><time datetime="2020-01-01">1 Jan</time></div>`;
+      expect(extractor.extractTimestampInfo(savedItem).value).toBe('2024-03-01T08:00:00.000Z');
+    });
+
+    it('should record the source of less exact timestamps', () => {
+      expect(extractor.extractTimestampInfo(mockPost).source).toBe('datetime');
+
+      mockPost.querySelector('time').remove();
+      mockPost.insertAdjacentHTML('beforeend', '<div class="update-components-actor__sub-description"><time>3w</time></div>');
+      expect(extractor.extractTimestampInfo(mockPost)).toMatchObject({ source: 'relative', precision: 'approximate' });
+    });
+
+    it('should ignore URNs that do not decode to a plausible date', () => {
+      expect(extractor.decodeUrnTimestamp('urn:li:activity:123456789')).toBeNull();
+      expect(extractor.decodeUrnTimestamp('urn:li:comment:1')).toBeNull();
+    });
   });
 
   describe('extractMetrics', () => {
@@ -193,6 +603,25 @@ describe('PostExtractor', () => {
         shares: 0
       });
     });
+
+    it('should read metrics and relative times on a German page', () => {
+      document.documentElement.setAttribute('lang', 'de-DE');
+      const post = document.createElement('div');
+      post.innerHTML = `
+        <span class="social-counts-reactions__count">1,2 Mio.</span>
+        <span class="social-counts-comments">1.234 Kommentare</span>
+        <div class="update-components-actor__sub-description"><time>vor 3 Tagen</time></div>`;
+
+      const metrics = extractor.extractMetrics(post);
+      const timestamp = new Date(extractor.extractTimestampInfo(post).value).getTime();
+
+      expect(metrics.likes).toBe(1200000);
+      expect(metrics.comments).toBe(1234);
+      expect(Date.now() - timestamp).toBeGreaterThanOrEqual(3 * 24 * 60 * 60 * 1000);
+      expect(Date.now() - timestamp).toBeLessThan(3 * 24 * 60 * 60 * 1000 + 60 * 1000);
+
+      document.documentElement.removeAttribute('lang');
+    });
   });
 
   describe('extractImages', () => {
@@ -233,6 +662,20 @@ describe('PostExtractor', () => {
       
       expect(id).toMatch(/^post_\d+$/);
     });
+
+    it('should give a post without a URN the same ID on every scan', () => {
+      const build = (text) => {
+        const post = testUtils.createMockPost({ content: text });
+        post.removeAttribute('data-urn');
+        return post;
+      };
+
+      const id = extractor.generatePostId(build('Launching our new product today'));
+
+      expect(extractor.generatePostId(build('Launching  our new product today'))).toBe(id);
+      expect(new PostExtractor().generatePostId(build('Launching our new product today'))).toBe(id);
+      expect(extractor.generatePostId(build('Hiring two engineers'))).not.toBe(id);
+    });
   });
 
   describe('generatePostUrl', () => {
@@ -0,0 +1,151 @@
+/**
+ * Unit tests for PostLibrary class
+ * Tests IndexedDB upserts, indexes and paged queries
+ */
+
+import 'fake-indexeddb/auto';
+import { PostLibrary } from '../../utils/post-library.js';
+
+// jsdom does not expose structuredClone, which fake-indexeddb uses to store values
+global.structuredClone = global.structuredClone || (value => JSON.parse(JSON.stringify(value)));
+
+describe('PostLibrary', () => {
+  let library;
+  let dbCount = 0;
+
+  const buildPost = (id, overrides = {}) => ({
+    id: id,
+    author: { name: 'John Doe' },
+    content: { text: 'Post content', hashtags: ['#ai'] },
+    timestamp: { iso: '2024-01-01T00:00:00.000Z' },
+    postType: 'text',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    // A fresh database per test keeps tests independent
+    library = new PostLibrary(`test-library-${++dbCount}`);
+  });
+
+  it('should insert new posts and update existing ones', async () => {
+    await library.upsertPosts([buildPost('post1'), buildPost('post2')]);
+
+    const result = await library.upsertPosts([
+      buildPost('post1', { metrics: { likes: 10 } }),
+      buildPost('post3')
+    ]);
+
+    expect(result).toEqual({ created: 1, updated: 1 });
+    expect(await library.count()).toBe(3);
+
+    const updated = await library.getPost('post1');
+    expect(updated.metrics.likes).toBe(10);
+    expect(updated.firstSavedAt).toBeDefined();
+  });
+
+  it('should query posts by author, post type and hashtag', async () => {
+    await library.upsertPosts([
+      buildPost('post1', { content: { text: '', hashtags: ['#ai', '#ml'] } }),
+      buildPost('post2', { author: { name: 'Jane Smith' }, postType: 'video' }),
+      buildPost('post3', { content: { text: '', hashtags: ['#ml'] } })
+    ]);
+
+    const byAuthor = await library.queryPosts({ index: 'author', value: 'Jane Smith' });
+    expect(byAuthor.posts.map(post => post.id)).toEqual(['post2']);
+
+    expect(await library.count({ index: 'postType', value: 'text' })).toBe(2);
+
+    const byHashtag = await library.queryPosts({ index: 'hashtag', value: '#ml' });
+    expect(byHashtag.posts.map(post => post.id)).toEqual(['post1', 'post3']);
+  });
+
+  it('should page through posts ordered by timestamp', async () => {
+    const posts = [1, 2, 3, 4, 5].map(day =>
+      buildPost(`post${day}`, { timestamp: { iso: `2024-01-0${day}T00:00:00.000Z` } })
+    );
+    await library.upsertPosts(posts);
+
+    const page = await library.queryPosts({ index: 'timestamp', direction: 'prev', offset: 1, limit: 2 });
+
+    expect(page.posts.map(post => post.id)).toEqual(['post4', 'post3']);
+    expect(page.total).toBe(5);
+    expect(page.hasMore).toBe(true);
+
+    const range = await library.queryPosts({
+      index: 'timestamp',
+      from: '2024-01-02T00:00:00.000Z',
+      to: '2024-01-03T23:59:59.999Z'
+    });
+    expect(range.posts.map(post => post.id)).toEqual(['post2', 'post3']);
+  });
+
+  it('should keep a metric snapshot for every save of a post', async () => {
+    await library.upsertPosts([buildPost('post1', { metrics: { likes: 10, comments: 1 }, extractedAt: '2024-02-01T00:00:00.000Z' })]);
+    await library.upsertPosts([buildPost('post1', { metrics: { likes: 25, comments: 4 }, extractedAt: '2024-02-05T00:00:00.000Z' })]);
+    await library.upsertPosts([buildPost('post1', { metrics: { likes: 40, comments: 9 }, extractedAt: '2024-02-10T00:00:00.000Z' })]);
+
+    const history = await library.getMetricHistory('post1');
+    expect(history.map(snapshot => snapshot.likes)).toEqual([10, 25, 40]);
+
+    const post = await library.getPost('post1');
+    expect(post.metrics.likes).toBe(40);
+
+    const growth = await library.getMetricGrowth('post1', '2024-02-05T00:00:00.000Z', '2024-02-10T00:00:00.000Z');
+    expect(growth.growth).toEqual({ likes: 15, comments: 5, shares: 0, views: 0 });
+  });
+
+  it('should not add a snapshot when the metrics did not change', async () => {
+    await library.upsertPosts([buildPost('post1', { metrics: { likes: 10 }, extractedAt: '2024-02-01T00:00:00.000Z' })]);
+    await library.upsertPosts([buildPost('post1', { metrics: { likes: 10 }, extractedAt: '2024-02-05T00:00:00.000Z' })]);
+
+    const history = await library.getMetricHistory('post1');
+    expect(history).toHaveLength(1);
+    expect(history[0].capturedAt).toBe('2024-02-01T00:00:00.000Z');
+  });
+
+  it('should rank posts by growth in a date range', async () => {
+    await library.upsertPosts([
+      buildPost('slow', { metrics: { likes: 5 }, extractedAt: '2024-03-01T00:00:00.000Z' }),
+      buildPost('fast', { metrics: { likes: 5 }, extractedAt: '2024-03-01T00:00:00.000Z' }),
+      buildPost('once', { metrics: { likes: 50 }, extractedAt: '2024-03-01T00:00:00.000Z' })
+    ]);
+    await library.upsertPosts([
+      buildPost('slow', { metrics: { likes: 8 }, extractedAt: '2024-03-08T00:00:00.000Z' }),
+      buildPost('fast', { metrics: { likes: 90 }, extractedAt: '2024-03-08T00:00:00.000Z' })
+    ]);
+
+    const report = await library.getGrowthReport({ from: '2024-03-01', to: '2024-03-31' });
+
+    expect(report.map(entry => entry.postId)).toEqual(['fast', 'slow']);
+    expect(report[0].growth.likes).toBe(85);
+  });
+
+  it('should list the posts seen in each scan source', async () => {
+    const saved = { type: 'saved', url: 'https://www.linkedin.com/my-items/saved-posts/' };
+    const hashtag = { type: 'hashtag', hashtag: '#GenAI', url: 'https://www.linkedin.com/feed/hashtag/genai/' };
+
+    await library.upsertPosts([buildPost('post1', { source: saved }), buildPost('post2', { source: hashtag })]);
+    await library.upsertPosts([buildPost('post2', { source: saved })]);
+
+    expect(await library.getPostIdsBySource('saved')).toEqual(['post1', 'post2']);
+    expect(await library.getPostIdsBySource(PostLibrary.getSourceKey(hashtag))).toEqual(['post2']);
+    expect((await library.getPost('post2')).sourceKeys).toEqual(['hashtag:#genai', 'saved']);
+  });
+
+  it('should get several posts by ID in the order asked for', async () => {
+    await library.upsertPosts([buildPost('post1'), buildPost('post2'), buildPost('post3')]);
+
+    const posts = await library.getPosts(['post3', 'missing', 'post1']);
+
+    expect(posts.map(post => post.id)).toEqual(['post3', 'post1']);
+    expect(await library.getPosts([])).toEqual([]);
+  });
+
+  it('should clear all posts', async () => {
+    await library.upsertPosts([buildPost('post1')]);
+
+    await library.clear();
+
+    expect(await library.getAllPosts()).toEqual([]);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for ScanPacer class
+ * Tests jittered waits, step scrolling, the hourly budget and block detection
+ */
+
+import { ScanPacer } from '../../content/scan-pacer.js';
+import { LinkedInSelectors } from '../../utils/linkedin-selectors.js';
+
+describe('ScanPacer', () => {
+  let storage;
+  let delay;
+  let pacer;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    document.title = 'Feed | LinkedIn';
+
+    storage = {
+      getScanBudget: jest.fn().mockResolvedValue(null),
+      saveScanBudget: jest.fn().mockResolvedValue(true)
+    };
+    delay = jest.fn().mockResolvedValue();
+    pacer = new ScanPacer(new LinkedInSelectors(), storage, delay);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should jitter waits around the base delay and add occasional reading pauses', () => {
+    const random = jest.spyOn(Math, 'random');
+
+    random.mockReturnValueOnce(0).mockReturnValueOnce(0.99);
+    expect(pacer.getJitteredDelay(2000)).toBe(1200);
+
+    random.mockReturnValueOnce(1).mockReturnValueOnce(0.99);
+    expect(pacer.getJitteredDelay(2000)).toBe(2800);
+
+    random.mockReturnValueOnce(0.5).mockReturnValueOnce(0).mockReturnValueOnce(0);
+    expect(pacer.getJitteredDelay(2000)).toBe(2000 + pacer.readingPause.min);
+  });
+
+  it('should scroll in several uneven steps with pauses in between', async () => {
+    Object.defineProperty(document.body, 'scrollHeight', { configurable: true, value: 3000 });
+    window.scrollY = 0;
+    window.scrollBy = jest.fn((x, y) => { window.scrollY += y; });
+
+    const steps = await pacer.scrollDown();
+
+    expect(steps).toBeGreaterThan(1);
+    expect(window.scrollBy).toHaveBeenCalledTimes(steps);
+    expect(delay).toHaveBeenCalledTimes(steps);
+    expect(pacer.isAtBottom()).toBe(true);
+
+    delete document.body.scrollHeight;
+    window.scrollY = 0;
+  });
+
+  it('should track the hourly budget and start over after an hour', async () => {
+    pacer.updateSettings({ hourlyScanBudget: 3 });
+    storage.getScanBudget.mockResolvedValue({ windowStart: Date.now() - 10 * 60 * 1000, count: 2 });
+
+    await pacer.loadBudget();
+    expect(pacer.getRemainingBudget()).toBe(1);
+
+    pacer.consumeBudget();
+    expect(pacer.getRemainingBudget()).toBe(0);
+
+    await pacer.saveBudget();
+    expect(storage.saveScanBudget).toHaveBeenCalledWith(expect.objectContaining({ count: 3 }));
+
+    pacer.budget.windowStart -= pacer.budgetWindow;
+    expect(pacer.getRemainingBudget()).toBe(3);
+  });
+
+  it('should detect rate-limit, captcha and checkpoint pages', () => {
+    expect(pacer.detectBlock()).toBeNull();
+
+    document.body.innerHTML = '<div role="alertdialog">You’re viewing pages too fast. Please slow down.</div>';
+    expect(pacer.detectBlock()).toMatchObject({ reason: 'rate_limited' });
+
+    document.body.innerHTML = '<iframe src="https://www.linkedin.com/checkpoint/captcha"></iframe>';
+    expect(pacer.detectBlock()).toMatchObject({ reason: 'captcha' });
+
+    document.body.innerHTML = '';
+    document.title = 'Security Verification | LinkedIn';
+    expect(pacer.detectBlock()).toBeNull();
+    document.title = 'Let’s do a quick security check | LinkedIn';
+    expect(pacer.detectBlock()).toMatchObject({ reason: 'captcha' });
+  });
+});
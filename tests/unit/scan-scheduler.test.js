@@ -0,0 +1,161 @@
+/**
+ * Unit tests for ScanScheduler class
+ * Tests alarm registration, scheduled scan runs and the scan history
+ */
+
+require('../../background/scan-scheduler.js');
+
+const ScanScheduler = self.ScanScheduler;
+
+describe('ScanScheduler', () => {
+  let syncStore;
+  let localStore;
+  let exportPosts;
+  let scheduler;
+
+  const scanResult = {
+    success: true,
+    posts: [{ id: 'urn:li:activity:1' }, { id: 'urn:li:activity:2' }],
+    count: 2,
+    newPostsCount: 1
+  };
+
+  beforeEach(() => {
+    syncStore = { autoScan: true, scanInterval: 30 };
+    localStore = {};
+
+    chrome.storage.sync.get.mockImplementation((keys) => {
+      const result = {};
+      [].concat(keys).forEach(key => { if (key in syncStore) result[key] = syncStore[key]; });
+      return Promise.resolve(result);
+    });
+    chrome.storage.local.get.mockImplementation((key) => Promise.resolve({ [key]: localStore[key] }));
+    chrome.storage.local.set.mockImplementation((items) => {
+      Object.assign(localStore, JSON.parse(JSON.stringify(items)));
+      return Promise.resolve();
+    });
+    chrome.storage.local.remove.mockImplementation((key) => {
+      delete localStore[key];
+      return Promise.resolve();
+    });
+
+    chrome.alarms.get.mockImplementation(() => Promise.resolve(undefined));
+    chrome.alarms.create.mockImplementation(() => Promise.resolve());
+    chrome.alarms.clear.mockImplementation(() => Promise.resolve(true));
+
+    chrome.tabs.query.mockImplementation(() => Promise.resolve([]));
+    chrome.tabs.create.mockImplementation(() => Promise.resolve({ id: 7, status: 'loading' }));
+    chrome.tabs.get.mockImplementation(() => Promise.resolve({ id: 7, status: 'complete' }));
+    chrome.tabs.remove.mockImplementation(() => Promise.resolve());
+    chrome.tabs.sendMessage.mockImplementation((tabId, message) => Promise.resolve(
+      message.type === 'PING' ? { status: 'ready', initialized: true } : { success: true, started: true }
+    ));
+
+    exportPosts = jest.fn(() => Promise.resolve({ success: true, exportedCount: 2 }));
+    scheduler = new ScanScheduler(exportPosts);
+    scheduler.contentScriptRetryDelay = 1;
+  });
+
+  it('should register an alarm for the configured interval', async () => {
+    await scheduler.init();
+
+    expect(chrome.alarms.create).toHaveBeenCalledWith('scheduledScan', { delayInMinutes: 30, periodInMinutes: 30 });
+  });
+
+  it('should keep a matching alarm and clear it when scheduled scans are off', async () => {
+    chrome.alarms.get.mockImplementation(() => Promise.resolve({ name: 'scheduledScan', periodInMinutes: 30 }));
+    await scheduler.updateSchedule();
+    expect(chrome.alarms.create).not.toHaveBeenCalled();
+
+    syncStore.autoScan = false;
+    await scheduler.handleStorageChange({ autoScan: { newValue: false } }, 'sync');
+    expect(chrome.alarms.clear).toHaveBeenCalledWith('scheduledScan');
+  });
+
+  it('should open a pinned background tab, run an incremental scan and close the tab', async () => {
+    await scheduler.handleAlarm({ name: 'scheduledScan' });
+    const [running] = await scheduler.getScanHistory();
+
+    expect(chrome.tabs.create).toHaveBeenCalledWith({
+      url: 'https://www.linkedin.com/my-items/saved-posts/',
+      active: false,
+      pinned: true
+    });
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, {
+      type: 'START_SCAN',
+      options: { incremental: true, runId: running.id }
+    });
+    expect(running.status).toBe('running');
+    expect(chrome.tabs.remove).not.toHaveBeenCalled();
+
+    await scheduler.handleScanCompleted(running.id, scanResult);
+    const history = await scheduler.getScanHistory();
+
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ id: running.id, status: 'completed', count: 2, newPostsCount: 1, exported: false });
+    expect(exportPosts).not.toHaveBeenCalled();
+    expect(chrome.tabs.remove).toHaveBeenCalledWith(7);
+    expect(await scheduler.getActiveRun()).toBeNull();
+  });
+
+  it('should reuse an open tab of the source and export when auto export is on', async () => {
+    syncStore.autoExport = true;
+    syncStore.scanSourceUrl = 'https://www.linkedin.com/feed/hashtag/genai/';
+    chrome.tabs.query.mockImplementation(() => Promise.resolve([
+      { id: 3, url: 'https://www.linkedin.com/feed/' },
+      { id: 4, url: 'https://www.linkedin.com/feed/hashtag/genai' }
+    ]));
+
+    const running = await scheduler.runScheduledScan();
+    const entry = await scheduler.handleScanCompleted(running.id, scanResult);
+
+    expect(chrome.tabs.create).not.toHaveBeenCalled();
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(4, expect.objectContaining({ type: 'START_SCAN' }));
+    expect(exportPosts).toHaveBeenCalledWith(scanResult.posts);
+    expect(entry).toMatchObject({ source: 'https://www.linkedin.com/feed/hashtag/genai/', exported: true, exportedCount: 2 });
+    expect(chrome.tabs.remove).not.toHaveBeenCalled();
+  });
+
+  it('should skip a run while the previous scan has not reported back', async () => {
+    const running = await scheduler.runScheduledScan();
+
+    // A restarted service worker only has the run kept in storage
+    const restarted = new ScanScheduler(exportPosts);
+    expect(await restarted.runScheduledScan()).toBeNull();
+
+    const entry = await restarted.handleScanCompleted(running.id, scanResult);
+    expect(entry).toMatchObject({ status: 'completed', count: 2 });
+    expect(await restarted.handleScanCompleted('scan_unknown', scanResult)).toBeNull();
+  });
+
+  it('should fail a run that never reported back and start a new one', async () => {
+    const stale = await scheduler.runScheduledScan();
+    localStore.scheduledScanRun.entry.startedAt = new Date(Date.now() - scheduler.runTimeout - 1000).toISOString();
+
+    const next = await scheduler.runScheduledScan();
+    const history = await scheduler.getScanHistory();
+
+    expect(next.id).not.toBe(stale.id);
+    expect(history.find(entry => entry.id === stale.id)).toMatchObject({
+      status: 'failed',
+      error: 'Scan did not report back from the LinkedIn tab'
+    });
+    expect(chrome.tabs.remove).toHaveBeenCalledWith(7);
+  });
+
+  it('should record failed runs and keep only the latest entries', async () => {
+    scheduler.maxHistoryEntries = 2;
+    chrome.tabs.sendMessage.mockImplementation((tabId, message) => Promise.resolve(
+      message.type === 'PING' ? { initialized: true } : { error: 'Scan failed: Scanner not initialized' }
+    ));
+
+    await scheduler.runScheduledScan();
+    await scheduler.runScheduledScan();
+    await scheduler.runScheduledScan();
+
+    const history = await scheduler.getScanHistory();
+    expect(history).toHaveLength(2);
+    expect(history[0]).toMatchObject({ status: 'failed', error: 'Scan failed: Scanner not initialized' });
+    expect(chrome.tabs.remove).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit tests for SelectorDiagnostics class
+ * Tests per selector match counts, fallback positions and flagging of empty fields
+ */
+
+import { SelectorDiagnostics } from '../../content/selector-diagnostics.js';
+import { LinkedInSelectors } from '../../utils/linkedin-selectors.js';
+import { PostExtractor } from '../../content/post-extractor.js';
+
+// Two posts in newer markup, one in the older markup and one whose author markup is unknown
+const postMarkup = (id, authorHtml, likes = '') => `
+  <div class="feed-shared-update-v2" data-id="urn:li:activity:${id}">
+    ${authorHtml}
+    <div class="feed-shared-text"><span class="break-words">Post ${id}</span></div>
+    ${likes ? `<span class="social-counts-reactions__count">${likes}</span>` : ''}
+  </div>`;
+
+describe('SelectorDiagnostics', () => {
+  let selectors;
+  let diagnostics;
+
+  const findGroup = (report, name) => report.groups.find(group => group.group === name);
+  const findField = (report, name) => report.fields.find(field => field.field === name);
+
+  beforeEach(() => {
+    document.body.innerHTML = [
+      postMarkup(1, '<span class="update-components-actor__name">Ada</span>', '12'),
+      postMarkup(2, '<span class="update-components-actor__name">Grace</span>'),
+      postMarkup(3, '<span class="feed-shared-actor__name">Linus</span>'),
+      postMarkup(4, '<span class="actor-v3__name">Margaret</span>')
+    ].join('');
+
+    selectors = new LinkedInSelectors();
+    diagnostics = new SelectorDiagnostics(selectors, new PostExtractor({}, selectors));
+  });
+
+  it('should count matches and winning fallback positions per selector', () => {
+    const report = diagnostics.run();
+    const authorNames = findGroup(report, 'contentSelectors.author.name');
+
+    expect(report.postCount).toBe(4);
+    expect(authorNames.scope).toBe('post');
+    expect(authorNames.unmatchedPosts).toBe(1);
+    expect(authorNames.selectors.map(result => result.firstMatch)).toEqual([1, 2, 0, 0, 0, 0]);
+    expect(authorNames.selectors[1]).toMatchObject({ selector: '.update-components-actor__name', matches: 2, postsMatched: 2 });
+    expect(authorNames.flagged).toBe(false);
+
+    expect(findGroup(report, 'postSelectors')).toMatchObject({ scope: 'page', firstMatchingPosition: 0 });
+    expect(findGroup(report, 'postSelectors').selectors[0].matches).toBe(4);
+    expect(report.groups.some(group => group.group.endsWith('checkpointPaths'))).toBe(false);
+  });
+
+  it('should flag fields and post selector groups empty for most posts', () => {
+    const report = diagnostics.run();
+
+    expect(findField(report, 'likes')).toMatchObject({ field: 'likes', emptyPosts: 3, emptyRate: 0.75, flagged: true });
+    expect(findField(report, 'authorName')).toMatchObject({ emptyPosts: 1, flagged: false });
+    expect(findGroup(report, 'contentSelectors.metrics.likes')).toMatchObject({ unmatchedPosts: 3, flagged: true });
+    expect(report.flagged).toEqual(expect.arrayContaining(['likes', 'contentSelectors.metrics.likes']));
+    expect(report.flagged).not.toContain('authorName');
+  });
+
+  it('should report fields the heuristics filled after the selectors drifted', () => {
+    document.body.innerHTML = [5, 6].map(id => postMarkup(id, `
+      <a href="https://www.linkedin.com/in/ada-${id}" aria-label="View Ada ${id}’s profile"><span>Ada ${id}</span></a>`)).join('');
+
+    const report = diagnostics.run();
+
+    expect(findField(report, 'authorName')).toMatchObject({
+      emptyPosts: 0,
+      heuristicPosts: 2,
+      drifted: true,
+      strategies: { 'aria-label': 2 }
+    });
+    expect(findField(report, 'content')).toMatchObject({ heuristicPosts: 0, drifted: false, strategies: { selector: 2 } });
+    expect(report.drifted).toEqual(['authorName']);
+  });
+
+  it('should apply a custom threshold and report the active selector pack', () => {
+    selectors.applySelectorPack({
+      schemaVersion: 1,
+      name: 'team',
+      version: '1.2.0',
+      selectors: { contentSelectors: { author: { name: ['.actor-v3__name'] } } }
+    }, 'url');
+
+    const report = diagnostics.run({ threshold: 0.2 });
+
+    expect(report.selectorPack).toEqual({ name: 'team', version: '1.2.0', source: 'url' });
+    expect(findGroup(report, 'contentSelectors.author.name').unmatchedPosts).toBe(0);
+    expect(findGroup(report, 'contentSelectors.author.name').selectors[0].firstMatch).toBe(1);
+    expect(findField(report, 'authorName')).toMatchObject({ emptyPosts: 0, flagged: false });
+    expect(findField(report, 'likes').flagged).toBe(true);
+  });
+
+  it('should report the selector position extraction used for each field', () => {
+    const report = diagnostics.run();
+
+    expect(findField(report, 'authorName')).toMatchObject({
+      group: 'contentSelectors.author.name',
+      positions: [
+        { position: 0, selector: '.feed-shared-actor__name', posts: 1 },
+        { position: 1, selector: '.update-components-actor__name', posts: 2 }
+      ]
+    });
+    expect(findField(report, 'likes').positions).toEqual([
+      { position: 0, selector: '.social-counts-reactions__count', posts: 1 }
+    ]);
+    expect(findGroup(report, 'contentSelectors.author.name').field).toBe('authorName');
+  });
+
+  it('should count the selector extraction used, not the first one matching anywhere in the post', () => {
+    // The content selector matches inside the embedded post only, which extraction skips
+    document.body.innerHTML = `
+      <div class="feed-shared-update-v2" data-id="urn:li:activity:7">
+        <span class="update-components-actor__name">Ada</span>
+        <div class="update-components-text">Commentary on the original post</div>
+        <div class="update-components-mini-update-v2"><div class="feed-shared-text">Original post text</div></div>
+      </div>`;
+
+    const report = diagnostics.run();
+    const text = findGroup(report, 'contentSelectors.text');
+
+    expect(text.selectors[0]).toMatchObject({ selector: '.feed-shared-text', matches: 1, firstMatch: 0 });
+    expect(text.selectors[1]).toMatchObject({ selector: '.update-components-text', firstMatch: 1 });
+    expect(findField(report, 'content').positions).toEqual([
+      { position: 1, selector: '.update-components-text', posts: 1 }
+    ]);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for SelectorPackManager class
+ * Tests choosing the active pack, file and URL imports and version pinning
+ */
+
+import { SelectorPack } from '../../utils/selector-pack.js';
+
+require('../../background/selector-pack-manager.js');
+
+const SelectorPackManager = self.SelectorPackManager;
+const bundledPack = require('../../assets/selector-packs/default.json');
+
+const remotePack = {
+  schemaVersion: 1,
+  name: 'team',
+  version: '1.4.0',
+  selectors: { postSelectors: ['div[data-urn^="urn:li:activity"]'] }
+};
+
+describe('SelectorPackManager', () => {
+  let syncStore;
+  let localStore;
+  let manager;
+
+  beforeEach(() => {
+    syncStore = {};
+    localStore = {};
+
+    chrome.storage.sync.get.mockImplementation((keys) => {
+      const result = {};
+      [].concat(keys).forEach(key => { if (key in syncStore) result[key] = syncStore[key]; });
+      return Promise.resolve(result);
+    });
+    chrome.storage.local.get.mockImplementation((key) => Promise.resolve({ [key]: localStore[key] }));
+    chrome.storage.local.set.mockImplementation((items) => {
+      Object.assign(localStore, JSON.parse(JSON.stringify(items)));
+      return Promise.resolve();
+    });
+    chrome.storage.local.remove.mockImplementation((key) => {
+      delete localStore[key];
+      return Promise.resolve();
+    });
+    chrome.runtime.getURL.mockImplementation((path) => `chrome-extension://test/${path}`);
+
+    fetch.mockImplementation((url) => Promise.resolve({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve(url.startsWith('chrome-extension://') ? bundledPack : remotePack)
+    }));
+
+    manager = new SelectorPackManager(new SelectorPack(), '1.0.0');
+  });
+
+  it('should use the bundled pack until another one is imported', async () => {
+    const info = await manager.getPackInfo();
+
+    expect(info).toMatchObject({ name: 'default', version: bundledPack.version, source: 'bundled', pinnedVersion: null });
+    expect(fetch).toHaveBeenCalledWith('chrome-extension://test/assets/selector-packs/default.json');
+  });
+
+  it('should import a pack from a file without going online', async () => {
+    const info = await manager.importPack({ ...remotePack, name: 'local' }, 'file');
+
+    expect(info).toMatchObject({ name: 'local', version: '1.4.0', source: 'file' });
+    expect(fetch).not.toHaveBeenCalled();
+    expect((await manager.getActivePack()).pack.name).toBe('local');
+  });
+
+  it('should reject invalid packs and keep the current one', async () => {
+    await expect(manager.importPack({ ...remotePack, version: 'next' }))
+      .rejects.toThrow('Invalid selector pack: version must look like "1.2.3"');
+
+    expect((await manager.getPackInfo()).source).toBe('bundled');
+  });
+
+  it('should download packs from the configured URL', async () => {
+    syncStore.selectorPackUrl = 'https://example.com/pack.json';
+
+    await manager.init();
+
+    expect(fetch).toHaveBeenCalledWith('https://example.com/pack.json', { cache: 'no-store' });
+    expect(await manager.getPackInfo()).toMatchObject({ name: 'team', source: 'url', url: 'https://example.com/pack.json' });
+    await expect(manager.refreshFromUrl('http://example.com/pack.json')).rejects.toThrow('must use https');
+  });
+
+  it('should only accept the pinned pack version', async () => {
+    await manager.importPack(remotePack, 'url', 'https://example.com/pack.json');
+    syncStore.selectorPackPinnedVersion = '1.3.0';
+
+    await expect(manager.importPack({ ...remotePack, version: '1.5.0' }, 'url'))
+      .rejects.toThrow('Selector pack version 1.5.0 does not match the pinned version 1.3.0');
+    expect(await manager.getPackInfo()).toMatchObject({ source: 'bundled', pinnedVersion: '1.3.0' });
+
+    syncStore.selectorPackPinnedVersion = '1.4.0';
+    expect(await manager.getPackInfo()).toMatchObject({ name: 'team', version: '1.4.0', source: 'url' });
+  });
+
+  it('should stop serving a pack that a content script rejected', async () => {
+    await manager.importPack(remotePack, 'url', 'https://example.com/pack.json');
+    const { importedAt } = await manager.getActivePack();
+    const errors = ['selectors.postSelectors[0] is not a valid CSS selector: div >> span'];
+
+    expect(await manager.recordRejection('2000-01-01T00:00:00.000Z', errors)).toBe(false);
+    expect(await manager.recordRejection(importedAt, errors)).toBe(true);
+
+    expect((await manager.getActivePack()).source).toBe('bundled');
+    expect(await manager.getPackInfo()).toMatchObject({
+      source: 'bundled',
+      rejected: { name: 'team', version: '1.4.0', errors: errors }
+    });
+  });
+
+  it('should reject imported packs that change click targets', async () => {
+    const pack = { ...remotePack, selectors: { contentSelectors: { comments: { openButton: ['button.like'] } } } };
+
+    await expect(manager.importPack(pack, 'url')).rejects.toThrow('can only be set by the bundled pack');
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for SelectorPack class
+ * Tests pack validation, version checks and merging over the built-in selectors
+ */
+
+import { SelectorPack } from '../../utils/selector-pack.js';
+import { LinkedInSelectors } from '../../utils/linkedin-selectors.js';
+
+const bundledPack = require('../../assets/selector-packs/default.json');
+
+const createPack = (selectors, overrides = {}) => ({
+  schemaVersion: 1,
+  name: 'test',
+  version: '2.1.0',
+  selectors: selectors,
+  ...overrides
+});
+
+describe('SelectorPack', () => {
+  let packs;
+
+  beforeEach(() => {
+    packs = new SelectorPack();
+  });
+
+  describe('validate', () => {
+    it('should accept the bundled pack', () => {
+      expect(packs.validate(bundledPack, '1.0.0')).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should report missing metadata and unknown or malformed selectors', () => {
+      const { valid, errors } = packs.validate({
+        schemaVersion: 2,
+        version: 'latest',
+        selectors: {
+          postSelectors: [],
+          contentSelectors: { text: ['div >> span'], author: { avatar: ['img'] } },
+          blockedPageSelectors: { checkpointPaths: ['checkpoint'] },
+          footerSelectors: ['footer']
+        }
+      });
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual([
+        'Unsupported schemaVersion 2, expected 1',
+        'name must be a non-empty string',
+        'version must look like "1.2.3"',
+        'selectors.postSelectors must be a non-empty array',
+        'selectors.contentSelectors.text[0] is not a valid CSS selector: div >> span',
+        'selectors.contentSelectors.author.avatar is not a known selector type',
+        'selectors.blockedPageSelectors.checkpointPaths[0] must be a URL path starting with "/"',
+        'selectors.footerSelectors is not a known selector type'
+      ]);
+    });
+
+    it('should reject packs that need a newer extension', () => {
+      const pack = createPack({ postSelectors: ['article'] }, { minExtensionVersion: '1.10.0' });
+
+      expect(packs.validate(pack, '1.9.3').errors).toEqual(['Requires extension version 1.10.0 or newer, running 1.9.3']);
+      expect(packs.validate(pack, '1.10.0').valid).toBe(true);
+    });
+
+    it('should only let the bundled pack change what the scanner clicks', () => {
+      const pack = createPack({
+        contentSelectors: { seeMore: ['button.react-button'], comments: { loadMore: ['button.follow'] } },
+        savedPostsSelectors: { showMore: ['button.unsave'] }
+      });
+
+      expect(packs.validate(pack).errors).toEqual([
+        'selectors.contentSelectors.seeMore is clicked during scans and can only be set by the bundled pack',
+        'selectors.contentSelectors.comments.loadMore is clicked during scans and can only be set by the bundled pack',
+        'selectors.savedPostsSelectors.showMore is clicked during scans and can only be set by the bundled pack'
+      ]);
+      expect(packs.validate(pack, null, { bundled: true }).valid).toBe(true);
+    });
+
+    it('should allow selectors for new page types', () => {
+      const pack = createPack({ pagePostSelectors: { groups: ['.groups-feed div[data-urn]'] } });
+
+      expect(packs.validate(pack).valid).toBe(true);
+    });
+  });
+
+  describe('LinkedInSelectors.applySelectorPack', () => {
+    it('should try pack selectors first and keep the built-in ones as fallbacks', () => {
+      const selectors = new LinkedInSelectors();
+      const builtInNames = [...selectors.contentSelectors.author.name];
+      const builtInLikes = [...selectors.contentSelectors.metrics.likes];
+
+      const applied = selectors.applySelectorPack(createPack({
+        contentSelectors: { author: { name: ['.actor-name-v3', builtInNames[1]] } },
+        pagePostSelectors: { groups: ['.groups-feed div[data-urn]'] }
+      }), 'file');
+
+      expect(applied).toBe(true);
+      expect(selectors.activePack).toEqual({ name: 'test', version: '2.1.0', source: 'file' });
+      expect(selectors.getAllSelectors('author', 'name')).toEqual([
+        '.actor-name-v3',
+        builtInNames[1],
+        ...builtInNames.filter(name => name !== builtInNames[1])
+      ]);
+      expect(selectors.getAllSelectors('metrics', 'likes')).toEqual(builtInLikes);
+      expect(selectors.getPostSelectors('groups')[0]).toBe('.groups-feed div[data-urn]');
+    });
+
+    it('should keep the built-in selectors when the pack is invalid', () => {
+      const selectors = new LinkedInSelectors();
+      const builtInPosts = [...selectors.postSelectors];
+
+      expect(selectors.applySelectorPack(createPack({ postSelectors: 'article' }))).toBe(false);
+      expect(selectors.postSelectors).toEqual(builtInPosts);
+      expect(selectors.activePack).toBeNull();
+      expect(selectors.rejectedPack).toEqual({
+        name: 'test',
+        version: '2.1.0',
+        source: 'bundled',
+        errors: ['selectors.postSelectors must be a non-empty array']
+      });
+    });
+
+    it('should not apply click targets from an imported pack', () => {
+      const selectors = new LinkedInSelectors();
+      const builtInSeeMore = [...selectors.contentSelectors.seeMore];
+
+      expect(selectors.applySelectorPack(createPack({ contentSelectors: { seeMore: ['button.react-button'] } }), 'url')).toBe(false);
+      expect(selectors.contentSelectors.seeMore).toEqual(builtInSeeMore);
+    });
+  });
+});
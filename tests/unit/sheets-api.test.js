@@ -0,0 +1,306 @@
+/**
+ * Unit tests for SheetsAPI class
+ * Tests Google Sheets export request building
+ */
+
+import { DataFormatter } from '../../utils/data-formatter.js';
+
+require('../../background/sheets-api.js');
+
+const SheetsAPI = self.SheetsAPI;
+
+/**
+ * Build a fetch response mock
+ */
+const jsonResponse = (body, ok = true) => ({
+  ok: ok,
+  status: ok ? 200 : 500,
+  statusText: ok ? 'OK' : 'Server Error',
+  json: () => Promise.resolve(body)
+});
+
+describe('SheetsAPI', () => {
+  let sheetsAPI;
+
+  beforeEach(() => {
+    sheetsAPI = new SheetsAPI(new DataFormatter());
+    sheetsAPI.setAuthManager({
+      getAuthHeaders: jest.fn().mockResolvedValue({ Authorization: 'Bearer token' })
+    });
+  });
+
+  const buildPost = (id, likes) => ({
+    id: id,
+    url: `https://www.linkedin.com/feed/update/${id}`,
+    author: { name: 'John Doe' },
+    content: { text: 'Post content', hashtags: [], mentions: [] },
+    metrics: { likes: likes, comments: 1, shares: 0, views: 0, engagementRate: 0 },
+    extractedAt: '2024-01-02T00:00:00.000Z'
+  });
+
+  const sheetRow = (post) => sheetsAPI.formatPostsForSheets([post])[0];
+
+  describe('exportPosts', () => {
+    it('should append new posts after existing rows and update known ones', async () => {
+      const known = buildPost('urn:li:activity:1', 10);
+      const unchanged = buildPost('urn:li:activity:2', 5);
+
+      fetch
+        .mockResolvedValueOnce(jsonResponse({
+          values: [sheetRow(buildPost('urn:li:activity:1', 3)), sheetRow(unchanged)]
+        }))
+        .mockResolvedValueOnce(jsonResponse({}))  // values:batchUpdate
+        .mockResolvedValueOnce(jsonResponse({}))  // new rows
+        .mockResolvedValueOnce(jsonResponse({})); // auto-resize
+
+      const result = await sheetsAPI.exportPosts(
+        [known, unchanged, buildPost('urn:li:activity:3', 0)],
+        'sheet-1'
+      );
+
+      expect(result).toMatchObject({ created: 1, updated: 1, unchanged: 1, exportedCount: 2 });
+
+      const [batchUrl, batchOptions] = fetch.mock.calls[1];
+      expect(batchUrl).toContain('sheet-1/values:batchUpdate');
+      const ranges = JSON.parse(batchOptions.body).data.map(entry => entry.range);
+      expect(ranges).toEqual(['M2:Q2', 'AA2:AH2', 'AO2:AT2']);
+
+      const [appendUrl] = fetch.mock.calls[2];
+      expect(decodeURIComponent(appendUrl)).toContain('A4:BC4');
+    });
+
+    it('should refresh only the Extracted Date of rows whose metrics did not change', async () => {
+      const rescanned = { ...buildPost('urn:li:activity:2', 5), extractedAt: '2024-03-01T00:00:00.000Z' };
+
+      fetch
+        .mockResolvedValueOnce(jsonResponse({ values: [sheetRow(buildPost('urn:li:activity:2', 5))] }))
+        .mockResolvedValueOnce(jsonResponse({}))  // values:batchUpdate
+        .mockResolvedValueOnce(jsonResponse({})); // auto-resize
+
+      const result = await sheetsAPI.exportPosts([rescanned], 'sheet-1');
+
+      expect(result).toMatchObject({ created: 0, updated: 0, unchanged: 1 });
+
+      const [batchUrl, batchOptions] = fetch.mock.calls[1];
+      expect(batchUrl).toContain('sheet-1/values:batchUpdate');
+
+      const column = sheetsAPI.numberToColumn(sheetsAPI.getHeaders().indexOf('Extracted Date') + 1);
+      const data = JSON.parse(batchOptions.body).data;
+      expect(data).toEqual([{
+        range: `${column}2:${column}2`,
+        majorDimension: 'ROWS',
+        values: [[sheetRow(rescanned)[sheetsAPI.getHeaders().indexOf('Extracted Date')]]]
+      }]);
+    });
+
+    it('should only write duplicate post IDs once per export', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({}))
+        .mockResolvedValueOnce(jsonResponse({}))
+        .mockResolvedValueOnce(jsonResponse({}));
+
+      const post = buildPost('urn:li:activity:9', 1);
+      const result = await sheetsAPI.exportPosts([post, post], 'sheet-1');
+
+      expect(result.created).toBe(1);
+    });
+
+    it('should append every post in append mode', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({ values: [['Post ID']] }))
+        .mockResolvedValueOnce(jsonResponse({}))
+        .mockResolvedValueOnce(jsonResponse({}));
+
+      const result = await sheetsAPI.exportPosts(
+        [buildPost('urn:li:activity:1', 1)],
+        'sheet-1',
+        { mode: 'append' }
+      );
+
+      expect(result).toMatchObject({ created: 1, updated: 0, unchanged: 0 });
+      expect(decodeURIComponent(fetch.mock.calls[0][0])).toContain('/values/A:A');
+    });
+
+    it('should write to the named tab and resize its grid', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({
+          spreadsheetId: 'sheet-1',
+          properties: { title: 'Workbook' },
+          sheets: [
+            { properties: { sheetId: 0, title: 'Summary', gridProperties: { rowCount: 10, columnCount: 5 } } },
+            { properties: { sheetId: 42, title: 'LinkedIn Posts', gridProperties: { rowCount: 10, columnCount: sheetsAPI.getHeaders().length } } }
+          ]
+        }))
+        .mockResolvedValueOnce(jsonResponse({}))
+        .mockResolvedValueOnce(jsonResponse({}))
+        .mockResolvedValueOnce(jsonResponse({}));
+
+      const result = await sheetsAPI.exportPosts(
+        [buildPost('urn:li:activity:1', 1)],
+        'sheet-1',
+        { sheetName: 'LinkedIn Posts' }
+      );
+
+      expect(result.sheetName).toBe('LinkedIn Posts');
+      expect(decodeURIComponent(fetch.mock.calls[1][0])).toContain("'LinkedIn Posts'!A2:BC");
+      expect(decodeURIComponent(fetch.mock.calls[2][0])).toContain("'LinkedIn Posts'!A2:BC2");
+
+      const resizeRequest = JSON.parse(fetch.mock.calls[3][1].body);
+      expect(resizeRequest.requests[0].autoResizeDimensions.dimensions.sheetId).toBe(42);
+    });
+
+    it('should widen a tab created with 26 columns and rewrite its headers', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({
+          spreadsheetId: 'sheet-1',
+          properties: { title: 'Workbook' },
+          sheets: [
+            { properties: { sheetId: 42, title: 'LinkedIn Posts', gridProperties: { rowCount: 1000, columnCount: 26 } } }
+          ]
+        }))
+        .mockResolvedValue(jsonResponse({}));
+
+      await sheetsAPI.exportPosts([buildPost('urn:li:activity:1', 1)], 'sheet-1', { sheetName: 'LinkedIn Posts' });
+
+      const appendRequest = JSON.parse(fetch.mock.calls[1][1].body);
+      expect(appendRequest.requests[0].appendDimension).toEqual({
+        sheetId: 42,
+        dimension: 'COLUMNS',
+        length: sheetsAPI.getHeaders().length - 26
+      });
+
+      const [headerUrl, headerOptions] = fetch.mock.calls[2];
+      expect(decodeURIComponent(headerUrl)).toContain("'LinkedIn Posts'!A1:BC1");
+      expect(JSON.parse(headerOptions.body).values[0]).toEqual(sheetsAPI.getHeaders());
+
+      // Rows are only written once the tab is wide enough
+      const rowCall = fetch.mock.calls.findIndex(([url]) => decodeURIComponent(url).includes("'LinkedIn Posts'!A2:BC2"));
+      expect(rowCall).toBeGreaterThan(2);
+    });
+
+    it('should create a missing tab with headers before exporting', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({
+          spreadsheetId: 'sheet-1',
+          properties: { title: 'Workbook' },
+          sheets: [
+            { properties: { sheetId: 0, title: 'Summary', gridProperties: { rowCount: 10, columnCount: 5 } } }
+          ]
+        }))
+        .mockResolvedValueOnce(jsonResponse({ replies: [{ addSheet: { properties: { sheetId: 7 } } }] }))
+        .mockResolvedValue(jsonResponse({}));
+
+      await sheetsAPI.exportPosts([buildPost('urn:li:activity:1', 1)], 'sheet-1', { sheetName: 'Saved' });
+
+      const addRequest = JSON.parse(fetch.mock.calls[1][1].body);
+      expect(addRequest.requests[0].addSheet.properties.title).toBe('Saved');
+
+      expect(decodeURIComponent(fetch.mock.calls[2][0])).toContain("'Saved'!A1:BC1");
+
+      const formatRequest = JSON.parse(fetch.mock.calls[3][1].body);
+      expect(formatRequest.requests[0].repeatCell.range.sheetId).toBe(7);
+    });
+
+    it('should reject empty exports', async () => {
+      await expect(sheetsAPI.exportPosts([], 'sheet-1')).rejects.toThrow('No posts to export');
+    });
+  });
+
+  describe('formatPostsForSheets', () => {
+    it('should write reaction breakdown columns', () => {
+      const post = buildPost('urn:li:activity:1', 20);
+      post.metrics.reactions = { like: 12, celebrate: 5, support: 0, love: 1, insightful: 2, funny: 0 };
+      post.metrics.topReactions = ['like', 'celebrate', 'insightful'];
+
+      const row = sheetRow(post);
+      const headers = sheetsAPI.getHeaders();
+
+      expect(row).toHaveLength(headers.length);
+      expect(row[headers.indexOf('Celebrate Reactions')]).toBe(5);
+      expect(row[headers.indexOf('Insightful Reactions')]).toBe(2);
+      expect(row[headers.indexOf('Top Reactions')]).toBe('like, celebrate, insightful');
+    });
+
+    it('should write poll options with their vote percentages', () => {
+      const post = buildPost('urn:li:activity:1', 20);
+      post.poll = {
+        question: 'Which editor do you use?',
+        options: [
+          { label: 'VS Code', percentage: 62, votes: 744 },
+          { label: 'Vim', percentage: 38, votes: 456 }
+        ],
+        totalVotes: 1200,
+        isClosed: true
+      };
+
+      const row = sheetRow(post);
+      const headers = sheetsAPI.getHeaders();
+
+      expect(row).toHaveLength(headers.length);
+      expect(row[headers.indexOf('Poll Question')]).toBe('Which editor do you use?');
+      expect(row[headers.indexOf('Poll Option 1')]).toBe('VS Code (62%)');
+      expect(row[headers.indexOf('Poll Option 2')]).toBe('Vim (38%)');
+      expect(row[headers.indexOf('Poll Option 3')]).toBe('');
+      expect(row[headers.indexOf('Poll Total Votes')]).toBe(1200);
+      expect(row[headers.indexOf('Poll Closed')]).toBe('Yes');
+    });
+
+    it('should write document and image alt text columns', () => {
+      const post = buildPost('urn:li:activity:1', 20);
+      post.media = {
+        hasMedia: true,
+        images: [{ url: 'https://media.licdn.com/a.jpg', alt: 'Slide cover' }, { url: 'https://media.licdn.com/b.jpg', alt: 'Chart' }],
+        videos: [],
+        documents: [{ url: 'https://www.linkedin.com/embeds/document/1', title: 'Hiring guide', pageCount: 20 }]
+      };
+
+      const row = sheetRow(post);
+      const headers = sheetsAPI.getHeaders();
+
+      expect(row[headers.indexOf('Document Title')]).toBe('Hiring guide');
+      expect(row[headers.indexOf('Document Pages')]).toBe(20);
+      expect(row[headers.indexOf('Image Alt Text')]).toBe('Slide cover | Chart');
+    });
+
+    it('should write the article card and all link URLs', () => {
+      const post = buildPost('urn:li:activity:1', 20);
+      post.links = [
+        { url: 'https://news.example.com/story', type: 'article', title: 'The big story', domain: 'news.example.com' },
+        { url: 'https://example.com/notes', type: 'inline', title: '', domain: 'example.com' }
+      ];
+
+      const row = sheetRow(post);
+      const headers = sheetsAPI.getHeaders();
+
+      expect(row[headers.indexOf('Article URL')]).toBe('https://news.example.com/story');
+      expect(row[headers.indexOf('Article Title')]).toBe('The big story');
+      expect(row[headers.indexOf('Article Source')]).toBe('news.example.com');
+      expect(row[headers.indexOf('Links')]).toBe('https://news.example.com/story\nhttps://example.com/notes');
+    });
+
+    it('should describe where the post was scanned from', () => {
+      const post = buildPost('urn:li:activity:1', 20);
+      const headers = sheetsAPI.getHeaders();
+
+      post.source = { type: 'hashtag', hashtag: '#genai', url: 'https://www.linkedin.com/feed/hashtag/genai/' };
+      expect(sheetRow(post)[headers.indexOf('Source')]).toBe('hashtag: #genai');
+
+      post.source = { type: 'feed', url: 'https://www.linkedin.com/feed/' };
+      expect(sheetRow(post)[headers.indexOf('Source')]).toBe('feed');
+    });
+  });
+
+  describe('qualifyRange', () => {
+    it('should quote tab titles and escape apostrophes', () => {
+      expect(sheetsAPI.qualifyRange("Team's Posts", 'A1:B2')).toBe("'Team''s Posts'!A1:B2");
+      expect(sheetsAPI.qualifyRange(null, 'A1:B2')).toBe('A1:B2');
+    });
+  });
+
+  describe('numberToColumn', () => {
+    it('should convert column numbers to letters', () => {
+      expect(sheetsAPI.numberToColumn(1)).toBe('A');
+      expect(sheetsAPI.numberToColumn(27)).toBe('AA');
+    });
+  });
+});
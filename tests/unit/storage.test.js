@@ -3,7 +3,12 @@
  * Tests Chrome storage API wrapper functionality
  */
 
+import 'fake-indexeddb/auto';
 import { Storage } from '../../utils/storage.js';
+import { PostLibrary } from '../../utils/post-library.js';
+
+// jsdom does not expose structuredClone, which fake-indexeddb uses to store values
+global.structuredClone = global.structuredClone || (value => JSON.parse(JSON.stringify(value)));
 
 describe('Storage', () => {
   let storage;
@@ -233,63 +238,103 @@ describe('Storage', () => {
   });
 
   describe('posts management', () => {
-    it('should get posts from local storage', async () => {
+    let postLibrary;
+
+    beforeEach(() => {
+      postLibrary = {
+        upsertPosts: jest.fn().mockResolvedValue({ created: 1, updated: 0 }),
+        getAllPosts: jest.fn().mockResolvedValue([]),
+        queryPosts: jest.fn().mockResolvedValue({ posts: [], total: 0 }),
+        clear: jest.fn().mockResolvedValue(true),
+        getPostIdsBySource: jest.fn().mockResolvedValue(['post1'])
+      };
+      storage = new Storage(postLibrary);
+    });
+
+    it('should get posts from the post library', async () => {
       const mockPosts = [testUtils.createMockPostData()];
-      chrome.storage.local.get.mockResolvedValue({ posts: mockPosts });
+      postLibrary.getAllPosts.mockResolvedValue(mockPosts);
 
       const posts = await storage.getPosts();
 
-      expect(chrome.storage.local.get).toHaveBeenCalledWith(['posts']);
       expect(posts).toEqual(mockPosts);
     });
 
     it('should return empty array when no posts stored', async () => {
-      chrome.storage.local.get.mockResolvedValue({});
-
       const posts = await storage.getPosts();
 
       expect(posts).toEqual([]);
     });
 
-    it('should save posts to local storage', async () => {
+    it('should pass paged queries to the post library', async () => {
+      const query = { index: 'author', value: 'John Doe', offset: 20, limit: 10 };
+
+      await storage.getPosts(query);
+
+      expect(postLibrary.queryPosts).toHaveBeenCalledWith(query);
+    });
+
+    it('should upsert saved posts into the post library', async () => {
       const mockPosts = [testUtils.createMockPostData()];
 
       await storage.savePosts(mockPosts);
 
-      expect(chrome.storage.local.set).toHaveBeenCalledWith({ posts: mockPosts });
+      expect(postLibrary.upsertPosts).toHaveBeenCalledWith(mockPosts);
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
     });
 
     it('should add single post', async () => {
-      const existingPosts = [testUtils.createMockPostData({ id: 'post1' })];
       const newPost = testUtils.createMockPostData({ id: 'post2' });
-      
-      chrome.storage.local.get.mockResolvedValue({ posts: existingPosts });
 
       await storage.addPost(newPost);
 
-      expect(chrome.storage.local.set).toHaveBeenCalledWith({
-        posts: [...existingPosts, newPost]
-      });
+      expect(postLibrary.upsertPosts).toHaveBeenCalledWith([newPost]);
     });
 
     it('should not add duplicate posts', async () => {
-      const existingPost = testUtils.createMockPostData({ id: 'post1' });
-      const existingPosts = [existingPost];
-      
-      chrome.storage.local.get.mockResolvedValue({ posts: existingPosts });
+      const library = new PostLibrary(`storage-test-library-${Date.now()}`);
+      storage = new Storage(library);
+      const post = testUtils.createMockPostData({ id: 'post1' });
 
-      await storage.addPost(existingPost);
+      await storage.addPost(post);
+      await storage.addPost({ ...post, content: 'Edited content' });
 
-      // Should not add duplicate
-      expect(chrome.storage.local.set).toHaveBeenCalledWith({
-        posts: existingPosts
-      });
+      const posts = await storage.getPosts();
+      expect(posts).toHaveLength(1);
+      expect(posts[0].content).toBe('Edited content');
     });
 
     it('should clear all posts', async () => {
       await storage.clearPosts();
 
-      expect(chrome.storage.local.remove).toHaveBeenCalledWith(['posts']);
+      expect(postLibrary.clear).toHaveBeenCalled();
+    });
+
+    it('should look up known posts by source key', async () => {
+      const ids = await storage.getKnownPostIds({ type: 'profileActivity', profile: 'Jane-Doe' });
+
+      expect(postLibrary.getPostIdsBySource).toHaveBeenCalledWith('profileActivity:jane-doe');
+      expect(ids).toEqual(['post1']);
+    });
+
+    it('should proxy to the background service without a local library', async () => {
+      const mockPosts = [testUtils.createMockPostData()];
+      chrome.runtime.sendMessage.mockResolvedValue({ success: true, data: mockPosts });
+
+      const posts = await new Storage().getPosts();
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+        type: 'POST_LIBRARY',
+        method: 'getAllPosts',
+        args: []
+      });
+      expect(posts).toEqual(mockPosts);
+    });
+
+    it('should surface post library errors from the background service', async () => {
+      chrome.runtime.sendMessage.mockResolvedValue({ error: 'Unknown post library method: drop' });
+
+      await expect(new Storage().callPostLibrary('drop')).rejects.toThrow('Unknown post library method');
     });
   });
 
@@ -357,22 +402,60 @@ describe('Storage', () => {
 
   describe('migration', () => {
     it('should migrate old data format', async () => {
+      const postLibrary = { upsertPosts: jest.fn().mockResolvedValue({ created: 2, updated: 0 }) };
+      storage = new Storage(postLibrary);
+
       const oldData = {
-        'linkedin-posts': [testUtils.createMockPostData()],
+        posts: [testUtils.createMockPostData({ id: 'post1' })],
+        'linkedin-posts': [testUtils.createMockPostData({ id: 'post2' })],
         'linkedin-settings': { autoScan: true }
       };
       
       chrome.storage.local.get.mockResolvedValue(oldData);
+      chrome.storage.sync.get.mockResolvedValue({});
 
       const migrated = await storage.migrateOldData();
 
       expect(migrated).toBe(true);
-      expect(chrome.storage.local.set).toHaveBeenCalledWith({
-        posts: oldData['linkedin-posts']
+      const migratedPosts = postLibrary.upsertPosts.mock.calls[0][0];
+      expect(migratedPosts.map(post => post.id)).toEqual(['post1', 'post2']);
+      expect(migratedPosts[0].migrated).toBe(true);
+      expect(chrome.storage.sync.set).toHaveBeenCalledWith({
+        settings: expect.objectContaining(oldData['linkedin-settings'])
+      });
+      expect(chrome.storage.local.remove).toHaveBeenCalledWith(['posts', 'linkedin-posts', 'linkedin-settings']);
+    });
+
+    it('should give legacy posts without an ID one instead of dropping them', async () => {
+      const postLibrary = { upsertPosts: jest.fn().mockResolvedValue({ created: 2, updated: 0 }) };
+      storage = new Storage(postLibrary);
+
+      chrome.storage.local.get.mockResolvedValue({
+        posts: [
+          { url: 'https://www.linkedin.com/feed/update/urn:li:activity:7151234567890123456/', content: { text: 'First' } },
+          { url: 'https://www.linkedin.com/feed/', content: { text: 'Second' } }
+        ]
+      });
+
+      await storage.migrateOldData();
+
+      const [migratedPosts] = postLibrary.upsertPosts.mock.calls[0];
+      expect(migratedPosts).toHaveLength(2);
+      expect(migratedPosts[0].id).toBe('urn:li:activity:7151234567890123456');
+      expect(migratedPosts[1].id).toMatch(/^post_legacy_\d+_1$/);
+      expect(chrome.storage.local.remove).toHaveBeenCalledWith(['posts', 'linkedin-posts', 'linkedin-settings']);
+    });
+
+    it('should migrate old settings without posts', async () => {
+      chrome.storage.local.get.mockResolvedValue({ 'linkedin-settings': { sheetName: 'Archive' } });
+      chrome.storage.sync.get.mockResolvedValue({ settings: { autoScan: true } });
+
+      const migrated = await storage.migrateOldData();
+
+      expect(migrated).toBe(true);
+      expect(chrome.storage.sync.set).toHaveBeenCalledWith({
+        settings: expect.objectContaining({ autoScan: true, sheetName: 'Archive' })
       });
-      expect(chrome.storage.sync.set).toHaveBeenCalledWith(
-        oldData['linkedin-settings']
-      );
     });
 
     it('should skip migration when no old data exists', async () => {
@@ -10,6 +10,21 @@ export class DataFormatter {
       readable: 'MMM DD, YYYY at HH:mm',
       short: 'MM/DD/YYYY'
     };
+
+    // LinkedIn's internal reaction names and the labels shown to users
+    this.reactionTypes = {
+      like: 'like',
+      celebrate: 'celebrate',
+      praise: 'celebrate',
+      support: 'support',
+      appreciation: 'support',
+      love: 'love',
+      empathy: 'love',
+      insightful: 'insightful',
+      interest: 'insightful',
+      funny: 'funny',
+      entertainment: 'funny'
+    };
   }
 
   /**
@@ -28,10 +43,37 @@ export class DataFormatter {
         media: this.formatMediaData(rawPostData.media),
         timestamp: this.formatTimestamp(rawPostData.timestamp),
         postType: this.determinePostType(rawPostData),
+        contentTruncated: Boolean(rawPostData.contentTruncated),
         extractedAt: new Date().toISOString(),
         platform: 'LinkedIn'
       };
 
+      if (rawPostData.timestampSource) {
+        formatted.timestamp.source = rawPostData.timestampSource;
+        formatted.timestamp.precision = rawPostData.timestampPrecision || 'approximate';
+      }
+
+      if (rawPostData.comments) {
+        formatted.comments = this.formatComments(rawPostData.comments);
+      }
+
+      if (rawPostData.poll) {
+        formatted.poll = this.formatPoll(rawPostData.poll);
+      }
+
+      if (rawPostData.repost) {
+        formatted.repost = this.formatRepost(rawPostData.repost);
+      }
+
+      if (rawPostData.links) {
+        formatted.links = this.formatLinks(rawPostData.links);
+        formatted.content.hasLinks = formatted.content.hasLinks || formatted.links.length > 0;
+      }
+
+      if (rawPostData.extractionStrategies) {
+        formatted.extractionStrategies = { ...rawPostData.extractionStrategies };
+      }
+
       // Validate required fields
       this.validatePostData(formatted);
       
@@ -93,7 +135,10 @@ export class DataFormatter {
       comments: this.parseNumber(metrics.comments),
       shares: this.parseNumber(metrics.shares),
       views: this.parseNumber(metrics.views),
-      reactions: this.formatReactions(metrics.reactions)
+      reactions: this.formatReactions(metrics.reactions),
+      topReactions: (metrics.topReactions || [])
+        .map(type => this.normalizeReactionType(type))
+        .filter(Boolean)
     };
 
     // Calculate engagement rate
@@ -102,6 +147,105 @@ export class DataFormatter {
     return formatted;
   }
 
+  /**
+   * Format comment threads
+   * @param {Array} comments - Raw comments with nested replies
+   * @returns {Array} Formatted comments
+   */
+  formatComments(comments) {
+    if (!Array.isArray(comments)) return [];
+
+    return comments.map(comment => ({
+      id: comment.id || null,
+      author: {
+        name: this.sanitizeString(comment.author?.name || 'Unknown'),
+        profileUrl: this.formatUrl(comment.author?.profileUrl)
+      },
+      text: this.sanitizeString(comment.text),
+      reactions: this.parseNumber(comment.reactions),
+      relativeTime: this.sanitizeString(comment.relativeTime),
+      replies: this.formatComments(comment.replies)
+    }));
+  }
+
+  /**
+   * Format poll data
+   * @param {object} poll - Raw poll data
+   * @returns {object} Formatted poll data
+   */
+  formatPoll(poll) {
+    return {
+      question: this.sanitizeString(poll.question),
+      options: (poll.options || []).map(option => ({
+        label: this.sanitizeString(option.label),
+        percentage: option.percentage ?? null,
+        votes: option.votes ?? null
+      })),
+      totalVotes: poll.totalVotes ?? null,
+      isClosed: Boolean(poll.isClosed)
+    };
+  }
+
+  /**
+   * Render a poll option for a single spreadsheet cell, e.g. "Yes (62%)"
+   * @param {object} poll - Formatted poll data
+   * @param {number} index - Option index
+   * @returns {string} Option label with its percentage
+   */
+  formatPollOption(poll, index) {
+    const option = poll?.options?.[index];
+    if (!option) return '';
+    return option.percentage !== null && option.percentage !== undefined
+      ? `${option.label} (${option.percentage}%)`
+      : option.label || '';
+  }
+
+  /**
+   * Get the article card URL, title and source for spreadsheet columns
+   * @param {Array} links - Formatted links
+   * @returns {Array} Article URL, title and source domain
+   */
+  formatArticleColumns(links) {
+    const article = (links || []).find(link => link.type === 'article');
+    return article ? [article.url || '', article.title || '', article.domain || ''] : ['', '', ''];
+  }
+
+  /**
+   * Describe where a post was scanned from, e.g. "hashtag: #genai"
+   * @param {object|null} source - Post source ({ type, profile, company, hashtag, query })
+   * @returns {string} Source description
+   */
+  formatSource(source) {
+    if (!source?.type) return '';
+    const detail = source.profile || source.company || source.hashtag || source.query || '';
+    return detail ? `${source.type}: ${detail}` : source.type;
+  }
+
+  /**
+   * Format repost data
+   * @param {object} repost - Raw repost data with the original post
+   * @returns {object} Formatted repost data
+   */
+  formatRepost(repost) {
+    return {
+      type: repost.type === 'quote' ? 'quote' : 'repost',
+      resharer: {
+        name: this.sanitizeString(repost.resharer?.name || 'Unknown'),
+        profile: this.formatUrl(repost.resharer?.profileUrl)
+      },
+      commentary: this.sanitizeString(repost.commentary),
+      original: {
+        urn: repost.original?.urn || null,
+        url: this.formatUrl(repost.original?.url),
+        author: this.formatAuthorData({
+          ...repost.original?.author,
+          profile: repost.original?.author?.profileUrl
+        }),
+        content: this.sanitizeString(repost.original?.content)
+      }
+    };
+  }
+
   /**
    * Format media data
    * @param {object} media - Raw media data
@@ -151,11 +295,13 @@ export class DataFormatter {
    * @returns {string} Post type
    */
   determinePostType(postData) {
+    if (postData.repost?.type === 'quote') return 'quote';
+    if (postData.repost) return 'repost';
+    if (postData.poll) return 'poll';
     if (postData.media?.videos?.length > 0) return 'video';
     if (postData.media?.images?.length > 1) return 'carousel';
     if (postData.media?.images?.length === 1) return 'image';
     if (postData.media?.documents?.length > 0) return 'document';
-    if (postData.content?.text?.includes('poll')) return 'poll';
     return 'text';
   }
 
@@ -267,6 +413,61 @@ export class DataFormatter {
     return urlRegex.test(text);
   }
 
+  /**
+   * Format extracted links
+   * @param {Array} links - Raw links
+   * @returns {Array} Formatted links
+   */
+  formatLinks(links) {
+    if (!Array.isArray(links)) return [];
+
+    return links.map(link => {
+      const url = this.formatUrl(this.unwrapRedirectUrl(link.url));
+
+      return {
+        url: url,
+        type: link.type || 'inline',
+        title: this.sanitizeString(link.title),
+        domain: link.domain || this.getDomain(url),
+        thumbnail: this.formatUrl(link.thumbnail)
+      };
+    }).filter(link => link.url);
+  }
+
+  /**
+   * Resolve LinkedIn's outbound redirect wrappers to the target URL
+   * lnkd.in short links are left as they are since resolving them needs a request.
+   * @param {string} url - Possibly wrapped URL
+   * @returns {string} Target URL
+   */
+  unwrapRedirectUrl(url) {
+    if (!url) return '';
+
+    try {
+      const parsed = new URL(url, 'https://www.linkedin.com');
+      const isRedirect = /(^|\.)linkedin\.com$/i.test(parsed.hostname) &&
+        /^\/(redir\/redirect|safety\/go)\/?$/i.test(parsed.pathname);
+      const target = isRedirect ? parsed.searchParams.get('url') : null;
+
+      return target ? this.unwrapRedirectUrl(target) : parsed.href;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Get the domain of a URL without its www. prefix
+   * @param {string} url - URL
+   * @returns {string} Domain
+   */
+  getDomain(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./i, '');
+    } catch (error) {
+      return '';
+    }
+  }
+
   /**
    * Basic sentiment analysis
    * @param {string} text - Input text
@@ -300,14 +501,27 @@ export class DataFormatter {
   formatReactions(reactions) {
     if (!reactions) return {};
     
-    const formatted = {};
+    const formatted = { like: 0, celebrate: 0, support: 0, love: 0, insightful: 0, funny: 0 };
     Object.keys(reactions).forEach(type => {
-      formatted[type] = this.parseNumber(reactions[type]);
+      const normalized = this.normalizeReactionType(type);
+      if (normalized) {
+        formatted[normalized] += this.parseNumber(reactions[type]);
+      }
     });
     
     return formatted;
   }
 
+  /**
+   * Map a reaction name to one of the six reaction types
+   * @param {string} type - Reaction name (e.g. 'PRAISE', 'Celebrate')
+   * @returns {string|null} Reaction type or null if unknown
+   */
+  normalizeReactionType(type) {
+    if (!type) return null;
+    return this.reactionTypes[String(type).trim().toLowerCase()] || null;
+  }
+
   /**
    * Calculate engagement rate
    * @param {object} metrics - Formatted metrics
@@ -329,9 +543,10 @@ export class DataFormatter {
   formatImageArray(images) {
     if (!Array.isArray(images)) return [];
     
-    return images.map((img, index) => ({
+    return images.map(img => ({
       url: this.formatUrl(img.url || img),
-      alt: this.sanitizeString(img.alt || `Image ${index + 1}`),
+      // Missing alt text stays empty, the Image Alt Text column must not carry made up text
+      alt: this.sanitizeString(img.alt || ''),
       width: img.width || null,
       height: img.height || null
     })).filter(img => img.url);
@@ -364,7 +579,9 @@ export class DataFormatter {
     return documents.map((doc, index) => ({
       url: this.formatUrl(doc.url || doc),
       title: this.sanitizeString(doc.title || `Document ${index + 1}`),
-      type: doc.type || 'unknown'
+      type: doc.type || 'unknown',
+      pageCount: doc.pageCount || null,
+      thumbnails: (doc.thumbnails || []).map(url => this.formatUrl(url)).filter(Boolean)
     })).filter(doc => doc.url);
   }
 
@@ -464,7 +681,16 @@ export class DataFormatter {
       'Likes', 'Comments', 'Shares', 'Views', 'Engagement Rate',
       'Has Media', 'Images Count', 'Videos Count', 'Documents Count',
       'Posted Date', 'Relative Time', 'Day of Week', 'Time of Day',
-      'Sentiment', 'Extracted Date'
+      'Sentiment', 'Extracted Date',
+      'Like Reactions', 'Celebrate Reactions', 'Support Reactions', 'Love Reactions',
+      'Insightful Reactions', 'Funny Reactions', 'Top Reactions',
+      'Reposted By', 'Original Author', 'Original Author Profile', 'Original Post URL',
+      'Timestamp Source',
+      'Poll Question', 'Poll Option 1', 'Poll Option 2', 'Poll Option 3', 'Poll Option 4',
+      'Poll Total Votes', 'Poll Closed',
+      'Document Title', 'Document Pages', 'Image Alt Text',
+      'Article URL', 'Article Title', 'Article Source', 'Links',
+      'Content Truncated', 'Source'
     ];
     
     const rows = [headers];
@@ -495,7 +721,33 @@ export class DataFormatter {
         post.timestamp.dayOfWeek,
         post.timestamp.timeOfDay,
         post.content.sentiment,
-        post.extractedAt
+        post.extractedAt,
+        post.metrics.reactions?.like || 0,
+        post.metrics.reactions?.celebrate || 0,
+        post.metrics.reactions?.support || 0,
+        post.metrics.reactions?.love || 0,
+        post.metrics.reactions?.insightful || 0,
+        post.metrics.reactions?.funny || 0,
+        (post.metrics.topReactions || []).join(', '),
+        post.repost?.resharer?.name || '',
+        post.repost?.original?.author?.name || '',
+        post.repost?.original?.author?.profile || '',
+        post.repost?.original?.url || '',
+        post.timestamp.source || '',
+        post.poll?.question || '',
+        this.formatPollOption(post.poll, 0),
+        this.formatPollOption(post.poll, 1),
+        this.formatPollOption(post.poll, 2),
+        this.formatPollOption(post.poll, 3),
+        post.poll?.totalVotes ?? '',
+        post.poll ? (post.poll.isClosed ? 'Yes' : 'No') : '',
+        post.media.documents?.[0]?.title || '',
+        post.media.documents?.[0]?.pageCount || '',
+        (post.media.images || []).map(img => img.alt).filter(Boolean).join(' | '),
+        ...this.formatArticleColumns(post.links),
+        (post.links || []).map(link => link.url).join('\n'),
+        post.contentTruncated ? 'Yes' : 'No',
+        this.formatSource(post.source)
       ]);
     });
     
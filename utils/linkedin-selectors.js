@@ -3,6 +3,8 @@
  * Centralized selectors for LinkedIn's DOM elements with fallbacks
  */
 
+import { SelectorPack } from './selector-pack.js';
+
 export class LinkedInSelectors {
   constructor() {
     // Main post containers
@@ -13,28 +15,62 @@ export class LinkedInSelectors {
       'article[data-id]'                 // Generic article with data-id
     ];
 
-    // Post content selectors
+    // Post containers specific to each scannable page type, tried before postSelectors
+    this.pagePostSelectors = {
+      profileActivity: [
+        '.profile-creator-shared-feed-update__container div[data-urn^="urn:li:activity"]',
+        '.profile-creator-shared-feed-update__container .feed-shared-update-v2'
+      ],
+      companyPosts: [
+        '.org-updates__content div[data-urn^="urn:li:activity"]',
+        '.org-page-details-module__card-spacing .feed-shared-update-v2'
+      ],
+      hashtag: [
+        '.scaffold-finite-scroll__content div[data-urn^="urn:li:activity"]'
+      ],
+      search: [
+        '.search-results-container div[data-urn^="urn:li:activity"]',
+        '.reusable-search__result-container .feed-shared-update-v2',
+        'div[data-chameleon-result-urn^="urn:li:activity"]'
+      ]
+    };
+
+    // Post content selectors, which PostExtractor tries in order for each field
     this.contentSelectors = {
       // Post text content
       text: [
-        '.feed-shared-text .break-words',
-        '.feed-shared-update-v2__description .break-words',
-        '.feed-shared-text__text-view',
-        '.feed-shared-inline-show-more-text .break-words'
+        '.feed-shared-text',
+        '.update-components-text',
+        '.feed-shared-update-v2__description',
+        '[data-test-id="main-feed-activity-card"] .break-words',
+        '.entity-result__content-summary'
+      ],
+
+      // Inline "…see more" control that expands truncated post text in place
+      seeMore: [
+        'button.feed-shared-inline-show-more-text__see-more-less-toggle[aria-expanded="false"]',
+        'button.feed-shared-inline-show-more-text__see-more-less-toggle:not([aria-expanded])',
+        '.feed-shared-inline-show-more-text button.see-more',
+        'button.update-components-text__see-more'
       ],
 
       // Author information
       author: {
+        // The name's visually hidden child is preferred over the element's own text
         name: [
-          '.feed-shared-actor__name .visually-hidden',
           '.feed-shared-actor__name',
-          '.update-components-actor__name .visually-hidden',
-          '.update-components-actor__name'
+          '.update-components-actor__name',
+          '.feed-shared-actor__title',
+          '[data-control-name="actor_name"]',
+          '.entity-result__title-text a span[aria-hidden="true"]',
+          '.entity-result__title-text'
         ],
         profile: [
           '.feed-shared-actor__container-link',
-          '.update-components-actor__container .app-aware-link',
-          '.feed-shared-actor a[href*="/in/"]'
+          '.update-components-actor__container a',
+          '.feed-shared-actor a[href*="/in/"]',
+          '.entity-result__title-text a',
+          'a[href*="linkedin.com/in/"]'
         ],
         image: [
           '.feed-shared-actor__avatar .EntityPhoto-circle-3',
@@ -47,28 +83,24 @@ export class LinkedInSelectors {
       metrics: {
         likes: [
           '.social-counts-reactions__count',
-          '.feed-shared-social-action-bar__reaction-count',
-          'button[aria-label*="reaction"] .visually-hidden'
+          '[data-test-id="social-actions-bar"] button[aria-label*="like"]'
         ],
         comments: [
-          '.social-counts-comments .social-counts-comments__count',
-          'button[aria-label*="comment"] .visually-hidden',
-          '.feed-shared-social-action-bar__comment-count'
+          '.social-counts-comments',
+          '[data-test-id="social-actions-bar"] button[aria-label*="comment"]'
         ],
         shares: [
-          '.social-counts-shares .social-counts-shares__count',
-          'button[aria-label*="repost"] .visually-hidden',
-          '.feed-shared-social-action-bar__repost-count'
+          '.social-counts-shares',
+          '[data-test-id="social-actions-bar"] button[aria-label*="share"]'
         ]
       },
 
       // Media content
       media: {
         images: [
+          '.update-components-image img',
           '.feed-shared-image img',
-          '.feed-shared-mini-update-v2 img',
-          '.feed-shared-carousel__content img',
-          '.update-components-image img'
+          '.feed-shared-carousel__content img'
         ],
         videos: [
           '.feed-shared-video video',
@@ -76,18 +108,18 @@ export class LinkedInSelectors {
           '.update-components-video video'
         ],
         documents: [
+          '.update-components-document',
           '.feed-shared-document',
-          '.feed-shared-mini-update-v2__document',
-          '.update-components-document'
+          '.feed-shared-mini-update-v2__document'
         ]
       },
 
       // Timestamp
       timestamp: [
-        '.feed-shared-actor__sub-description .visually-hidden',
+        'time[datetime]',
         '.feed-shared-actor__sub-description time',
         '.update-components-actor__sub-description time',
-        'time[datetime]'
+        '[data-test-id="main-feed-activity-card"] time'
       ],
 
       // Post URL
@@ -95,7 +127,32 @@ export class LinkedInSelectors {
         '.feed-shared-control-menu__trigger',
         '.feed-shared-actor__container-link',
         'a[href*="/posts/"]'
-      ]
+      ],
+
+      // Comment threads
+      comments: {
+        list: [
+          '.comments-comments-list',
+          '.feed-shared-update-v2__comments-container'
+        ],
+        item: [
+          'article.comments-comment-item',
+          'article.comments-comment-entity'
+        ],
+        openButton: [
+          'button.comment-button',
+          '.social-details-social-counts__comments button',
+          'button[aria-label*="comment" i]'
+        ],
+        loadMore: [
+          '.comments-comments-list__load-more-comments-button',
+          'button.comments-comments-list__show-previous-button'
+        ],
+        loadReplies: [
+          '.comments-replies-list__replies-button',
+          'button.show-prev-replies'
+        ]
+      }
     };
 
     // Saved posts specific selectors
@@ -108,7 +165,18 @@ export class LinkedInSelectors {
       posts: [
         '.saved-item',
         '.my-items-saved__item',
-        '.saved-items__item'
+        '.saved-items__item',
+        'li.reusable-search__result-container',
+        '[data-chameleon-result-urn]'
+      ],
+      showMore: [
+        'button.scaffold-finite-scroll__load-button',
+        '.reusable-search__entity-result-list + div button',
+        'button[aria-label*="show more results" i]'
+      ],
+      postLink: [
+        'a[href*="/feed/update/urn:li:activity:"]',
+        'a[href*="/posts/"]'
       ]
     };
 
@@ -136,6 +204,54 @@ export class LinkedInSelectors {
         '.feed-shared-update-v2__load-more'
       ]
     };
+
+    // Pages LinkedIn shows instead of content when it throttles or challenges a session
+    this.blockedPageSelectors = {
+      captcha: [
+        '#captcha-internal',
+        'iframe[src*="captcha"]',
+        'form[action*="checkpoint/challenge"]'
+      ],
+      dialog: [
+        '[role="alertdialog"]',
+        '.artdeco-modal',
+        '.artdeco-toast-item'
+      ],
+      checkpointPaths: [
+        '/checkpoint/',
+        '/authwall',
+        '/uas/login'
+      ]
+    };
+
+    // Pack merged over the built-in selectors above, null while only those are used
+    this.activePack = null;
+    // Last pack that failed validation, with its errors
+    this.rejectedPack = null;
+  }
+
+  /**
+   * Merge a selector pack over the built-in selectors
+   * @param {object} pack - Selector pack
+   * @param {string} source - Where the pack came from ('bundled', 'file' or 'url')
+   * @returns {boolean} True if the pack was valid and applied
+   */
+  applySelectorPack(pack, source = 'bundled') {
+    const packs = new SelectorPack();
+    const { valid, errors } = packs.validate(pack, null, { bundled: source === 'bundled' });
+
+    if (!valid) {
+      console.warn('Ignoring invalid selector pack:', errors);
+      this.rejectedPack = { name: pack?.name, version: pack?.version, source: source, errors: errors };
+      return false;
+    }
+
+    for (const [section, selectors] of Object.entries(pack.selectors)) {
+      this[section] = packs.merge(this[section], selectors);
+    }
+
+    this.activePack = { name: pack.name, version: pack.version, source: source };
+    return true;
   }
 
   /**
@@ -255,6 +371,98 @@ export class LinkedInSelectors {
            document.querySelector('[data-view-name="saved-items"]') !== null;
   }
 
+  /**
+   * Work out which kind of LinkedIn page a URL points to
+   * @param {string} url - Page URL (current page when omitted)
+   * @returns {string} 'saved', 'profileActivity', 'companyPosts', 'hashtag', 'search', 'feed' or 'other'
+   */
+  getPageType(url = window.location.href) {
+    const path = this.parseUrl(url)?.pathname || '';
+
+    // The saved list can also be recognised from its markup when looking at the current page
+    if (/\/my-items\/saved-posts\/|\/saved\//.test(path) || (url === window.location.href && this.isSavedPostsPage())) {
+      return 'saved';
+    }
+    if (/^\/in\/[^/]+\/recent-activity(\/|$)/.test(path)) return 'profileActivity';
+    if (/^\/company\/[^/]+\/posts(\/|$)/.test(path)) return 'companyPosts';
+    if (/^\/feed\/hashtag(\/|$)/.test(path)) return 'hashtag';
+    if (/^\/search\/results\/content(\/|$)/.test(path)) return 'search';
+    if (/^\/feed(\/|$)/.test(path)) return 'feed';
+
+    return 'other';
+  }
+
+  /**
+   * Describe where posts on a page come from, for tagging extracted posts
+   * @param {string} url - Page URL (current page when omitted)
+   * @returns {object} Source ({ type, url } plus profile, company, hashtag or query)
+   */
+  getSourceInfo(url = window.location.href) {
+    const type = this.getPageType(url);
+    const parsed = this.parseUrl(url);
+    const path = parsed?.pathname || '';
+    const source = { type: type, url: url };
+
+    switch (type) {
+      case 'profileActivity':
+        source.profile = decodeURIComponent(path.split('/')[2]);
+        break;
+      case 'companyPosts':
+        source.company = decodeURIComponent(path.split('/')[2]);
+        break;
+      case 'hashtag': {
+        const tag = path.split('/')[3] || parsed.searchParams.get('keywords') || '';
+        source.hashtag = tag ? `#${decodeURIComponent(tag).replace(/^#/, '')}` : '';
+        break;
+      }
+      case 'search':
+        source.query = parsed.searchParams.get('keywords') || '';
+        break;
+    }
+
+    return source;
+  }
+
+  /**
+   * Get the post container selectors for a page type
+   * @param {string} pageType - Page type from getPageType
+   * @returns {Array} Page specific selectors followed by the generic ones
+   */
+  getPostSelectors(pageType) {
+    return [...(this.pagePostSelectors[pageType] || []), ...this.postSelectors];
+  }
+
+  /**
+   * Parse a URL, resolving paths against linkedin.com
+   * @param {string} url - URL or path
+   * @returns {URL|null} Parsed URL
+   */
+  parseUrl(url) {
+    try {
+      return new URL(url, 'https://www.linkedin.com');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the selectors for one part of the saved posts list
+   * @param {string} type - 'container', 'posts', 'showMore' or 'postLink'
+   * @returns {Array} CSS selectors
+   */
+  getSavedPostsSelectors(type) {
+    return this.savedPostsSelectors[type] || [];
+  }
+
+  /**
+   * Get the selectors that identify LinkedIn's throttling and challenge pages
+   * @param {string} type - 'captcha', 'dialog' or 'checkpointPaths'
+   * @returns {Array} CSS selectors or URL path fragments
+   */
+  getBlockedPageSelectors(type) {
+    return this.blockedPageSelectors[type] || [];
+  }
+
   /**
    * Check if current page is LinkedIn feed
    * @returns {boolean} True if on LinkedIn feed
@@ -0,0 +1,287 @@
+/**
+ * Locale Support
+ * Parses the numbers and relative times LinkedIn shows in its supported UI languages
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export class Locales {
+  constructor() {
+    this.defaultLocale = 'en';
+
+    this.unitDurations = {
+      second: 1000,
+      minute: MINUTE,
+      hour: HOUR,
+      day: DAY,
+      week: 7 * DAY,
+      month: 30 * DAY,
+      year: 365 * DAY
+    };
+
+    // Abbreviations, unit words and poll status phrases are matched lowercased, without a trailing dot
+    this.locales = {
+      en: {
+        decimalSeparator: '.',
+        thousandsSeparators: [','],
+        abbreviations: { k: 1e3, m: 1e6, b: 1e9 },
+        units: {
+          second: ['s', 'sec', 'secs', 'second', 'seconds'],
+          minute: ['m', 'min', 'mins', 'minute', 'minutes'],
+          hour: ['h', 'hr', 'hrs', 'hour', 'hours'],
+          day: ['d', 'day', 'days'],
+          week: ['w', 'wk', 'wks', 'week', 'weeks'],
+          month: ['mo', 'mos', 'month', 'months'],
+          year: ['y', 'yr', 'yrs', 'year', 'years']
+        },
+        poll: {
+          votes: ['vote', 'votes'],
+          closed: ['poll closed', 'poll ended', 'the poll has ended']
+        }
+      },
+      de: {
+        decimalSeparator: ',',
+        thousandsSeparators: ['.', ' '],
+        abbreviations: { k: 1e3, tsd: 1e3, mio: 1e6, mrd: 1e9 },
+        units: {
+          second: ['s', 'sek', 'sekunde', 'sekunden'],
+          minute: ['min', 'minute', 'minuten'],
+          hour: ['std', 'h', 'stunde', 'stunden'],
+          day: ['t', 'tg', 'tag', 'tage', 'tagen'],
+          week: ['wo', 'woche', 'wochen'],
+          month: ['mon', 'monat', 'monate', 'monaten'],
+          year: ['j', 'jahr', 'jahre', 'jahren']
+        },
+        poll: {
+          votes: ['stimme', 'stimmen'],
+          closed: ['umfrage beendet', 'umfrage geschlossen', 'die umfrage ist beendet']
+        }
+      },
+      fr: {
+        decimalSeparator: ',',
+        thousandsSeparators: [' ', '.'],
+        abbreviations: { k: 1e3, m: 1e6, md: 1e9, mrd: 1e9 },
+        units: {
+          second: ['s', 'seconde', 'secondes'],
+          minute: ['min', 'minute', 'minutes'],
+          hour: ['h', 'heure', 'heures'],
+          day: ['j', 'jour', 'jours'],
+          week: ['sem', 'semaine', 'semaines'],
+          month: ['mois'],
+          year: ['a', 'an', 'ans', 'année', 'années']
+        },
+        poll: {
+          votes: ['vote', 'votes'],
+          closed: ['sondage terminé', 'sondage clos', 'le sondage est terminé']
+        }
+      },
+      es: {
+        decimalSeparator: ',',
+        thousandsSeparators: ['.', ' '],
+        abbreviations: { k: 1e3, mil: 1e3, m: 1e6, mill: 1e6, mm: 1e9 },
+        units: {
+          second: ['s', 'seg', 'segundo', 'segundos'],
+          minute: ['min', 'minuto', 'minutos'],
+          hour: ['h', 'hora', 'horas'],
+          day: ['d', 'día', 'días', 'dia', 'dias'],
+          week: ['sem', 'semana', 'semanas'],
+          month: ['mes', 'meses'],
+          year: ['a', 'año', 'años']
+        },
+        poll: {
+          votes: ['voto', 'votos'],
+          closed: ['encuesta cerrada', 'encuesta finalizada', 'la encuesta ha finalizado']
+        }
+      },
+      pt: {
+        decimalSeparator: ',',
+        thousandsSeparators: ['.', ' '],
+        abbreviations: { k: 1e3, mil: 1e3, mi: 1e6, bi: 1e9 },
+        units: {
+          second: ['s', 'seg', 'segundo', 'segundos'],
+          minute: ['min', 'minuto', 'minutos'],
+          hour: ['h', 'hora', 'horas'],
+          day: ['d', 'dia', 'dias'],
+          week: ['sem', 'semana', 'semanas'],
+          month: ['m', 'mês', 'mes', 'meses'],
+          year: ['a', 'ano', 'anos']
+        },
+        poll: {
+          votes: ['voto', 'votos'],
+          closed: ['enquete encerrada', 'pesquisa encerrada', 'a enquete foi encerrada']
+        }
+      }
+    };
+  }
+
+  /**
+   * Add or replace a locale definition
+   * @param {string} code - Language code (e.g. "it")
+   * @param {object} definition - { decimalSeparator, thousandsSeparators, abbreviations, units, poll }
+   */
+  registerLocale(code, definition) {
+    this.locales[code.toLowerCase()] = definition;
+  }
+
+  /**
+   * Detect the UI language from the page's lang attribute
+   * @param {Document} doc - Page document
+   * @returns {string} Supported language code, falling back to English
+   */
+  detectLocale(doc = document) {
+    const lang = (doc.documentElement.getAttribute('lang') || '').toLowerCase();
+    return this.resolveLocale(lang);
+  }
+
+  /**
+   * Map a language tag to a supported locale code
+   * @param {string} lang - Language tag (e.g. "de-DE", "pt_BR")
+   * @returns {string} Supported language code
+   */
+  resolveLocale(lang) {
+    const code = (lang || '').toLowerCase().split(/[-_]/)[0];
+    return this.locales[code] ? code : this.defaultLocale;
+  }
+
+  /**
+   * Get locale codes to try, the given locale first
+   * @param {string} code - Preferred locale code
+   * @returns {Array} Locale codes
+   */
+  getLookupOrder(code) {
+    const preferred = this.resolveLocale(code);
+    return [preferred, ...Object.keys(this.locales).filter(other => other !== preferred)];
+  }
+
+  /**
+   * Parse a count such as "1,234", "1.2K", "1,2 Mio." or "3 k"
+   * @param {string} text - Text containing the count
+   * @param {string} code - Locale code
+   * @returns {number} Parsed count, 0 if none found
+   */
+  parseNumber(text, code = this.defaultLocale) {
+    if (!text) return 0;
+
+    const match = String(text).toLowerCase().match(/(\d[\d.,\s\u00a0\u202f]*)([a-zà-ÿ]+)?/);
+    if (!match) return 0;
+
+    const digits = match[1].replace(/[\s\u00a0\u202f.,]+$/, '');
+    const suffix = match[2] || '';
+
+    // Abbreviated counts carry a decimal part, plain counts only thousands separators
+    for (const localeCode of this.getLookupOrder(code)) {
+      const locale = this.locales[localeCode];
+      const multiplier = suffix ? locale.abbreviations[suffix] : null;
+
+      if (multiplier) {
+        // A single separator followed by one or two digits can only be a decimal point,
+        // whatever the locale, so "1.5K" on a German page is still 1500
+        const decimal = digits.match(/^(\d+)[.,](\d{1,2})$/);
+        const normalized = decimal ? `${decimal[1]}.${decimal[2]}` : this.normalizeDecimal(digits, locale);
+        const value = parseFloat(normalized);
+        return isNaN(value) ? 0 : Math.round(value * multiplier);
+      }
+    }
+
+    const value = parseInt(digits.replace(/[^\d]/g, ''), 10);
+    return isNaN(value) ? 0 : value;
+  }
+
+  /**
+   * Turn a localized decimal number into one parseFloat understands
+   * @param {string} digits - Localized number (e.g. "1,2")
+   * @param {object} locale - Locale definition
+   * @returns {string} Number with a dot as decimal separator
+   */
+  normalizeDecimal(digits, locale) {
+    const withoutGroups = locale.thousandsSeparators
+      .filter(separator => separator !== locale.decimalSeparator)
+      .reduce((value, separator) => value.split(separator).join(''), digits.replace(/[\u00a0\u202f]/g, ' '));
+
+    return withoutGroups.replace(locale.decimalSeparator, '.').replace(/\s/g, '');
+  }
+
+  /**
+   * Parse a relative time such as "2h", "vor 3 Tagen" or "il y a 2 sem."
+   * @param {string} text - Relative time text
+   * @param {string} code - Locale code
+   * @param {Date} now - Reference time
+   * @returns {string|null} ISO timestamp, or null if the text is not understood
+   */
+  parseRelativeTime(text, code = this.defaultLocale, now = new Date()) {
+    if (!text) return null;
+
+    const match = String(text).toLowerCase().match(/(\d+)\s*([a-zà-ÿ]+)/);
+    if (!match) return null;
+
+    const unit = this.findTimeUnit(match[2], code);
+    if (!unit) return null;
+
+    const value = parseInt(match[1], 10);
+    return new Date(now.getTime() - value * this.unitDurations[unit]).toISOString();
+  }
+
+  /**
+   * Look up the time unit a localized word or abbreviation stands for
+   * @param {string} word - Unit word (e.g. "tagen", "sem")
+   * @param {string} code - Preferred locale code
+   * @returns {string|null} Unit name ('minute', 'hour', 'day', ...)
+   */
+  findTimeUnit(word, code) {
+    for (const localeCode of this.getLookupOrder(code)) {
+      const units = this.locales[localeCode].units;
+      const unit = Object.keys(units).find(name => units[name].includes(word));
+      if (unit) return unit;
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse the vote count of a poll summary such as "1,234 votes" or "1.200 Stimmen"
+   * @param {string} text - Poll summary text
+   * @param {string} code - Preferred locale code
+   * @returns {number|null} Vote count, or null if the summary shows none
+   */
+  parsePollVotes(text, code = this.defaultLocale) {
+    if (!text) return null;
+
+    const lower = String(text).toLowerCase();
+
+    for (const localeCode of this.getLookupOrder(code)) {
+      const poll = this.locales[localeCode].poll;
+      if (!poll) continue;
+
+      const pattern = new RegExp(
+        `(\\d[\\d.,\\s\u00a0\u202f]*(?:[a-zà-ÿ]+\\.?)?)\\s+(?:${poll.votes.join('|')})(?![a-zà-ÿ])`
+      );
+      const match = lower.match(pattern);
+      if (match) return this.parseNumber(match[1], localeCode);
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a poll summary says the poll is closed
+   * Only a whole "•"-separated part of the summary counts, so question or option
+   * text that happens to contain "closed" or "ended" does not close the poll.
+   * @param {string} text - Poll summary text (e.g. "1,234 votes • Poll closed")
+   * @param {string} code - Preferred locale code
+   * @returns {boolean} True if the poll is closed
+   */
+  isPollClosed(text, code = this.defaultLocale) {
+    if (!text) return false;
+
+    const parts = String(text).toLowerCase()
+      .split(/[•·]/)
+      .map(part => part.replace(/\s+/g, ' ').trim().replace(/\.$/, ''));
+
+    return this.getLookupOrder(code).some(localeCode => {
+      const poll = this.locales[localeCode].poll;
+      return Boolean(poll) && parts.some(part => poll.closed.includes(part));
+    });
+  }
+}
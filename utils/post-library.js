@@ -0,0 +1,472 @@
+/**
+ * Post Library
+ * IndexedDB-backed store for extracted posts with indexed, paged queries
+ */
+
+export class PostLibrary {
+  constructor(dbName = 'linkedin-post-library') {
+    this.dbName = dbName;
+    this.dbVersion = 2;
+    this.maxSnapshots = 1000;
+    this.snapshotMetrics = ['likes', 'comments', 'shares', 'views'];
+    this.storeName = 'posts';
+    this.dbPromise = null;
+  }
+
+  /**
+   * Methods that extension pages and content scripts may call through
+   * the background service
+   */
+  static get remoteMethods() {
+    return [
+      'upsertPosts', 'getPost', 'getAllPosts', 'queryPosts', 'count', 'deletePost', 'clear',
+      'getMetricHistory', 'getMetricGrowth', 'getGrowthReport', 'getPostIdsBySource'
+    ];
+  }
+
+  /**
+   * Build the key identifying a scan source, e.g. "hashtag:#genai" or "saved"
+   * @param {object|null} source - Post source ({ type, profile, company, hashtag, query })
+   * @returns {string|null} Source key
+   */
+  static getSourceKey(source) {
+    if (!source?.type) return null;
+    const detail = source.profile || source.company || source.hashtag || source.query || '';
+    return detail ? `${source.type}:${detail.toLowerCase()}` : source.type;
+  }
+
+  /**
+   * Check whether IndexedDB can be used from the current context.
+   * Content scripts share the page's origin, so they must go through
+   * the background service instead.
+   * @returns {boolean} True when running on an extension page or service worker
+   */
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined' &&
+           typeof self !== 'undefined' &&
+           self.location?.protocol === 'chrome-extension:';
+  }
+
+  /**
+   * Open the database, creating or upgrading stores and indexes as needed
+   * @returns {Promise<IDBDatabase>} Database connection
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, this.dbVersion);
+
+        request.onupgradeneeded = (event) => {
+          this.upgrade(request.result, request.transaction, event.oldVersion);
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Apply schema changes for each version the database is behind
+   * @param {IDBDatabase} db - Database being upgraded
+   * @param {IDBTransaction} transaction - Version change transaction
+   * @param {number} oldVersion - Version the database is upgrading from
+   */
+  upgrade(db, transaction, oldVersion) {
+    if (oldVersion < 1) {
+      const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+      store.createIndex('author', 'author.name', { unique: false });
+      // Formatted posts keep the ISO date under timestamp.iso
+      store.createIndex('timestamp', 'timestamp.iso', { unique: false });
+      store.createIndex('postType', 'postType', { unique: false });
+      store.createIndex('hashtag', 'content.hashtags', { unique: false, multiEntry: true });
+    }
+
+    if (oldVersion < 2) {
+      // Every source a post has been scanned from, for incremental scans
+      const store = transaction.objectStore(this.storeName);
+      store.createIndex('source', 'sourceKeys', { unique: false, multiEntry: true });
+    }
+  }
+
+  /**
+   * Insert new posts and update existing ones in a single transaction.
+   * Each save appends the post's current metrics to its metric history.
+   * @param {Array} posts - Array of post objects
+   * @returns {Promise<object>} Counts of created and updated posts
+   */
+  async upsertPosts(posts) {
+    const validPosts = (posts || []).filter(post => post && post.id);
+    if (validPosts.length === 0) {
+      return { created: 0, updated: 0 };
+    }
+
+    const db = await this.open();
+    const now = new Date().toISOString();
+    let created = 0;
+    let updated = 0;
+
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+
+      validPosts.forEach(post => {
+        const request = store.get(post.id);
+
+        request.onsuccess = () => {
+          const existing = request.result;
+
+          if (existing) {
+            updated++;
+            store.put({
+              ...existing,
+              ...post,
+              sourceKeys: this.mergeSourceKeys(existing.sourceKeys, post.source),
+              metricHistory: this.appendSnapshot(existing.metricHistory, post, now),
+              firstSavedAt: existing.firstSavedAt || now,
+              updatedAt: now
+            });
+          } else {
+            created++;
+            store.put({
+              ...post,
+              sourceKeys: this.mergeSourceKeys(post.sourceKeys, post.source),
+              metricHistory: this.appendSnapshot(post.metricHistory, post, now),
+              firstSavedAt: now,
+              updatedAt: now
+            });
+          }
+        };
+      });
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+
+    return { created, updated };
+  }
+
+  /**
+   * Get a single post by ID
+   * @param {string} id - Post ID
+   * @returns {Promise<object|null>} Post object
+   */
+  async getPost(id) {
+    const db = await this.open();
+    const store = db.transaction(this.storeName, 'readonly').objectStore(this.storeName);
+    const post = await this.promisifyRequest(store.get(id));
+    return post || null;
+  }
+
+  /**
+   * Get several posts by ID in a single transaction
+   * @param {Array<string>} ids - Post IDs
+   * @returns {Promise<Array>} Stored posts in the order of ids, unknown IDs are left out
+   */
+  async getPosts(ids) {
+    if (!ids || ids.length === 0) return [];
+
+    const db = await this.open();
+    const store = db.transaction(this.storeName, 'readonly').objectStore(this.storeName);
+    const posts = await Promise.all(ids.map(id => this.promisifyRequest(store.get(id))));
+
+    return posts.filter(Boolean);
+  }
+
+  /**
+   * Get every stored post
+   * @returns {Promise<Array>} Array of posts
+   */
+  async getAllPosts() {
+    const db = await this.open();
+    const store = db.transaction(this.storeName, 'readonly').objectStore(this.storeName);
+    return await this.promisifyRequest(store.getAll());
+  }
+
+  /**
+   * Get a page of posts, optionally filtered by an index
+   * @param {object} query - Query options
+   * @param {string} query.index - Index name ('author', 'timestamp', 'postType', 'hashtag')
+   * @param {any} query.value - Exact value to match on the index
+   * @param {any} query.from - Lower bound (inclusive) when no value is given
+   * @param {any} query.to - Upper bound (inclusive) when no value is given
+   * @param {number} query.offset - Number of matching posts to skip
+   * @param {number} query.limit - Page size
+   * @param {string} query.direction - 'next' (ascending) or 'prev' (descending)
+   * @returns {Promise<object>} Page of posts with total count
+   */
+  async queryPosts(query = {}) {
+    const offset = Math.max(0, query.offset || 0);
+    const limit = Math.max(1, query.limit || 50);
+    const direction = query.direction === 'prev' ? 'prev' : 'next';
+
+    const db = await this.open();
+    const store = db.transaction(this.storeName, 'readonly').objectStore(this.storeName);
+    const source = query.index ? store.index(query.index) : store;
+    const range = this.buildKeyRange(query);
+
+    const total = await this.promisifyRequest(source.count(range));
+    const posts = [];
+
+    await new Promise((resolve, reject) => {
+      const request = source.openCursor(range, direction);
+      let skipped = false;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+
+        if (offset > 0 && !skipped) {
+          skipped = true;
+          cursor.advance(offset);
+          return;
+        }
+
+        posts.push(cursor.value);
+
+        if (posts.length >= limit) {
+          resolve();
+        } else {
+          cursor.continue();
+        }
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+
+    return {
+      posts: posts,
+      total: total,
+      offset: offset,
+      limit: limit,
+      hasMore: offset + posts.length < total
+    };
+  }
+
+  /**
+   * Count posts, optionally filtered by an index
+   * @param {object} query - Query options (index, value, from, to)
+   * @returns {Promise<number>} Number of matching posts
+   */
+  async count(query = {}) {
+    const db = await this.open();
+    const store = db.transaction(this.storeName, 'readonly').objectStore(this.storeName);
+    const source = query.index ? store.index(query.index) : store;
+    return await this.promisifyRequest(source.count(this.buildKeyRange(query)));
+  }
+
+  /**
+   * Get the IDs of all stored posts scanned from a source
+   * @param {string} sourceKey - Source key from PostLibrary.getSourceKey
+   * @returns {Promise<Array>} Post IDs
+   */
+  async getPostIdsBySource(sourceKey) {
+    if (!sourceKey) return [];
+
+    const db = await this.open();
+    const index = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).index('source');
+    return await this.promisifyRequest(index.getAllKeys(IDBKeyRange.only(sourceKey)));
+  }
+
+  /**
+   * Add a post's current source to the sources it was already seen in
+   * @param {Array} sourceKeys - Previously recorded source keys
+   * @param {object|null} source - Source of the current save
+   * @returns {Array} Source keys without duplicates
+   */
+  mergeSourceKeys(sourceKeys, source) {
+    const key = PostLibrary.getSourceKey(source);
+    const keys = Array.isArray(sourceKeys) ? sourceKeys : [];
+    return key && !keys.includes(key) ? [...keys, key] : keys;
+  }
+
+  /**
+   * Delete a single post
+   * @param {string} id - Post ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deletePost(id) {
+    const db = await this.open();
+    const store = db.transaction(this.storeName, 'readwrite').objectStore(this.storeName);
+    await this.promisifyRequest(store.delete(id));
+    return true;
+  }
+
+  /**
+   * Delete all posts
+   * @returns {Promise<boolean>} Success status
+   */
+  async clear() {
+    const db = await this.open();
+    const store = db.transaction(this.storeName, 'readwrite').objectStore(this.storeName);
+    await this.promisifyRequest(store.clear());
+    return true;
+  }
+
+  /**
+   * Get the metric snapshots recorded for a post
+   * @param {string} postId - Post ID
+   * @param {object} range - Optional date range ({ from, to } as ISO strings or dates)
+   * @returns {Promise<Array>} Snapshots ordered oldest first
+   */
+  async getMetricHistory(postId, range = {}) {
+    const post = await this.getPost(postId);
+    if (!post) return [];
+
+    const from = range.from ? new Date(range.from).getTime() : -Infinity;
+    const to = range.to ? new Date(range.to).getTime() : Infinity;
+
+    return (post.metricHistory || []).filter(snapshot => {
+      const capturedAt = new Date(snapshot.capturedAt).getTime();
+      return capturedAt >= from && capturedAt <= to;
+    });
+  }
+
+  /**
+   * Get how a post's metrics changed between two dates
+   * @param {string} postId - Post ID
+   * @param {string|Date} from - Start date
+   * @param {string|Date} to - End date
+   * @returns {Promise<object|null>} Growth summary, or null without enough snapshots
+   */
+  async getMetricGrowth(postId, from, to) {
+    const post = await this.getPost(postId);
+    if (!post) return null;
+
+    return this.calculateGrowth(post, from, to);
+  }
+
+  /**
+   * Get metric growth for every post with snapshots in the date range
+   * @param {object} options - Report options
+   * @param {string|Date} options.from - Start date
+   * @param {string|Date} options.to - End date
+   * @param {string} options.sortBy - Metric to rank by ('likes', 'comments', 'shares', 'views')
+   * @param {number} options.limit - Maximum number of posts to return
+   * @returns {Promise<Array>} Growth summaries, fastest growing first
+   */
+  async getGrowthReport(options = {}) {
+    const sortBy = options.sortBy || 'likes';
+    const posts = await this.getAllPosts();
+
+    const report = posts
+      .map(post => this.calculateGrowth(post, options.from, options.to))
+      .filter(growth => growth !== null)
+      .sort((a, b) => b.growth[sortBy] - a.growth[sortBy]);
+
+    return options.limit ? report.slice(0, options.limit) : report;
+  }
+
+  /**
+   * Compare the snapshots at the start and end of a date range
+   * @param {object} post - Stored post
+   * @param {string|Date} from - Start date
+   * @param {string|Date} to - End date
+   * @returns {object|null} Growth summary
+   */
+  calculateGrowth(post, from, to) {
+    const history = post.metricHistory || [];
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+
+    // Baseline is the last snapshot taken before the range starts,
+    // or the first one inside it when the post was first seen later
+    const untilEnd = history.filter(snapshot => new Date(snapshot.capturedAt).getTime() <= toTime);
+    const beforeStart = untilEnd.filter(snapshot => new Date(snapshot.capturedAt).getTime() <= fromTime);
+    const start = beforeStart.length > 0
+      ? beforeStart[beforeStart.length - 1]
+      : untilEnd.find(snapshot => new Date(snapshot.capturedAt).getTime() >= fromTime);
+    const end = untilEnd[untilEnd.length - 1];
+
+    if (!start || !end || start === end) {
+      return null;
+    }
+
+    const growth = {};
+    this.snapshotMetrics.forEach(metric => {
+      growth[metric] = (end[metric] || 0) - (start[metric] || 0);
+    });
+
+    return {
+      postId: post.id,
+      url: post.url,
+      author: post.author?.name || '',
+      start: start,
+      end: end,
+      growth: growth
+    };
+  }
+
+  /**
+   * Add a snapshot of a post's current metrics to its history,
+   * unless the metrics are the same as in the last snapshot
+   * @param {Array} history - Existing snapshots
+   * @param {object} post - Post being saved
+   * @param {string} savedAt - Save time, used when the post has no extraction time
+   * @returns {Array} Updated snapshots
+   */
+  appendSnapshot(history, post, savedAt) {
+    const snapshots = Array.isArray(history) ? [...history] : [];
+
+    if (post.metrics) {
+      const snapshot = { capturedAt: post.extractedAt || savedAt };
+      this.snapshotMetrics.forEach(metric => {
+        snapshot[metric] = post.metrics[metric] || 0;
+      });
+
+      const last = snapshots[snapshots.length - 1];
+      const unchanged = last && this.snapshotMetrics.every(metric => last[metric] === snapshot[metric]);
+      if (!unchanged) {
+        snapshots.push(snapshot);
+      }
+    }
+
+    return snapshots.slice(-this.maxSnapshots);
+  }
+
+  /**
+   * Build a key range from query options
+   * @param {object} query - Query options
+   * @returns {IDBKeyRange|undefined} Key range
+   */
+  buildKeyRange(query) {
+    if (query.value !== undefined) {
+      return IDBKeyRange.only(query.value);
+    }
+
+    if (query.from !== undefined && query.to !== undefined) {
+      return IDBKeyRange.bound(query.from, query.to);
+    }
+
+    if (query.from !== undefined) {
+      return IDBKeyRange.lowerBound(query.from);
+    }
+
+    if (query.to !== undefined) {
+      return IDBKeyRange.upperBound(query.to);
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Wrap an IDBRequest in a promise
+   * @param {IDBRequest} request - IndexedDB request
+   * @returns {Promise<any>} Request result
+   */
+  promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * Selector Packs
+ * Validates versioned JSON selector packs and merges them over the built-in selectors
+ */
+
+export class SelectorPack {
+  constructor() {
+    this.schemaVersion = 1;
+
+    // Shape a pack's "selectors" may take: 'selectors' is a list of CSS selectors,
+    // 'paths' a list of URL path fragments and '*' allows any key
+    this.schema = {
+      postSelectors: 'selectors',
+      pagePostSelectors: { '*': 'selectors' },
+      contentSelectors: {
+        text: 'selectors',
+        seeMore: 'selectors',
+        author: { name: 'selectors', profile: 'selectors', image: 'selectors' },
+        metrics: { likes: 'selectors', comments: 'selectors', shares: 'selectors' },
+        media: { images: 'selectors', videos: 'selectors', documents: 'selectors' },
+        timestamp: 'selectors',
+        postUrl: 'selectors',
+        comments: {
+          list: 'selectors',
+          item: 'selectors',
+          openButton: 'selectors',
+          loadMore: 'selectors',
+          loadReplies: 'selectors'
+        }
+      },
+      savedPostsSelectors: { container: 'selectors', posts: 'selectors', showMore: 'selectors', postLink: 'selectors' },
+      navigationSelectors: { savedPostsPage: 'selectors', feedPage: 'selectors' },
+      loadingSelectors: { spinner: 'selectors', loadMore: 'selectors' },
+      blockedPageSelectors: { captcha: 'selectors', dialog: 'selectors', checkpointPaths: 'paths' }
+    };
+
+    // Selectors the scanner clicks. Only the bundled pack may change them, so an imported
+    // pack cannot point the scanner at Like, Follow or Unsave.
+    this.clickTargets = [
+      'contentSelectors.seeMore',
+      'contentSelectors.comments.openButton',
+      'contentSelectors.comments.loadMore',
+      'contentSelectors.comments.loadReplies',
+      'savedPostsSelectors.showMore'
+    ];
+  }
+
+  /**
+   * Validate a selector pack against the schema
+   * @param {object} pack - Parsed pack ({ schemaVersion, name, version, minExtensionVersion, selectors })
+   * @param {string} extensionVersion - Running extension version, checked against minExtensionVersion
+   * @param {object} options - { bundled } where bundled allows the pack to set click targets
+   * @returns {object} Result ({ valid, errors })
+   */
+  validate(pack, extensionVersion = null, options = {}) {
+    const errors = [];
+
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+      return { valid: false, errors: ['Selector pack must be a JSON object'] };
+    }
+
+    if (pack.schemaVersion !== this.schemaVersion) {
+      errors.push(`Unsupported schemaVersion ${pack.schemaVersion}, expected ${this.schemaVersion}`);
+    }
+    if (typeof pack.name !== 'string' || !pack.name.trim()) {
+      errors.push('name must be a non-empty string');
+    }
+    if (!this.isVersion(pack.version)) {
+      errors.push('version must look like "1.2.3"');
+    }
+
+    if (pack.minExtensionVersion !== undefined) {
+      if (!this.isVersion(pack.minExtensionVersion)) {
+        errors.push('minExtensionVersion must look like "1.2.3"');
+      } else if (extensionVersion && this.compareVersions(extensionVersion, pack.minExtensionVersion) < 0) {
+        errors.push(`Requires extension version ${pack.minExtensionVersion} or newer, running ${extensionVersion}`);
+      }
+    }
+
+    if (!pack.selectors || typeof pack.selectors !== 'object' || Array.isArray(pack.selectors)) {
+      errors.push('selectors must be an object');
+    } else {
+      this.validateNode(pack.selectors, this.schema, 'selectors', errors);
+
+      if (!options.bundled) {
+        this.findClickTargets(pack.selectors).forEach(path => {
+          errors.push(`selectors.${path} is clicked during scans and can only be set by the bundled pack`);
+        });
+      }
+    }
+
+    return { valid: errors.length === 0, errors: errors };
+  }
+
+  /**
+   * List the click targets a pack sets
+   * @param {object} selectors - Pack selectors
+   * @returns {Array<string>} Dotted paths of the click targets present in the pack
+   */
+  findClickTargets(selectors) {
+    return this.clickTargets.filter(path => {
+      const value = path.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), selectors);
+      return value !== undefined;
+    });
+  }
+
+  /**
+   * Validate one level of a pack's selectors
+   * @param {any} value - Value from the pack
+   * @param {string|object} schema - Expected shape
+   * @param {string} path - Dotted path for error messages
+   * @param {Array} errors - Collected error messages
+   */
+  validateNode(value, schema, path, errors) {
+    if (typeof schema === 'string') {
+      this.validateList(value, schema, path, errors);
+      return;
+    }
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema[key] || schema['*'];
+      if (!childSchema) {
+        errors.push(`${path}.${key} is not a known selector type`);
+        continue;
+      }
+      this.validateNode(child, childSchema, `${path}.${key}`, errors);
+    }
+  }
+
+  /**
+   * Validate a list of selectors or path fragments
+   * @param {any} value - Value from the pack
+   * @param {string} kind - 'selectors' or 'paths'
+   * @param {string} path - Dotted path for error messages
+   * @param {Array} errors - Collected error messages
+   */
+  validateList(value, kind, path, errors) {
+    if (!Array.isArray(value) || value.length === 0) {
+      errors.push(`${path} must be a non-empty array`);
+      return;
+    }
+
+    value.forEach((entry, index) => {
+      if (typeof entry !== 'string' || !entry.trim()) {
+        errors.push(`${path}[${index}] must be a non-empty string`);
+      } else if (kind === 'paths' && !entry.startsWith('/')) {
+        errors.push(`${path}[${index}] must be a URL path starting with "/"`);
+      } else if (kind === 'selectors' && !this.isValidSelector(entry)) {
+        errors.push(`${path}[${index}] is not a valid CSS selector: ${entry}`);
+      }
+    });
+  }
+
+  /**
+   * Check CSS selector syntax
+   * @param {string} selector - CSS selector
+   * Without a DOM, e.g. in the service worker, selectors cannot be parsed, so content
+   * scripts report the packs they reject back to the background service.
+   * @returns {boolean} True if the selector parses (always true without a DOM)
+   */
+  isValidSelector(selector) {
+    if (typeof document === 'undefined') return true;
+
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check a dotted version string
+   * @param {any} version - Version to check
+   * @returns {boolean} True for versions like "1.2.3"
+   */
+  isVersion(version) {
+    return typeof version === 'string' && /^\d+\.\d+\.\d+$/.test(version);
+  }
+
+  /**
+   * Compare two dotted version strings
+   * @param {string} a - First version
+   * @param {string} b - Second version
+   * @returns {number} Negative if a is older, positive if newer, 0 if equal
+   */
+  compareVersions(a, b) {
+    const left = String(a).split('.').map(Number);
+    const right = String(b).split('.').map(Number);
+
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      const diff = (left[i] || 0) - (right[i] || 0);
+      if (diff !== 0) return diff;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Merge pack selectors over built-in ones, pack entries tried first
+   * @param {Array|object} base - Built-in selectors
+   * @param {Array|object} override - Selectors from the pack
+   * @returns {Array|object} Merged selectors
+   */
+  merge(base, override) {
+    if (override === undefined) return base;
+
+    if (Array.isArray(override)) {
+      const fallbacks = Array.isArray(base) ? base.filter(entry => !override.includes(entry)) : [];
+      return [...override, ...fallbacks];
+    }
+
+    const merged = { ...(base || {}) };
+    for (const [key, value] of Object.entries(override)) {
+      merged[key] = this.merge(merged[key], value);
+    }
+
+    return merged;
+  }
+}
@@ -3,10 +3,16 @@
  * Handles all Chrome extension storage operations with error handling
  */
 
+import { PostLibrary } from './post-library.js';
+
 export class Storage {
-  constructor() {
+  constructor(postLibrary = null) {
     this.storage = chrome.storage.local;
     this.syncStorage = chrome.storage.sync;
+
+    // Content scripts have no access to the extension's IndexedDB,
+    // so they reach the post library through the background service
+    this.postLibrary = postLibrary || (PostLibrary.isAvailable() ? new PostLibrary() : null);
   }
 
   /**
@@ -181,12 +187,102 @@ export class Storage {
   }
 
   /**
-   * Save extracted posts cache
+   * Get extraction settings, including the ones saved by the options page
+   * @returns {Promise<object>} Extraction settings
+   */
+  async getExtractionSettings() {
+    const settings = await this.getSettings();
+    const stored = await this.get(['extractImages', 'extractMetrics', 'extractComments', 'maxCommentsPerPost']);
+    const pick = (key, fallback) => {
+      if (stored[key] !== undefined && stored[key] !== null) return stored[key];
+      if (settings[key] !== undefined) return settings[key];
+      return fallback;
+    };
+
+    return {
+      extractImages: pick('extractImages', true),
+      extractMetrics: pick('extractMetrics', true),
+      extractComments: pick('extractComments', false),
+      maxCommentsPerPost: pick('maxCommentsPerPost', 20)
+    };
+  }
+
+  /**
+   * Get scan settings saved by the options page
+   * @returns {Promise<object>} Scan settings
+   */
+  async getScanSettings() {
+    const stored = await this.get(['incrementalScan', 'knownPostsStopCount', 'hourlyScanBudget']) || {};
+
+    return {
+      incrementalScan: stored.incrementalScan === true,
+      knownPostsStopCount: stored.knownPostsStopCount || 10,
+      hourlyScanBudget: stored.hourlyScanBudget || 300
+    };
+  }
+
+  /**
+   * Get the IDs of stored posts already scanned from a source
+   * @param {object} source - Scan source ({ type, profile, company, hashtag, query })
+   * @returns {Promise<Array>} Post IDs
+   */
+  async getKnownPostIds(source) {
+    return await this.callPostLibrary('getPostIdsBySource', PostLibrary.getSourceKey(source));
+  }
+
+  /**
+   * Save extracted posts to the post library, updating posts already stored
    * @param {Array} posts - Array of post objects
    * @returns {Promise<boolean>} Success status
    */
   async savePosts(posts) {
-    return await this.set('posts', posts, 'local');
+    await this.callPostLibrary('upsertPosts', posts);
+    return true;
+  }
+
+  /**
+   * Call a post library method directly or through the background service
+   * @param {string} method - PostLibrary method name
+   * @param {...any} args - Method arguments
+   * @returns {Promise<any>} Method result
+   */
+  async callPostLibrary(method, ...args) {
+    if (this.postLibrary) {
+      return await this.postLibrary[method](...args);
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'POST_LIBRARY',
+      method: method,
+      args: args
+    });
+
+    if (!response || response.error) {
+      throw new Error(response?.error || 'Post library is not available');
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Get the metric snapshots recorded for a post across scans
+   * @param {string} postId - Post ID
+   * @param {object} range - Optional date range ({ from, to })
+   * @returns {Promise<Array>} Snapshots ordered oldest first
+   */
+  async getMetricHistory(postId, range = {}) {
+    return await this.callPostLibrary('getMetricHistory', postId, range);
+  }
+
+  /**
+   * Get how a post's metrics changed between two dates
+   * @param {string} postId - Post ID
+   * @param {string|Date} from - Start date
+   * @param {string|Date} to - End date
+   * @returns {Promise<object|null>} Growth summary
+   */
+  async getMetricGrowth(postId, from, to) {
+    return await this.callPostLibrary('getMetricGrowth', postId, from, to);
   }
 
   /**
@@ -230,33 +326,25 @@ export class Storage {
   // Additional methods expected by tests
 
   /**
-   * Get posts from storage
-   * @returns {Promise<Array>} Array of posts
+   * Get posts from the post library
+   * @param {object} query - Optional paged query (see PostLibrary.queryPosts)
+   * @returns {Promise<Array|object>} All posts, or a page of posts when a query is given
    */
-  async getPosts() {
-    return await this.get('posts', [], 'local');
+  async getPosts(query = null) {
+    if (query) {
+      return await this.callPostLibrary('queryPosts', query);
+    }
+    return await this.callPostLibrary('getAllPosts');
   }
 
   /**
-   * Add a single post
+   * Add a single post, updating it if it is already stored
    * @param {object} post - Post object to add
    * @returns {Promise<boolean>} Success status
    */
   async addPost(post) {
-    const existingPosts = await this.getPosts();
-    
-    // Check for duplicates based on post ID or URL
-    const isDuplicate = existingPosts.some(existingPost => 
-      existingPost.id === post.id || existingPost.url === post.url
-    );
-    
-    if (!isDuplicate) {
-      existingPosts.push(post);
-      return await this.set('posts', existingPosts, 'local');
-    }
-    
-    // For duplicates, still call set to match test expectations
-    return await this.set('posts', existingPosts, 'local');
+    await this.callPostLibrary('upsertPosts', [post]);
+    return true;
   }
 
   /**
@@ -264,7 +352,7 @@ export class Storage {
    * @returns {Promise<boolean>} Success status
    */
   async clearPosts() {
-    return await this.remove('posts', 'local');
+    return await this.callPostLibrary('clear');
   }
 
   /**
@@ -302,23 +390,96 @@ export class Storage {
   }
 
   /**
-   * Migrate old data format
-   * @returns {Promise<boolean>} Migration success
+   * Save the checkpoint of a running or paused scan
+   * @param {object} checkpoint - Scan checkpoint (source, processed IDs, scroll depth)
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveScanCheckpoint(checkpoint) {
+    return await this.set('scanCheckpoint', checkpoint, 'local');
+  }
+
+  /**
+   * Get the checkpoint of the last unfinished scan
+   * @returns {Promise<object|null>} Scan checkpoint
+   */
+  async getScanCheckpoint() {
+    return await this.get('scanCheckpoint', null, 'local');
+  }
+
+  /**
+   * Remove the scan checkpoint once a scan has finished
+   * @returns {Promise<boolean>} Success status
+   */
+  async clearScanCheckpoint() {
+    return await this.remove('scanCheckpoint', 'local');
+  }
+
+  /**
+   * Save the number of posts scanned in the current hour
+   * @param {object} budget - Budget window ({ windowStart, count })
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveScanBudget(budget) {
+    return await this.set('scanBudget', budget, 'local');
+  }
+
+  /**
+   * Get the number of posts scanned in the current hour
+   * @returns {Promise<object|null>} Budget window
+   */
+  async getScanBudget() {
+    return await this.get('scanBudget', null, 'local');
+  }
+
+  /**
+   * Move posts stored under the old chrome.storage.local keys into the post library,
+   * and settings stored under the old local key into sync storage
+   * @returns {Promise<boolean>} True if any posts or settings were migrated
    */
   async migrateOldData() {
-    const oldData = await this.get('linkedin-posts', null, 'local');
-    if (oldData && Array.isArray(oldData)) {
-      // Convert old format to new format
-      const newPosts = oldData.map(post => ({
+    const legacyKeys = ['posts', 'linkedin-posts', 'linkedin-settings'];
+    const oldData = await this.get(legacyKeys, null, 'local');
+    const oldSettings = oldData['linkedin-settings'];
+
+    const oldPosts = ['posts', 'linkedin-posts']
+      .filter(key => Array.isArray(oldData[key]))
+      .flatMap(key => oldData[key]);
+
+    if (oldPosts.length === 0 && !oldSettings) {
+      return false;
+    }
+
+    if (oldPosts.length > 0) {
+      const migratedAt = new Date().toISOString();
+      const newPosts = oldPosts.map((post, index) => ({
         ...post,
+        // The post library drops posts without an ID, and the legacy keys are removed below
+        id: post.id || this.getLegacyPostId(post, index, migratedAt),
         migrated: true,
-        migratedAt: new Date().toISOString()
+        migratedAt: migratedAt
       }));
-      
-      await this.set('posts', newPosts, 'local');
-      await this.remove('linkedin-posts', 'local');
-      return true;
+
+      await this.callPostLibrary('upsertPosts', newPosts);
+      console.log(`Migrated ${newPosts.length} posts to the post library`);
+    }
+
+    if (oldSettings) {
+      await this.saveSettings({ ...(await this.get('settings', {})), ...oldSettings });
     }
-    return false;
+
+    await this.remove(legacyKeys, 'local');
+    return true;
+  }
+
+  /**
+   * Build an ID for a legacy post saved without one
+   * @param {object} post - Legacy post
+   * @param {number} index - Position in the legacy posts
+   * @param {string} migratedAt - Migration time
+   * @returns {string} The activity URN from the post URL, or an ID unique to this migration
+   */
+  getLegacyPostId(post, index, migratedAt) {
+    const urn = String(post.url || '').match(/urn:li:(?:activity|share|ugcPost):\d+/);
+    return urn ? urn[0] : `post_legacy_${Date.parse(migratedAt)}_${index}`;
   }
-}
\ No newline at end of file
+}